@@ -0,0 +1,158 @@
+// Keyboard editing, screen-reader announcements and reduced motion.
+// With the canvas focused: Tab / Shift+Tab (or an arrow key) focuses a handle,
+// arrows nudge it (Shift for coarse steps), Space toggles physics and Escape
+// lets go. A nudged handle is held like a drag until focus moves on.
+class AccessibilityControls {
+    constructor(app) {
+        this.app = app;
+        this.canvas = app.canvas;
+        this.status = document.getElementById('a11yStatus');
+
+        this.focusIndex = null;
+        this.heldIndex = null;
+        this.step = 1;
+        this.coarseStep = 10;
+
+        this.reducedMotion = false;
+        this.motionToggle = document.getElementById('reducedMotionToggle');
+
+        this.initKeyboard();
+        this.initReducedMotion();
+    }
+
+    initKeyboard() {
+        this.app.listen(this.canvas, 'keydown', (e) => this.handleKeyDown(e));
+        this.app.listen(this.canvas, 'focus', () => {
+            this.announce('Curve editor. Press Tab or an arrow key to focus a handle.');
+        });
+        this.app.listen(this.canvas, 'blur', () => this.clearFocus());
+    }
+
+    initReducedMotion() {
+        const query = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+        this.setReducedMotion(query ? query.matches : false);
+        if (query) this.app.listen(query, 'change', (e) => this.setReducedMotion(e.matches));
+
+        this.app.listen(this.motionToggle, 'change', () => this.setReducedMotion(this.motionToggle.checked));
+    }
+
+    // Particles, glow and trails stay off while this is set; the scene keeps
+    // its own effect settings for when it is cleared
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        this.motionToggle.checked = reduced;
+        document.getElementById('particlesToggle').disabled = reduced;
+        document.getElementById('glowToggle').disabled = reduced;
+    }
+
+    // Handles in point order; anchors are fixed and can't be focused, and
+    // hidden or locked curves have nothing to focus
+    getHandles() {
+        if (!this.app.canEditCurve()) return [];
+        const curve = this.app.sim.curve;
+        return curve.controlPoints.map((_, i) => i).filter(i => !curve.isAnchor(i));
+    }
+
+    handleKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || this.app.inputLocked) return;
+
+        // The curve may have been rebuilt since the point was focused
+        if (this.focusIndex !== null && !this.getHandles().includes(this.focusIndex)) {
+            this.clearFocus();
+        }
+
+        const nudges = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+
+        if (e.key === 'Tab') {
+            // Past the last handle, Tab moves on to the rest of the page
+            if (this.cycleFocus(e.shiftKey ? -1 : 1)) e.preventDefault();
+        } else if (nudges[e.key]) {
+            e.preventDefault();
+            if (this.focusIndex === null) {
+                this.cycleFocus(1);
+                return;
+            }
+            const size = e.shiftKey ? this.coarseStep : this.step;
+            const [dx, dy] = nudges[e.key];
+            this.nudge(dx * size, dy * size);
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            this.app.togglePhysics();
+            this.announce(this.app.physics.enabled ? 'Physics running.' : 'Physics paused.');
+        } else if (e.key === 'Escape' && this.focusIndex !== null) {
+            this.clearFocus();
+            this.announce('No handle focused.');
+        }
+    }
+
+    // Returns false when focus should leave the canvas
+    cycleFocus(direction) {
+        const handles = this.getHandles();
+        let position = this.focusIndex === null ?
+            (direction > 0 ? 0 : handles.length - 1) :
+            handles.indexOf(this.focusIndex) + direction;
+
+        if (position < 0 || position >= handles.length) {
+            this.clearFocus();
+            return false;
+        }
+
+        this.release();
+        this.focusIndex = handles[position];
+        this.app.selectedIndex = this.focusIndex;
+        this.announcePoint('focused, ');
+        return true;
+    }
+
+    nudge(dx, dy) {
+        const app = this.app;
+        const sim = app.sim;
+        const index = this.focusIndex;
+        const point = sim.controlPoints[index];
+        const before = app.captureCurve();
+
+        if (!sim.input.grabbed.includes(index)) {
+            sim.grabPoint(index);
+        }
+        this.heldIndex = index;
+
+        const { margin, width, height } = sim;
+        const x = Math.min(Math.max(point.x + dx, margin), width - margin);
+        const y = Math.min(Math.max(point.y + dy, margin), height - margin);
+        sim.moveControlPoint(index, x, y);
+
+        app.pushCurveHistory('point nudge', before, `nudge:${index}`);
+        this.announcePoint('');
+    }
+
+    release() {
+        const sim = this.app.sim;
+        if (this.heldIndex !== null && sim.input.grabbed.includes(this.heldIndex)) {
+            sim.releasePoint(this.heldIndex);
+        }
+        this.heldIndex = null;
+    }
+
+    clearFocus() {
+        this.release();
+        this.focusIndex = null;
+    }
+
+    isFocused(index) {
+        return index === this.focusIndex && document.activeElement === this.canvas;
+    }
+
+    announcePoint(prefix) {
+        const point = this.app.sim.controlPoints[this.focusIndex];
+        this.announce(`P${this.focusIndex} ${prefix}x ${Math.round(point.x)}, y ${Math.round(point.y)}`);
+    }
+
+    announce(message) {
+        this.status.textContent = message;
+    }
+}
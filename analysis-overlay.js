@@ -0,0 +1,249 @@
+// Canvas overlays for the geometry toolkit (geometry.js). Each one follows an
+// effect toggle on the app: boundingBox, extrema, inflections, singularities,
+// subdivision, intersections and flattening.
+class AnalysisOverlay {
+    constructor(app) {
+        this.app = app;
+        this.colors = {
+            box: 'rgba(148, 163, 184, 0.8)',
+            extremaX: '#10b981',
+            extremaY: '#ec4899',
+            inflection: '#facc15',
+            singularity: '#ef4444',
+            left: '#06b6d4',
+            right: '#f97316',
+            intersection: '#f43f5e',
+            probe: 'rgba(244, 63, 94, 0.5)',
+            rest: 'rgba(255, 255, 255, 0.3)',
+            flatEven: '#fbbf24',
+            flatOdd: '#22d3ee'
+        };
+
+        // Last result of getCrossings() and the curves it was for
+        this.crossingsKey = null;
+        this.crossings = [];
+    }
+
+    draw(ctx) {
+        const { effects } = this.app;
+        const curve = this.app.sim.curve;
+
+        ctx.save();
+        if (effects.subdivision) this.drawSubdivision(ctx, curve);
+        if (effects.boundingBox) this.drawBoundingBox(ctx, curve);
+        if (effects.extrema) this.drawExtrema(ctx, curve);
+        if (effects.inflections) this.drawInflections(ctx, curve);
+        if (effects.singularities) this.drawSingularities(ctx, curve);
+        if (effects.intersections) this.drawIntersections(ctx, curve);
+        if (effects.flattening) this.drawFlattening(ctx, curve);
+        ctx.restore();
+    }
+
+    drawLabel(ctx, text, x, y, color) {
+        ctx.fillStyle = color;
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(text, x + 8, y - 6);
+    }
+
+    drawBoundingBox(ctx, curve) {
+        const box = getBoundingBox(curve);
+        const width = box.maxX - box.minX;
+        const height = box.maxY - box.minY;
+
+        ctx.strokeStyle = this.colors.box;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([5, 5]);
+        ctx.strokeRect(box.minX, box.minY, width, height);
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = this.colors.box;
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`${width.toFixed(0)} × ${height.toFixed(0)}`, box.maxX, box.minY - 4);
+    }
+
+    drawExtrema(ctx, curve) {
+        const extrema = getExtrema(curve);
+        const diamond = (t, color) => {
+            const { x, y } = curve.calculateBezierPoint(t);
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(x, y - 6);
+            ctx.lineTo(x + 6, y);
+            ctx.lineTo(x, y + 6);
+            ctx.lineTo(x - 6, y);
+            ctx.closePath();
+            ctx.fill();
+        };
+        extrema.x.forEach(t => diamond(t, this.colors.extremaX));
+        extrema.y.forEach(t => diamond(t, this.colors.extremaY));
+    }
+
+    drawInflections(ctx, curve) {
+        ctx.strokeStyle = this.colors.inflection;
+        ctx.lineWidth = 2;
+        for (const t of getInflections(curve)) {
+            const { x, y } = curve.calculateBezierPoint(t);
+            ctx.beginPath();
+            ctx.arc(x, y, 7, 0, Math.PI * 2);
+            ctx.stroke();
+            this.drawLabel(ctx, 'inflection', x, y, this.colors.inflection);
+        }
+    }
+
+    drawSingularities(ctx, curve) {
+        ctx.strokeStyle = this.colors.singularity;
+        ctx.lineWidth = 2;
+        for (const { type, t } of getSingularities(curve)) {
+            const { x, y } = curve.calculateBezierPoint(t[0]);
+            ctx.beginPath();
+            if (type === 'cusp') {
+                ctx.moveTo(x - 6, y - 6);
+                ctx.lineTo(x + 6, y + 6);
+                ctx.moveTo(x + 6, y - 6);
+                ctx.lineTo(x - 6, y + 6);
+            } else {
+                ctx.arc(x, y, 9, 0, Math.PI * 2);
+            }
+            ctx.stroke();
+            this.drawLabel(ctx, type, x, y, this.colors.singularity);
+        }
+    }
+
+    // Where the curve crosses itself, its rest shape (dashed), the other
+    // visible curves and a horizontal probe line through the pointer
+    drawIntersections(ctx, curve) {
+        const sim = this.app.sim;
+        const rest = new BezierCurve(sim.initialPoints, { type: curve.type, join: curve.join });
+
+        ctx.strokeStyle = this.colors.rest;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        this.app.traceCurve(ctx, rest);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const marker = ({ point }, label) => {
+            ctx.strokeStyle = this.colors.intersection;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+            ctx.stroke();
+            this.drawLabel(ctx, label, point.x, point.y, this.colors.intersection);
+        };
+
+        for (const { hit, label } of this.getCrossings(curve, rest)) {
+            marker(hit, label);
+        }
+
+        const hover = this.app.hover;
+        if (!hover || this.app.isDragging) return;
+
+        const a = { x: 0, y: hover.y };
+        const b = { x: sim.width, y: hover.y };
+        ctx.strokeStyle = this.colors.probe;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+
+        for (const hit of intersectLine(curve, a, b)) {
+            marker(hit, `t ${hit.t.toFixed(2)}`);
+        }
+    }
+
+    // Labelled crossings of the curve with itself, its rest shape and the
+    // other visible curves. Kept until one of those curves changes, so a
+    // scene at rest costs nothing per frame.
+    getCrossings(curve, rest) {
+        const sim = this.app.sim;
+        const others = sim.layers.filter(layer => layer !== sim.layer && layer.visible);
+        const key = JSON.stringify([
+            curve.type, curve.controlPoints, rest.controlPoints,
+            others.map(({ id, curve }) => [id, curve.type, curve.controlPoints])
+        ]);
+        if (key === this.crossingsKey) return this.crossings;
+
+        const crossings = [];
+        for (const hit of getSelfIntersections(curve)) {
+            crossings.push({ hit, label: `t ${hit.t.toFixed(2)} = ${hit.u.toFixed(2)}` });
+        }
+        // A curve lying on its rest shape doesn't cross it anywhere
+        const atRest = curve.controlPoints.every((p, i) => p.x === rest.controlPoints[i].x && p.y === rest.controlPoints[i].y);
+        if (!atRest) {
+            for (const hit of intersectCurves(curve, rest)) {
+                crossings.push({ hit, label: `t ${hit.t.toFixed(2)} · rest ${hit.u.toFixed(2)}` });
+            }
+        }
+        for (const layer of others) {
+            for (const hit of intersectCurves(curve, layer.curve)) {
+                crossings.push({ hit, label: `t ${hit.t.toFixed(2)} · ${layer.name}` });
+            }
+        }
+
+        this.crossingsKey = key;
+        this.crossings = crossings;
+        return crossings;
+    }
+
+    // The polyline from the adaptive flattener, in alternating colours, with
+    // its vertex count. Quadratic and cubic segments are drawn natively, so
+    // this is what export and hit-testing see rather than what is on screen.
+    drawFlattening(ctx, curve) {
+        const tolerance = this.app.flatnessTolerance;
+        const polyline = curve.flatten(tolerance);
+
+        ctx.lineWidth = 1.5;
+        for (let i = 0; i < polyline.length - 1; i++) {
+            const a = polyline[i];
+            const b = polyline[i + 1];
+            ctx.strokeStyle = i % 2 === 0 ? this.colors.flatEven : this.colors.flatOdd;
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = 'white';
+        for (const { x, y } of polyline) {
+            ctx.beginPath();
+            ctx.arc(x, y, 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        const end = polyline[polyline.length - 1];
+        this.drawLabel(ctx, `${polyline.length - 1} segments at ${tolerance.toFixed(2)} px`, end.x, end.y, 'white');
+    }
+
+    // Control polygons of the two halves at the hovered t (or the middle)
+    drawSubdivision(ctx, curve) {
+        const t = this.app.getReadoutT() ?? 0.5;
+        const { left, right } = splitCurve(curve, t);
+
+        const polygon = (points, color) => {
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            for (const p of points) {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 3.5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        };
+        polygon(left, this.colors.left);
+        polygon(right, this.colors.right);
+
+        const split = curve.calculateBezierPoint(t);
+        this.drawLabel(ctx, `split t = ${t.toFixed(2)}`, split.x, split.y, 'white');
+    }
+}
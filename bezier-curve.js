@@ -1,23 +1,89 @@
+// Options:
+//   width, height     canvas size in CSS px; width defaults to the container's
+//   seed              particle random seed
+//   ui                wire up this page's control panel, autosave and keyboard
+//                     editing; pass false to embed the bare canvas
+//   physics, effects  initial physics parameters and effect toggles
+//   settleThreshold   handle speed in px/s below which the curve has settled
+//   rewindSeconds     simulated seconds kept for rewinding; 0 keeps none
 class CurveeReactor {
-    constructor() {
-        this.canvas = document.getElementById('curveCanvas');
+    constructor(canvas, {
+        width = null,
+        height = 600,
+        seed = Date.now() >>> 0,
+        ui = true,
+        physics = null,
+        effects = null,
+        settleThreshold = 1,
+        rewindSeconds = 5
+    } = {}) {
+        this.canvas = canvas;
         this.ctx = this.canvas.getContext('2d');
+        this.size = { width, height };
+        this.ui = ui;
+        this.settleThreshold = settleThreshold;
+        
+        // Every listener goes through listen() so destroy() can remove them
+        this.listeners = new AbortController();
+        this.events = new EventEmitter();
+        
+        // Built-in and user presets (presets.js); the panel persists user presets
+        this.presets = new PresetLibrary();
+        this.morph = null;
+        this.morphDuration = 0;
+        
+        // Keyframed points and physics (timeline.js), played by the animation loop
+        this.timeline = new Timeline();
+        
+        // Headless simulation core (reactor-core.js)
+        this.sim = new ReactorSimulation({
+            width: width ?? this.canvas.parentElement.clientWidth,
+            height,
+            seed
+        });
         
         // Initialize
         this.initCanvas();
         this.initControlPoints();
-        this.initPhysics();
-        this.initParticles();
+        this.initInput();
+        this.initClock(rewindSeconds);
+        this.initEffects();
         this.initEventListeners();
-        this.initUI();
+        this.initHistory();
+        if (physics) this.sim.setPhysics(physics);
+        if (effects) Object.assign(this.effects, effects);
+        
+        if (ui) {
+            this.initUI();
+            this.easingEditor = new EasingEditor(this);
+            this.session = new SessionPanel(this);
+            this.a11y = new AccessibilityControls(this);
+            this.particlePanel = new ParticlePanel(this);
+            this.fieldPanel = new FieldPanel(this);
+            this.layerPanel = new LayerPanel(this);
+            this.presetPanel = new PresetPanel(this);
+            this.timelinePanel = new TimelinePanel(this);
+            this.capture = new CapturePanel(this);
+            this.timePanel = new TimePanel(this);
+            this.diagnostics = new DiagnosticsPanel(this);
+            
+            // Restore the last session, or a scene shared by link
+            this.persistence = new ScenePersistence(this);
+            this.persistence.restore();
+            this.syncControls();
+        }
         
         // Start animation
         this.animate();
     }
 
+    listen(target, type, handler) {
+        target.addEventListener(type, handler, { signal: this.listeners.signal });
+    }
+
     initCanvas() {
         this.resizeCanvas();
-        window.addEventListener('resize', () => this.resizeCanvas());
+        this.listen(window, 'resize', () => this.resizeCanvas());
         
         // Set up high-quality rendering
         this.ctx.imageSmoothingEnabled = true;
@@ -26,67 +92,64 @@ class CurveeReactor {
 
     resizeCanvas() {
         const container = this.canvas.parentElement;
-        this.canvas.width = container.clientWidth;
-        this.canvas.height = 600;
+        const width = this.size.width ?? container.clientWidth;
+        const height = this.size.height;
         
         // Update DPI for retina displays
         const dpi = window.devicePixelRatio || 1;
-        this.canvas.style.width = this.canvas.width + 'px';
-        this.canvas.style.height = this.canvas.height + 'px';
-        this.canvas.width *= dpi;
-        this.canvas.height *= dpi;
+        this.canvas.style.width = width + 'px';
+        this.canvas.style.height = height + 'px';
+        this.canvas.width = width * dpi;
+        this.canvas.height = height * dpi;
         this.ctx.scale(dpi, dpi);
         
-        // Recalculate control points for new size
-        if (!this.mouse?.isDown) {
-            this.calculateInitialPoints();
+        // Recalculate control points for new size; replays and offline
+        // capture keep the size they started with
+        if (this.inputLocked) return;
+        this.sim.resize(width, height);
+        if (this.easingEditor?.active) {
+            this.easingEditor.layout();
         }
     }
 
-    calculateInitialPoints() {
-        const width = this.canvas.width / (window.devicePixelRatio || 1);
-        const height = this.canvas.height / (window.devicePixelRatio || 1);
-        
-        this.initialPoints = [
-            { x: width * 0.15, y: height * 0.6 },  // P0
-            { x: width * 0.35, y: height * 0.2 },  // P1
-            { x: width * 0.65, y: height * 0.2 },  // P2
-            { x: width * 0.85, y: height * 0.6 }   // P3
-        ];
-        
-        if (!this.controlPoints) {
-            this.controlPoints = JSON.parse(JSON.stringify(this.initialPoints));
-        }
+    get controlPoints() {
+        return this.sim.controlPoints;
+    }
+
+    get physics() {
+        return this.sim.physics;
+    }
+
+    get particles() {
+        return this.sim.particles;
     }
 
     initControlPoints() {
-        this.calculateInitialPoints();
-        this.controlPoints = JSON.parse(JSON.stringify(this.initialPoints));
-        
-        // Color scheme for points
-        this.pointColors = ['#ef4444', '#3b82f6', '#3b82f6', '#ef4444'];
-        this.pointRadii = [10, 12, 12, 10];
-    }
-
-    initPhysics() {
-        // Physics state
-        this.physics = {
-            enabled: true,
-            stiffness: 0.05,
-            damping: 0.90,
-            mouseInfluence: 0.5,
-            velocities: [{ x: 0, y: 0 }, { x: 0, y: 0 }]
+        // Color scheme for points: fixed anchors vs. spring handles
+        this.pointStyles = {
+            anchor: { color: '#ef4444', radius: 10 },
+            handle: { color: '#3b82f6', radius: 12 }
         };
         
-        // Mouse state
-        this.mouse = {
-            x: this.canvas.width / (2 * (window.devicePixelRatio || 1)),
-            y: this.canvas.height / (2 * (window.devicePixelRatio || 1)),
-            px: 0, py: 0,
-            vx: 0, vy: 0,
-            isDown: false,
-            targetPoint: null
-        };
+        // Last grabbed handle, used by "Remove Point"
+        this.selectedIndex = null;
+        
+        // Id of the force field or obstacle last clicked, edited by the Fields panel
+        this.selectedField = null;
+        this.updatePointCount();
+    }
+
+    getPointStyle(index) {
+        return this.sim.curve.isAnchor(index) ? this.pointStyles.anchor : this.pointStyles.handle;
+    }
+
+    initInput() {
+        // Active pointers by pointerId; the shared position and velocity
+        // live in the simulation input
+        this.pointers = new Map();
+        
+        // Last mouse or pen position over the canvas, for the hover readout
+        this.hover = null;
         
         // Performance tracking
         this.performance = {
@@ -97,357 +160,729 @@ class CurveeReactor {
         };
     }
 
-    initParticles() {
-        this.particles = {
-            enabled: true,
-            list: [],
-            colors: ['#06b6d4', '#8b5cf6', '#3b82f6', '#10b981']
-        };
+    initClock(rewindSeconds) {
+        this.lastFrameTime = null;
+        this.frameRequest = null;
+        this.destroyed = false;
+        this.paused = false;
+        this.settled = true;
         
+        // Simulated seconds per real second, and recent motion to rewind (rewind.js)
+        this.timeScale = 1;
+        this.rewind = rewindSeconds > 0 ? new RewindBuffer({ seconds: rewindSeconds }) : null;
+        
+        // Don't try to catch up on time spent in a background tab
+        this.listen(document, 'visibilitychange', () => {
+            this.lastFrameTime = null;
+        });
+    }
+
+    initEffects() {
         this.effects = {
             glow: true,
-            trails: true
+            trails: true,
+            curvatureComb: false,
+            arcLengthMarkers: false,
+            boundingBox: false,
+            extrema: false,
+            inflections: false,
+            singularities: false,
+            subdivision: false,
+            intersections: false,
+            flattening: false,
+            trajectories: false
         };
+        // Max distance in px between the curve and the lines that stand in for it
+        this.flatnessTolerance = 0.25;
+        this.analysis = new AnalysisOverlay(this);
+        
+        // Recent handle positions for the trajectory trace (diagnostics.js)
+        this.traces = new TrajectoryTrace();
     }
 
     initEventListeners() {
-        // Mouse events
-        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        this.canvas.addEventListener('mouseup', () => this.handleMouseUp());
-        this.canvas.addEventListener('mouseleave', () => this.handleMouseLeave());
+        // Pointer events cover mouse, pen and touch
+        this.listen(this.canvas, 'pointerdown', (e) => this.handlePointerDown(e));
+        this.listen(this.canvas, 'pointermove', (e) => this.handlePointerMove(e));
+        this.listen(this.canvas, 'pointerup', (e) => this.handlePointerUp(e));
+        this.listen(this.canvas, 'pointercancel', (e) => this.handlePointerUp(e));
+        this.listen(this.canvas, 'pointerleave', (e) => this.handlePointerLeave(e));
         
-        // Touch events for mobile
-        this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
-        this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
-        this.canvas.addEventListener('touchend', () => this.handleTouchEnd());
+        // Double-click: remove a handle, or insert a point on the curve
+        this.listen(this.canvas, 'dblclick', (e) => this.handleDoubleClick(e));
         
         // Prevent context menu
-        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        this.listen(this.canvas, 'contextmenu', (e) => e.preventDefault());
     }
 
     initUI() {
         // Sliders
-        document.getElementById('stiffnessSlider').addEventListener('input', (e) => {
-            this.physics.stiffness = parseFloat(e.target.value);
-            document.getElementById('stiffnessValue').textContent = this.physics.stiffness.toFixed(2);
+        this.listen(document.getElementById('stiffnessSlider'), 'input', (e) => {
+            this.changePhysics('stiffness change', { stiffness: parseFloat(e.target.value) }, 'stiffness');
+            document.getElementById('stiffnessValue').textContent = this.physics.stiffness.toFixed(0);
         });
         
-        document.getElementById('dampingSlider').addEventListener('input', (e) => {
-            this.physics.damping = parseFloat(e.target.value);
-            document.getElementById('dampingValue').textContent = this.physics.damping.toFixed(2);
+        this.listen(document.getElementById('dampingSlider'), 'input', (e) => {
+            this.changePhysics('damping change', { damping: parseFloat(e.target.value) }, 'damping');
+            document.getElementById('dampingValue').textContent = this.physics.damping.toFixed(1);
         });
         
-        document.getElementById('influenceSlider').addEventListener('input', (e) => {
-            this.physics.mouseInfluence = parseFloat(e.target.value);
+        this.listen(document.getElementById('influenceSlider'), 'input', (e) => {
+            this.changePhysics('influence change', { mouseInfluence: parseFloat(e.target.value) }, 'influence');
             document.getElementById('influenceValue').textContent = this.physics.mouseInfluence.toFixed(1);
         });
         
+        this.listen(document.getElementById('integratorSelect'), 'change', (e) => {
+            this.changePhysics('integrator change', { integrator: e.target.value });
+        });
+
+        this.listen(document.getElementById('modelSelect'), 'change', (e) => {
+            this.changePhysics('physics model change', { model: e.target.value });
+            this.syncPhysicsControls();
+        });
+
+        this.listen(document.getElementById('ropeStiffnessSlider'), 'input', (e) => {
+            this.changePhysics('rope stiffness change', { ropeStiffness: parseFloat(e.target.value) }, 'ropeStiffness');
+            document.getElementById('ropeStiffnessValue').textContent = this.physics.ropeStiffness.toFixed(2);
+        });
+
+        this.listen(document.getElementById('ropeSegmentsSlider'), 'input', (e) => {
+            this.changePhysics('rope segments change', { ropeSegments: parseInt(e.target.value, 10) }, 'ropeSegments');
+            document.getElementById('ropeSegmentsValue').textContent = this.physics.ropeSegments;
+        });
+
+        this.listen(document.getElementById('gravitySlider'), 'input', (e) => {
+            this.changePhysics('gravity change', { gravity: parseFloat(e.target.value) }, 'gravity');
+            document.getElementById('gravityValue').textContent = this.physics.gravity.toFixed(0);
+        });
+        
+        // Curve shape
+        this.listen(document.getElementById('curveTypeSelect'), 'change', (e) => {
+            const [type, size] = e.target.value.split(':');
+            const before = this.captureCurve();
+            this.sim.setCurveType(type, parseInt(size, 10));
+            document.getElementById('joinSelect').disabled = type !== 'spline';
+            this.selectedIndex = null;
+            this.updatePointCount();
+            this.pushCurveHistory('curve type change', before);
+        });
+        
+        this.listen(document.getElementById('joinSelect'), 'change', (e) => {
+            const before = this.captureCurve();
+            this.sim.setJoin(e.target.value);
+            this.pushCurveHistory('join change', before);
+        });
+        
+        this.listen(document.getElementById('addPointBtn'), 'click', () => this.insertPoint(0.5));
+        this.listen(document.getElementById('removePointBtn'), 'click', () => this.removePoint());
+        
+        // Export / Import
+        this.listen(document.getElementById('exportSvgBtn'), 'click', () => this.exportSvg());
+        this.listen(document.getElementById('exportJsonBtn'), 'click', () => this.exportJson());
+        this.listen(document.getElementById('exportPngBtn'), 'click', () => this.exportPng());
+        this.listen(document.getElementById('importBtn'), 'click', () => {
+            this.importText(document.getElementById('ioText').value);
+        });
+        this.listen(document.getElementById('importFile'), 'change', (e) => {
+            if (e.target.files.length > 0) this.importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        
         // Toggles
-        document.getElementById('particlesToggle').addEventListener('change', (e) => {
-            this.particles.enabled = e.target.checked;
+        this.initToggle('particlesToggle', 'particles toggle', (on) => this.sim.setParticlesEnabled(on));
+        this.initToggle('collisionsToggle', 'particle collisions toggle', (on) => this.sim.setParticleCollisions(on));
+        this.initToggle('glowToggle', 'glow toggle', (on) => { this.effects.glow = on; });
+        this.initToggle('combToggle', 'curvature comb toggle', (on) => { this.effects.curvatureComb = on; });
+        this.initToggle('arcMarkersToggle', 'arc-length markers toggle', (on) => { this.effects.arcLengthMarkers = on; });
+        this.initToggle('trajectoriesToggle', 'trajectories toggle', (on) => {
+            this.effects.trajectories = on;
+            this.traces.clear();
         });
         
-        document.getElementById('glowToggle').addEventListener('change', (e) => {
-            this.effects.glow = e.target.checked;
+        // Analysis overlays
+        this.initToggle('boundingBoxToggle', 'bounding box toggle', (on) => { this.effects.boundingBox = on; });
+        this.initToggle('extremaToggle', 'extrema toggle', (on) => { this.effects.extrema = on; });
+        this.initToggle('inflectionsToggle', 'inflections toggle', (on) => { this.effects.inflections = on; });
+        this.initToggle('singularitiesToggle', 'cusps and loops toggle', (on) => { this.effects.singularities = on; });
+        this.initToggle('subdivisionToggle', 'subdivision toggle', (on) => { this.effects.subdivision = on; });
+        this.initToggle('intersectionsToggle', 'intersections toggle', (on) => { this.effects.intersections = on; });
+        this.initToggle('flatteningToggle', 'flattening overlay toggle', (on) => { this.effects.flattening = on; });
+        this.listen(document.getElementById('flatnessSlider'), 'input', (e) => {
+            const before = this.flatnessTolerance;
+            this.setFlatnessTolerance(parseFloat(e.target.value));
+            this.pushHistory('flatness change', before, this.flatnessTolerance,
+                (tolerance) => this.setFlatnessTolerance(tolerance), 'flatness');
         });
         
         // Buttons
-        document.getElementById('resetBtn').addEventListener('click', () => this.reset());
-        document.getElementById('togglePhysicsBtn').addEventListener('click', () => this.togglePhysics());
-        document.getElementById('helpBtn').addEventListener('click', () => this.showHelp());
+        this.listen(document.getElementById('resetBtn'), 'click', () => this.reset());
+        this.listen(document.getElementById('togglePhysicsBtn'), 'click', () => this.togglePhysics());
+        this.listen(document.getElementById('helpBtn'), 'click', () => this.showHelp());
+    }
+
+    setFlatnessTolerance(tolerance) {
+        this.flatnessTolerance = tolerance;
+        if (!this.ui) return;
+        document.getElementById('flatnessSlider').value = tolerance;
+        document.getElementById('flatnessValue').textContent = `${tolerance.toFixed(2)} px`;
+    }
+
+    initToggle(id, label, apply) {
+        const toggle = document.getElementById(id);
+        const restore = (checked) => {
+            toggle.checked = checked;
+            apply(checked);
+        };
         
-        // Presets
-        document.querySelectorAll('.preset-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.applyPreset(e.target.dataset.preset));
+        this.listen(toggle, 'change', () => {
+            apply(toggle.checked);
+            this.pushHistory(label, !toggle.checked, toggle.checked, restore);
         });
     }
 
-    // Input Handlers
-    handleMouseMove(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const dpi = window.devicePixelRatio || 1;
+    // Undo / Redo
+    initHistory() {
+        this.history = new CommandHistory({ limit: 100 });
+        if (!this.ui) return;
+        this.history.onChange = () => this.updateHistoryButtons();
         
-        this.mouse.px = this.mouse.x;
-        this.mouse.py = this.mouse.y;
-        this.mouse.x = (e.clientX - rect.left) * dpi;
-        this.mouse.y = (e.clientY - rect.top) * dpi;
+        this.listen(document.getElementById('undoBtn'), 'click', () => this.undo());
+        this.listen(document.getElementById('redoBtn'), 'click', () => this.redo());
         
-        // Calculate velocity
-        this.mouse.vx = (this.mouse.x - this.mouse.px) * 0.5;
-        this.mouse.vy = (this.mouse.y - this.mouse.py) * 0.5;
-        
-        if (this.mouse.isDown && this.mouse.targetPoint) {
-            this.mouse.targetPoint.x = this.mouse.x / dpi;
-            this.mouse.targetPoint.y = this.mouse.y / dpi;
-        }
+        this.listen(document, 'keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            // Text fields keep their own undo
+            if (e.target.matches('textarea, input[type="text"]')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
         
-        // Create particles on fast movement
-        if (Math.abs(this.mouse.vx) > 2 || Math.abs(this.mouse.vy) > 2) {
-            this.createParticles(this.mouse.x / dpi, this.mouse.y / dpi, 2);
-        }
+        this.updateHistoryButtons();
     }
 
-    handleMouseDown(e) {
-        this.mouse.isDown = true;
-        const rect = this.canvas.getBoundingClientRect();
-        const dpi = window.devicePixelRatio || 1;
-        const x = (e.clientX - rect.left) * dpi;
-        const y = (e.clientY - rect.top) * dpi;
-        
-        // Check for point selection
-        this.mouse.targetPoint = this.getNearestControlPoint(x / dpi, y / dpi);
-        
-        // Visual feedback
-        if (this.particles.enabled) {
-            this.createParticles(x / dpi, y / dpi, 15);
-        }
+    // Record a change that has already been made; restore(value) puts either side back
+    pushHistory(label, before, after, restore, mergeKey = null) {
+        this.history.push({
+            label,
+            mergeKey,
+            undo: () => restore(before),
+            redo: () => restore(after)
+        });
     }
 
-    handleMouseUp() {
-        this.mouse.isDown = false;
-        this.mouse.targetPoint = null;
+    capturePhysics() {
+        const {
+            enabled, stiffness, damping, mouseInfluence, integrator,
+            model, ropeStiffness, ropeSegments, gravity
+        } = this.physics;
+        return {
+            enabled, stiffness, damping, mouseInfluence, integrator,
+            model, ropeStiffness, ropeSegments, gravity
+        };
     }
 
-    handleMouseLeave() {
-        this.mouse.isDown = false;
-        this.mouse.targetPoint = null;
+    // Physics belong to one curve; undo and redo select it again
+    restorePhysics(physics, layer = this.sim.layer.id) {
+        if (!this.selectLayer(layer)) return;
+        this.morph = null;
+        this.sim.setPhysics(physics);
+        this.syncPhysicsControls();
     }
 
-    handleTouchMove(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        const rect = this.canvas.getBoundingClientRect();
-        const dpi = window.devicePixelRatio || 1;
-        
-        this.mouse.x = (touch.clientX - rect.left) * dpi;
-        this.mouse.y = (touch.clientY - rect.top) * dpi;
-        
-        if (this.mouse.isDown && this.mouse.targetPoint) {
-            this.mouse.targetPoint.x = this.mouse.x / dpi;
-            this.mouse.targetPoint.y = this.mouse.y / dpi;
-        }
+    changePhysics(label, params, mergeKey = null) {
+        // Changing a parameter by hand stops a preset morph where it is
+        this.morph = null;
+        const before = this.capturePhysics();
+        const layer = this.sim.layer.id;
+        this.sim.setPhysics(params);
+        this.pushHistory(label, before, this.capturePhysics(),
+            (physics) => this.restorePhysics(physics, layer), mergeKey && `${mergeKey}:${layer}`);
     }
 
-    handleTouchStart(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        const rect = this.canvas.getBoundingClientRect();
-        const dpi = window.devicePixelRatio || 1;
-        
-        this.mouse.x = (touch.clientX - rect.left) * dpi;
-        this.mouse.y = (touch.clientY - rect.top) * dpi;
-        this.mouse.isDown = true;
-        
-        this.mouse.targetPoint = this.getNearestControlPoint(this.mouse.x / dpi, this.mouse.y / dpi);
+    captureCurve() {
+        const { curve, initialPoints } = this.sim;
+        return {
+            layer: this.sim.layer.id,
+            type: curve.type,
+            join: curve.join,
+            points: curve.controlPoints.map(({ x, y }) => ({ x, y })),
+            initialPoints: initialPoints.map(({ x, y }) => ({ x, y }))
+        };
     }
 
-    handleTouchEnd() {
-        this.mouse.isDown = false;
-        this.mouse.targetPoint = null;
+    restoreCurve(curve) {
+        if (!this.selectLayer(curve.layer)) return;
+        this.sim.loadCurve(curve);
+        this.syncControls();
     }
 
-    // Core Math Functions
-    calculateBezierPoint(t) {
-        const u = 1 - t;
-        const tt = t * t;
-        const uu = u * u;
-        const uuu = uu * u;
-        const ttt = tt * t;
-        
-        const p0 = this.controlPoints[0];
-        const p1 = this.controlPoints[1];
-        const p2 = this.controlPoints[2];
-        const p3 = this.controlPoints[3];
+    pushCurveHistory(label, before, mergeKey = null) {
+        this.pushHistory(label, before, this.captureCurve(), (curve) => this.restoreCurve(curve), mergeKey);
+    }
+
+    captureFields() {
+        return this.sim.fields.toJSON();
+    }
+
+    restoreFields(fields) {
+        this.sim.setFields(fields);
+        if (!this.sim.fields.get(this.selectedField)) this.selectedField = null;
+        this.fieldPanel?.sync();
+    }
+
+    pushFieldHistory(label, before, mergeKey = null) {
+        this.pushHistory(label, before, this.captureFields(), (fields) => this.restoreFields(fields), mergeKey);
+    }
+
+    selectField(id) {
+        this.selectedField = id;
+        this.fieldPanel?.sync();
+    }
+
+    // Whole-layer snapshots, for adding, removing and restyling curves
+    captureLayers() {
+        return { layers: this.sim.getLayers(), selected: this.sim.selected };
+    }
+
+    restoreLayers({ layers, selected }) {
+        this.morph = null;
+        this.sim.loadLayers(layers, selected);
+        this.syncControls();
+    }
+
+    pushLayerHistory(label, before, mergeKey = null) {
+        this.pushHistory(label, before, this.captureLayers(), (layers) => this.restoreLayers(layers), mergeKey);
+    }
+
+    // Make another curve the one the controls and canvas edit. Its timeline
+    // targets stay behind, so the old curve relaxes to its rest shape.
+    selectLayer(id) {
+        if (this.sim.layer.id === id) return true;
+        if (!this.sim.getLayer(id)) return false;
+
+        this.releaseAllPointers();
+        this.morph = null;
+        if (this.sim.targets) this.sim.setTargets(null);
+        this.sim.selectLayer(id);
+        this.traces.clear();
+        this.a11y?.clearFocus();
+        this.syncControls();
+        return true;
+    }
+
+    // Hidden and locked curves can't be changed on the canvas
+    canEditCurve() {
+        const { visible, locked } = this.sim.layer;
+        return visible && !locked;
+    }
+
+    // Replays and offline capture drive the simulation themselves; canvas
+    // input and edits wait until they finish
+    get inputLocked() {
+        return Boolean(this.session?.replaying || this.capture?.rendering);
+    }
+
+    // Nothing is undone mid-drag, during a replay or while capturing frames
+    canEditHistory() {
+        return !this.isDragging && !this.inputLocked;
+    }
+
+    undo() {
+        if (this.canEditHistory()) this.history.undo();
+    }
+
+    redo() {
+        if (this.canEditHistory()) this.history.redo();
+    }
+
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
         
+        undoBtn.disabled = !this.history.canUndo;
+        redoBtn.disabled = !this.history.canRedo;
+        undoBtn.title = this.history.canUndo ? `Undo ${this.history.undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.title = this.history.canRedo ? `Redo ${this.history.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    // Input Handlers
+    getCanvasPosition(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
         return {
-            x: uuu * p0.x + 3 * uu * t * p1.x + 3 * u * tt * p2.x + ttt * p3.x,
-            y: uuu * p0.y + 3 * uu * t * p1.y + 3 * u * tt * p2.y + ttt * p3.y
+            x: clientX - rect.left,
+            y: clientY - rect.top
         };
     }
 
-    calculateBezierTangent(t) {
-        const u = 1 - t;
+    // One handler set for mouse, pen and touch. Each pointer keeps its own
+    // last position (for velocity) and what it is holding: a control point,
+    // or the handles moved by dragging the curve body at parameter t. Several
+    // fingers can drag different points at once.
+    handlePointerDown(e) {
+        if (this.inputLocked) return;
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        
+        const { x, y } = this.getCanvasPosition(e.clientX, e.clientY);
+        if (this.fieldPanel?.placing) {
+            this.fieldPanel.place(x, y);
+            return;
+        }
         
-        const p0 = this.controlPoints[0];
-        const p1 = this.controlPoints[1];
-        const p2 = this.controlPoints[2];
-        const p3 = this.controlPoints[3];
+        // Fingers are less precise than a cursor
+        const threshold = e.pointerType === 'touch' ? 40 : 25;
+        this.pickLayer(x, y, threshold);
         
-        return {
-            x: 3 * u * u * (p1.x - p0.x) + 6 * u * t * (p2.x - p1.x) + 3 * t * t * (p3.x - p2.x),
-            y: 3 * u * u * (p1.y - p0.y) + 6 * u * t * (p2.y - p1.y) + 3 * t * t * (p3.y - p2.y)
-        };
+        const pointer = { x, y, held: [], curveT: null, offset: null, before: null, field: null };
+        this.pointers.set(e.pointerId, pointer);
+        
+        // Keep receiving moves when the drag leaves the canvas
+        this.canvas.setPointerCapture(e.pointerId);
+        this.sim.setInput({ x, y });
+        
+        const editable = this.canEditCurve();
+        const grabbed = this.sim.input.grabbed;
+        const index = editable ? this.sim.getNearestControlPoint(x, y, threshold) : null;
+        
+        const field = index === null ? this.sim.fields.hitTest(x, y, threshold * 0.6) : null;
+        
+        if (index !== null && !grabbed.includes(index)) {
+            pointer.before = this.captureCurve();
+            pointer.held = [index];
+            this.sim.grabPoint(index);
+            this.selectedIndex = index;
+        } else if (field) {
+            this.grabField(pointer, field, x, y);
+        } else if (index === null) {
+            if (editable) this.grabCurve(pointer, x, y, threshold * 0.6);
+            this.selectField(null);
+        }
+        if (pointer.held.length > 0) {
+            this.events.emit('pointdragstart', { indices: pointer.held, t: pointer.curveT, x, y });
+        }
+        
+        // Visual feedback
+        if (this.particles.enabled) {
+            this.sim.emitParticles(x, y, 15);
+        }
     }
 
-    // Physics Simulation
-    updatePhysics() {
-        if (!this.physics.enabled) return;
+    // The selected curve, then fields, come first under the pointer; a press
+    // on another curve's body selects the topmost one there. Selection
+    // doesn't change while anything is being dragged.
+    pickLayer(x, y, threshold) {
+        if (this.sim.layers.length === 1 || this.isDragging) return;
         
-        for (let i = 1; i <= 2; i++) {
-            const pointIndex = i - 1;
-            const point = this.controlPoints[i];
-            const velocity = this.physics.velocities[pointIndex];
-            
-            // Skip if being dragged
-            if (this.mouse.targetPoint === point) {
-                velocity.x = velocity.y = 0;
-                continue;
-            }
-            
-            // Calculate target position with mouse influence
-            const canvasWidth = this.canvas.width / (window.devicePixelRatio || 1);
-            const canvasHeight = this.canvas.height / (window.devicePixelRatio || 1);
-            
-            const mouseX = this.mouse.x / (window.devicePixelRatio || 1);
-            const mouseY = this.mouse.y / (window.devicePixelRatio || 1);
-            
-            let targetX = this.initialPoints[i].x;
-            let targetY = this.initialPoints[i].y;
-            
-            // Add mouse influence
-            const influence = this.physics.mouseInfluence * 0.01;
-            if (i === 1) {
-                targetX += (mouseX - canvasWidth / 2) * influence;
-                targetY += (mouseY - canvasHeight / 2) * influence;
-            } else {
-                targetX -= (mouseX - canvasWidth / 2) * influence;
-                targetY += (mouseY - canvasHeight / 2) * influence;
-            }
-            
-            // Add mouse velocity for dynamic response
-            targetX += this.mouse.vx * 0.5;
-            targetY += this.mouse.vy * 0.5;
-            
-            // acceleration = -k*(position-target) - damping*velocity
-          const accelerationX = -this.physics.stiffness * (point.x - targetX) - 
-                     this.physics.damping * velocity.x;
-          const accelerationY = -this.physics.stiffness * (point.y - targetY) - 
-                     this.physics.damping * velocity.y;
+        const { curve } = this.sim;
+        if (this.canEditCurve() && (this.sim.getNearestControlPoint(x, y, threshold) !== null ||
+            curve.projectPoint(x, y).distance <= threshold * 0.6)) return;
+        if (this.sim.fields.hitTest(x, y, threshold * 0.6)) return;
+        
+        const layer = this.sim.findLayerAt(x, y, threshold * 0.6);
+        if (layer) this.selectLayer(layer.id);
+    }
 
-            // Update velocity with acceleration
-           velocity.x += accelerationX;
-           velocity.y += accelerationY;
+    // Near the anchors a curve drag would fling the handles, so it only
+    // starts on the middle of a segment
+    grabCurve(pointer, x, y, threshold) {
+        const curve = this.sim.curve;
+        const hit = curve.projectPoint(x, y);
+        const { localT } = curve.locate(hit.t);
+        if (hit.distance > threshold || localT < 0.1 || localT > 0.9) return;
+        
+        const held = curve.getHandleIndices(hit.t);
+        if (held.length === 0 || held.some(i => this.sim.input.grabbed.includes(i))) return;
+        
+        pointer.before = this.captureCurve();
+        pointer.held = held;
+        pointer.curveT = hit.t;
+        pointer.offset = { x: hit.point.x - x, y: hit.point.y - y };
+        held.forEach(i => this.sim.grabPoint(i));
+    }
 
+    // Fields and obstacles move with the pointer, keeping the grab offset
+    grabField(pointer, field, x, y) {
+        if ([...this.pointers.values()].some(other => other.field?.id === field.id)) return;
+        pointer.field = { id: field.id, offsetX: field.x - x, offsetY: field.y - y };
+        pointer.before = this.captureFields();
+        this.selectField(field.id);
+    }
 
-            // Update position
-            point.x += velocity.x;
-            point.y += velocity.y;
-            
-            // Boundary constraints
-            this.applyBoundaries(point, velocity);
-            
-            // Create particles based on velocity
-            if (this.particles.enabled && Math.abs(velocity.x) + Math.abs(velocity.y) > 0.5) {
-                this.createParticles(point.x, point.y, 1);
-            }
+    handlePointerMove(e) {
+        if (this.inputLocked) return;
+        
+        const { x, y } = this.getCanvasPosition(e.clientX, e.clientY);
+        let pointer = this.pointers.get(e.pointerId);
+        if (!pointer) {
+            // A hovering mouse or pen
+            pointer = { x, y, held: [], curveT: null, offset: null, before: null, field: null };
+            this.pointers.set(e.pointerId, pointer);
         }
+        if (e.pointerType !== 'touch') {
+            this.hover = { x, y };
+        }
+        
+        // Velocity from this pointer's own previous position
+        const vx = (x - pointer.x) * 0.5;
+        const vy = (y - pointer.y) * 0.5;
+        pointer.x = x;
+        pointer.y = y;
+        this.sim.setInput({ x, y, vx, vy });
         
-        // Update existing particles
-        this.updateParticles();
+        // The simulation drops grabs when the curve is rebuilt
+        if (pointer.held.some(i => !this.sim.input.grabbed.includes(i))) {
+            this.releasePointer(pointer);
+        }
+        if (pointer.field) {
+            const { id, offsetX, offsetY } = pointer.field;
+            this.sim.updateField(id, { x: x + offsetX, y: y + offsetY });
+        } else if (pointer.curveT !== null) {
+            this.sim.dragCurve(pointer.curveT, x + pointer.offset.x, y + pointer.offset.y);
+        } else if (pointer.held.length > 0) {
+            this.sim.moveControlPoint(pointer.held[0], x, y);
+        }
+        if (pointer.held.length > 0) {
+            this.events.emit('pointdrag', { indices: pointer.held, t: pointer.curveT, x, y });
+        }
+        
+        // Create particles on fast movement
+        if (Math.abs(vx) > 2 || Math.abs(vy) > 2) {
+            this.sim.emitParticles(x, y, 2);
+        }
     }
 
-    applyBoundaries(point, velocity) {
-        const margin = 30;
-        const width = this.canvas.width / (window.devicePixelRatio || 1);
-        const height = this.canvas.height / (window.devicePixelRatio || 1);
+    handlePointerUp(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
         
-        if (point.x < margin) {
-            point.x = margin;
-            velocity.x *= -0.3;
+        this.releasePointer(pointer);
+        // A mouse stays around to hover; touch and pen contacts are gone
+        if (e.pointerType !== 'mouse') {
+            this.pointers.delete(e.pointerId);
         }
-        if (point.x > width - margin) {
-            point.x = width - margin;
-            velocity.x *= -0.3;
+    }
+
+    handlePointerLeave(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (pointer && pointer.held.length === 0) {
+            this.pointers.delete(e.pointerId);
+            this.hover = null;
         }
-        if (point.y < margin) {
-            point.y = margin;
-            velocity.y *= -0.3;
+    }
+
+    // Let go of whatever the pointer holds so the springs take over again; a
+    // drag that moved something becomes one history entry
+    releasePointer(pointer) {
+        const { held, before, curveT, field } = pointer;
+        pointer.held = [];
+        pointer.curveT = null;
+        pointer.offset = null;
+        pointer.before = null;
+        pointer.field = null;
+        if (field) {
+            const start = before.find(f => f.id === field.id);
+            const current = this.sim.fields.get(field.id);
+            if (start && current && (start.x !== current.x || start.y !== current.y)) {
+                this.pushFieldHistory('field move', before);
+            }
+            return;
         }
-        if (point.y > height - margin) {
-            point.y = height - margin;
-            velocity.y *= -0.3;
+        if (held.length === 0) return;
+        
+        held.forEach(i => {
+            if (this.sim.input.grabbed.includes(i)) this.sim.releasePoint(i);
+        });
+        this.events.emit('pointdragend', { indices: held, t: curveT });
+        
+        const moved = held.some(i => {
+            const start = before.points[i];
+            const point = this.controlPoints[i];
+            return point && start && (point.x !== start.x || point.y !== start.y);
+        });
+        if (moved) {
+            this.pushCurveHistory(curveT === null ? 'point move' : 'curve drag', before);
         }
     }
 
-    // Particle System
-    createParticles(x, y, count) {
-        if (!this.particles.enabled) return;
+    releaseAllPointers() {
+        this.pointers.forEach(pointer => this.releasePointer(pointer));
+        this.pointers.clear();
+    }
+
+    get isDragging() {
+        return [...this.pointers.values()].some(pointer => pointer.held.length > 0 || pointer.field);
+    }
+
+    handleDoubleClick(e) {
+        if (this.inputLocked || !this.canEditCurve()) return;
+        const { x, y } = this.getCanvasPosition(e.clientX, e.clientY);
+        const index = this.sim.getNearestControlPoint(x, y);
         
-        for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = Math.random() * 3 + 1;
-            const life = 0.5 + Math.random() * 0.5;
-            
-            this.particles.list.push({
-                x, y,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                life,
-                decay: 0.01 + Math.random() * 0.02,
-                size: 2 + Math.random() * 4,
-                color: this.particles.colors[Math.floor(Math.random() * this.particles.colors.length)],
-                rotation: Math.random() * Math.PI * 2
-            });
-        }
-    }
-
-    updateParticles() {
-        for (let i = this.particles.list.length - 1; i >= 0; i--) {
-            const p = this.particles.list[i];
-            
-            p.x += p.vx;
-            p.y += p.vy;
-            p.vy += 0.1; // Gravity
-            p.vx *= 0.98; // Air resistance
-            p.vy *= 0.98;
-            p.life -= p.decay;
-            p.rotation += 0.05;
-            
-            if (p.life <= 0) {
-                this.particles.list.splice(i, 1);
-            }
+        if (index !== null) {
+            this.removePoint(index);
+            return;
+        }
+        
+        const hit = this.sim.curve.projectPoint(x, y);
+        if (hit.distance < 15) {
+            this.insertPoint(hit.t);
         }
     }
 
     // Rendering
     render() {
         const ctx = this.ctx;
-        const dpi = window.devicePixelRatio || 1;
-        const width = this.canvas.width / dpi;
-        const height = this.canvas.height / dpi;
+        const { width, height } = this.sim;
         
-        // Clear with fade effect
+        // Clear with fade effect (trails), or fully
         ctx.save();
         ctx.globalCompositeOperation = 'source-over';
-        ctx.fillStyle = 'rgba(15, 23, 42, 0.1)';
+        ctx.fillStyle = this.isEffectShown('trails') ? 'rgba(15, 23, 42, 0.1)' : 'rgb(15, 23, 42)';
         ctx.fillRect(0, 0, width, height);
         ctx.restore();
         
-        // Draw control lines
-        this.drawControlLines();
+        // Unit square for the easing editor
+        if (this.easingEditor?.active) {
+            this.easingEditor.drawGrid(ctx);
+        }
+        
+        // Force fields and obstacles sit underneath the curves
+        this.drawFields();
         
-        // Draw Bézier curve
-        this.drawBezierCurve();
+        // The other curves are plain strokes under the selected one
+        this.drawLayers();
         
-        // Draw tangents
-        this.drawTangents();
+        const shown = this.sim.layer.visible;
+        if (shown) {
+            // Draw control lines
+            this.drawControlLines();
+            
+            // Draw Bézier curve
+            this.drawBezierCurve();
+            
+            // Draw curvature comb
+            if (this.effects.curvatureComb) {
+                this.drawCurvatureComb();
+            }
+            
+            // Bounds, extrema, inflections, cusps/loops and subdivision
+            this.analysis.draw(ctx);
+            
+            // Draw tangents
+            this.drawTangents();
+        }
         
         // Draw particles
-        if (this.particles.enabled) {
+        if (this.particles.enabled && !this.a11y?.reducedMotion) {
             this.drawParticles();
         }
         
-        // Draw control points
-        this.drawControlPoints();
-        
-        // Draw glow effects
-        if (this.effects.glow) {
-            this.drawGlowEffects();
+        if (shown) {
+            // Fading paths behind the handles
+            if (this.effects.trajectories) {
+                this.drawTrajectories();
+            }
+            
+            // Draw control points
+            this.drawControlPoints();
+            
+            // Draw glow effects
+            if (this.isEffectShown('glow')) {
+                this.drawGlowEffects();
+            }
+            
+            // Draw t, position, tangent and curvature under the cursor
+            this.drawHoverReadout();
         }
         
         // Update performance metrics
         this.updatePerformance();
+        this.updateLengthReadout();
+    }
+
+    // Draw a frame into another context, e.g. an offscreen canvas for capture
+    renderTo(ctx) {
+        const live = this.ctx;
+        this.ctx = ctx;
+        try {
+            this.render();
+        } finally {
+            this.ctx = live;
+        }
+    }
+
+    drawFields() {
+        const ctx = this.ctx;
+        const colors = { attractor: '#10b981', repeller: '#f97316', wind: '#38bdf8' };
+        
+        for (const field of this.sim.fields.list) {
+            const selected = field.id === this.selectedField;
+            ctx.save();
+            ctx.lineWidth = selected ? 2.5 : 1.5;
+            
+            if (field.type === 'circle' || field.type === 'rect') {
+                ctx.beginPath();
+                if (field.type === 'circle') {
+                    ctx.arc(field.x, field.y, field.radius, 0, Math.PI * 2);
+                } else {
+                    ctx.rect(field.x - field.width / 2, field.y - field.height / 2, field.width, field.height);
+                }
+                ctx.fillStyle = 'rgba(148, 163, 184, 0.25)';
+                ctx.fill();
+                ctx.strokeStyle = selected ? '#ffffff' : 'rgba(148, 163, 184, 0.8)';
+                ctx.stroke();
+                ctx.restore();
+                continue;
+            }
+            
+            // Reach of the field, then a marker at its centre
+            const color = colors[field.type];
+            ctx.setLineDash([6, 6]);
+            ctx.strokeStyle = color + (selected ? 'cc' : '66');
+            ctx.beginPath();
+            ctx.arc(field.x, field.y, field.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(field.x, field.y, 8, 0, Math.PI * 2);
+            ctx.fill();
+            if (selected) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.stroke();
+            }
+            
+            ctx.strokeStyle = '#0f172a';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            if (field.type === 'wind') {
+                // Arrow pointing downwind
+                const angle = (field.angle * Math.PI) / 180;
+                ctx.translate(field.x, field.y);
+                ctx.rotate(angle);
+                ctx.moveTo(-4, 0);
+                ctx.lineTo(4, 0);
+                ctx.moveTo(1, -3);
+                ctx.lineTo(4, 0);
+                ctx.lineTo(1, 3);
+            } else {
+                ctx.moveTo(field.x - 4, field.y);
+                ctx.lineTo(field.x + 4, field.y);
+                if (field.type === 'attractor') {
+                    ctx.moveTo(field.x, field.y - 4);
+                    ctx.lineTo(field.x, field.y + 4);
+                }
+            }
+            ctx.stroke();
+            ctx.restore();
+        }
     }
 
     drawControlLines() {
@@ -466,29 +901,43 @@ class CurveeReactor {
         ctx.stroke();
     }
 
+    // A curve's three colours, running from its first point to its last
+    getLayerGradient(ctx, { curve, colors }) {
+        const points = curve.controlPoints;
+        const first = points[0];
+        const last = points[points.length - 1];
+        const gradient = ctx.createLinearGradient(first.x, first.y, last.x, last.y);
+        colors.forEach((color, i) => gradient.addColorStop(i / (colors.length - 1), color));
+        return gradient;
+    }
+
+    drawLayers() {
+        const ctx = this.ctx;
+        
+        ctx.save();
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        for (const layer of this.sim.layers) {
+            if (layer === this.sim.layer || !layer.visible) continue;
+            
+            // Locked curves are dimmed
+            ctx.globalAlpha = layer.locked ? 0.35 : 0.7;
+            ctx.beginPath();
+            this.traceCurve(ctx, layer.curve);
+            ctx.strokeStyle = this.getLayerGradient(ctx, layer);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
     drawBezierCurve() {
         const ctx = this.ctx;
         
         ctx.beginPath();
-        const firstPoint = this.calculateBezierPoint(0);
-        ctx.moveTo(firstPoint.x, firstPoint.y);
+        this.traceCurve(ctx, this.sim.curve);
         
         // Draw curve with gradient
-        const gradient = ctx.createLinearGradient(
-            this.controlPoints[0].x, this.controlPoints[0].y,
-            this.controlPoints[3].x, this.controlPoints[3].y
-        );
-        gradient.addColorStop(0, '#06b6d4');
-        gradient.addColorStop(0.5, '#8b5cf6');
-        gradient.addColorStop(1, '#3b82f6');
-        
-        // Sample curve points
-        for (let t = 0.01; t <= 1; t += 0.01) {
-            const point = this.calculateBezierPoint(t);
-            ctx.lineTo(point.x, point.y);
-        }
-        
-        ctx.strokeStyle = gradient;
+        ctx.strokeStyle = this.getLayerGradient(ctx, this.sim.layer);
         ctx.lineWidth = 4;
         ctx.lineCap = 'round';
         ctx.stroke();
@@ -501,15 +950,22 @@ class CurveeReactor {
 
     drawTangents() {
         const ctx = this.ctx;
-        const tangentPoints = [0.1, 0.3, 0.5, 0.7, 0.9];
+        const curve = this.sim.curve;
+        let tangentPoints = [0.1, 0.3, 0.5, 0.7, 0.9];
+        
+        // Same fractions, but of the curve's length rather than of t
+        if (this.effects.arcLengthMarkers) {
+            const total = curve.getArcLength();
+            tangentPoints = tangentPoints.map(f => curve.getTAtArcLength(f * total, total));
+        }
         
         ctx.strokeStyle = '#f59e0b';
         ctx.lineWidth = 2;
         ctx.lineCap = 'round';
         
         for (const t of tangentPoints) {
-            const point = this.calculateBezierPoint(t);
-            const tangent = this.calculateBezierTangent(t);
+            const point = curve.calculateBezierPoint(t);
+            const tangent = curve.calculateBezierTangent(t);
             
             // Normalize tangent
             const length = Math.sqrt(tangent.x * tangent.x + tangent.y * tangent.y);
@@ -532,16 +988,94 @@ class CurveeReactor {
         }
     }
 
+    // Native quadratic/cubic commands where the canvas has them; higher
+    // degrees are flattened to within flatnessTolerance px
+    traceCurve(ctx, curve) {
+        for (const { type, points: [a, b, c] } of curve.getPathCommands(this.flatnessTolerance)) {
+            if (type === 'M') ctx.moveTo(a.x, a.y);
+            else if (type === 'L') ctx.lineTo(a.x, a.y);
+            else if (type === 'Q') ctx.quadraticCurveTo(a.x, a.y, b.x, b.y);
+            else ctx.bezierCurveTo(a.x, a.y, b.x, b.y, c.x, c.y);
+        }
+    }
+
+    drawCurvatureComb() {
+        const ctx = this.ctx;
+        const curve = this.sim.curve;
+        const samples = 80;
+        const scale = 2000; // px of tooth per unit of curvature (1/px)
+        const maxTooth = 80;
+        const tips = [];
+        
+        ctx.save();
+        ctx.strokeStyle = 'rgba(16, 185, 129, 0.5)';
+        ctx.lineWidth = 1;
+        
+        for (let i = 0; i <= samples; i++) {
+            const t = i / samples;
+            const curvature = curve.calculateCurvature(t);
+            if (!Number.isFinite(curvature)) continue;
+            
+            const point = curve.calculateBezierPoint(t);
+            const tangent = curve.calculateBezierTangent(t);
+            const speed = Math.hypot(tangent.x, tangent.y);
+            
+            // Teeth point away from the centre of curvature
+            const tooth = Math.max(-maxTooth, Math.min(maxTooth, -curvature * scale));
+            const tip = {
+                x: point.x - (tangent.y / speed) * tooth,
+                y: point.y + (tangent.x / speed) * tooth
+            };
+            tips.push(tip);
+            
+            ctx.beginPath();
+            ctx.moveTo(point.x, point.y);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.stroke();
+        }
+        
+        // Envelope through the tooth tips
+        if (tips.length > 1) {
+            ctx.beginPath();
+            ctx.moveTo(tips[0].x, tips[0].y);
+            tips.forEach(tip => ctx.lineTo(tip.x, tip.y));
+            ctx.strokeStyle = 'rgba(16, 185, 129, 0.9)';
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // Older positions fade out; colour follows the curve's middle stop
+    drawTrajectories() {
+        const ctx = this.ctx;
+        const color = this.sim.layer.colors[1];
+        
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        for (const path of this.traces.paths) {
+            for (let i = 1; i < path.length; i++) {
+                ctx.globalAlpha = 0.8 * i / path.length;
+                ctx.beginPath();
+                ctx.moveTo(path[i - 1].x, path[i - 1].y);
+                ctx.lineTo(path[i].x, path[i].y);
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+
     drawControlPoints() {
         const ctx = this.ctx;
         
         for (let i = 0; i < this.controlPoints.length; i++) {
             const point = this.controlPoints[i];
-            const color = this.pointColors[i];
-            const radius = this.pointRadii[i];
+            const { color, radius } = this.getPointStyle(i);
             
             // Draw glow
-            if (this.effects.glow) {
+            if (this.isEffectShown('glow')) {
                 const gradient = ctx.createRadialGradient(
                     point.x, point.y, 0,
                     point.x, point.y, radius * 3
@@ -572,31 +1106,119 @@ class CurveeReactor {
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             ctx.fillText(`P${i}`, point.x, point.y - radius - 20);
+            
+            // Keyboard focus ring
+            if (this.a11y?.isFocused(i)) {
+                ctx.save();
+                ctx.setLineDash([4, 4]);
+                ctx.strokeStyle = '#06b6d4';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, radius + 8, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.restore();
+            }
         }
     }
 
+    // The curve point being dragged, or the one nearest the hovering cursor
+    getReadoutT() {
+        for (const pointer of this.pointers.values()) {
+            if (pointer.curveT !== null) return pointer.curveT;
+        }
+        if (!this.hover || this.isDragging) return null;
+        
+        const hit = this.sim.curve.projectPoint(this.hover.x, this.hover.y);
+        return hit.distance < 15 ? hit.t : null;
+    }
+
+    drawHoverReadout() {
+        const t = this.getReadoutT();
+        if (t === null) return;
+        
+        const ctx = this.ctx;
+        const curve = this.sim.curve;
+        const point = curve.calculateBezierPoint(t);
+        const tangent = curve.calculateBezierTangent(t);
+        const speed = Math.hypot(tangent.x, tangent.y);
+        const curvature = curve.calculateCurvature(t);
+        const angle = Math.atan2(tangent.y, tangent.x) * 180 / Math.PI;
+        
+        // Marker and unit tangent
+        ctx.save();
+        ctx.fillStyle = '#06b6d4';
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+        if (speed > 0) {
+            ctx.strokeStyle = '#06b6d4';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(point.x, point.y);
+            ctx.lineTo(point.x + tangent.x / speed * 40, point.y + tangent.y / speed * 40);
+            ctx.stroke();
+        }
+        
+        const lines = [
+            `t = ${t.toFixed(3)}`,
+            `(${point.x.toFixed(1)}, ${point.y.toFixed(1)})`,
+            `tangent ${angle.toFixed(1)}°, |B′| ${speed.toFixed(0)}`,
+            `κ ${Number.isNaN(curvature) ? '—' : curvature.toFixed(4)} /px`
+        ];
+        const width = 170;
+        const height = lines.length * 16 + 12;
+        const x = Math.min(point.x + 16, this.sim.width - width - 8);
+        const y = Math.max(point.y - height - 16, 8);
+        
+        ctx.fillStyle = 'rgba(2, 6, 23, 0.85)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeRect(x, y, width, height);
+        
+        ctx.fillStyle = 'white';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, x + 8, y + 6 + i * 16));
+        ctx.restore();
+    }
+
+    // One fill per colour and alpha level; each particle is a rotated square
+    // added to the batch's path
     drawParticles() {
         const ctx = this.ctx;
+        const { x, y, size, rotation } = this.particles;
+        const { order, batches } = this.particles.getBatches();
         
-        for (const p of this.particles.list) {
-            ctx.save();
-            ctx.globalAlpha = p.life;
-            ctx.fillStyle = p.color;
-            ctx.translate(p.x, p.y);
-            ctx.rotate(p.rotation);
-            
-            // Draw particle as a small rectangle
-            ctx.fillRect(-p.size/2, -p.size/2, p.size, p.size);
-            
-            ctx.restore();
+        ctx.save();
+        for (const batch of batches) {
+            ctx.globalAlpha = batch.alpha;
+            ctx.fillStyle = batch.color;
+            ctx.beginPath();
+            for (let k = batch.start; k < batch.end; k++) {
+                const i = order[k];
+                const half = size[i] / 2;
+                const cos = Math.cos(rotation[i]) * half;
+                const sin = Math.sin(rotation[i]) * half;
+                ctx.moveTo(x[i] - cos + sin, y[i] - sin - cos);
+                ctx.lineTo(x[i] + cos + sin, y[i] + sin - cos);
+                ctx.lineTo(x[i] + cos - sin, y[i] + sin + cos);
+                ctx.lineTo(x[i] - cos - sin, y[i] - sin + cos);
+                ctx.closePath();
+            }
+            ctx.fill();
         }
+        ctx.restore();
     }
 
     drawGlowEffects() {
         const ctx = this.ctx;
         
         // Add glow to control points
-        for (let i = 1; i <= 2; i++) {
+        for (let i = 0; i < this.controlPoints.length; i++) {
+            if (this.sim.curve.isAnchor(i)) continue;
+            
             const point = this.controlPoints[i];
             const gradient = ctx.createRadialGradient(
                 point.x, point.y, 0,
@@ -616,37 +1238,60 @@ class CurveeReactor {
     }
 
     // UI Methods
-   getNearestControlPoint(x, y, threshold = 25) {
-    // ONLY check P₁ and P₂ (indices 1 and 2)
-    // P₀ and P₃ (indices 0 and 3) are FIXED and cannot be dragged
-    for (let i = 1; i <= 2; i++) {
-        const point = this.controlPoints[i];
-        const distance = Math.sqrt(
-            Math.pow(point.x - x, 2) + 
-            Math.pow(point.y - y, 2)
-        );
-        if (distance < threshold) {
-            return point; // Only returns P₁ or P₂
+    insertPoint(t) {
+        if (this.easingEditor?.active || !this.canEditCurve()) return;
+        
+        const before = this.captureCurve();
+        if (!this.sim.insertPoint(t)) return;
+        
+        this.selectedIndex = null;
+        this.updatePointCount();
+        this.pushCurveHistory('point insert', before);
+        
+        const point = this.sim.curve.calculateBezierPoint(t);
+        this.sim.emitParticles(point.x, point.y, 15);
+    }
+
+    removePoint(index = this.selectedIndex) {
+        // Default to the handle nearest the middle of the point list
+        if (index === null) {
+            index = Math.floor(this.controlPoints.length / 2);
+            if (this.sim.curve.isAnchor(index) && this.sim.curve.type !== 'spline') index--;
         }
+        
+        const point = { ...this.controlPoints[index] };
+        if (this.easingEditor?.active || !this.canEditCurve()) return;
+        
+        const before = this.captureCurve();
+        if (!this.sim.removePoint(index)) return;
+        
+        this.selectedIndex = null;
+        this.updatePointCount();
+        this.pushCurveHistory('point removal', before);
+        this.sim.emitParticles(point.x, point.y, 15);
     }
-    return null; // If not near P₁ or P₂, return null
+
+    updatePointCount() {
+        if (!this.ui) return;
+        document.getElementById('pointCount').textContent = this.controlPoints.length;
     }
 
     reset() {
-        this.controlPoints = JSON.parse(JSON.stringify(this.initialPoints));
-        this.physics.velocities = [{ x: 0, y: 0 }, { x: 0, y: 0 }];
-        this.particles.list = [];
+        const before = this.captureLayers();
+        this.sim.reset();
+        this.pushLayerHistory('reset', before);
         
         // Visual feedback
-        if (this.particles.enabled) {
-            const width = this.canvas.width / (window.devicePixelRatio || 1);
-            const height = this.canvas.height / (window.devicePixelRatio || 1);
-            this.createParticles(width / 2, height / 2, 30);
-        }
+        this.sim.emitParticles(this.sim.width / 2, this.sim.height / 2, 30);
     }
 
     togglePhysics() {
-        this.physics.enabled = !this.physics.enabled;
+        this.changePhysics(this.physics.enabled ? 'physics pause' : 'physics resume', { enabled: !this.physics.enabled });
+        this.updatePhysicsStatus();
+    }
+
+    updatePhysicsStatus() {
+        if (!this.ui) return;
         const statusEl = document.getElementById('physicsStatus');
         const buttonEl = document.getElementById('togglePhysicsBtn');
         
@@ -656,50 +1301,248 @@ class CurveeReactor {
             '<i class="fas fa-play"></i> Resume Physics';
     }
 
-    applyPreset(preset) {
-        const presets = {
-            bouncy: { stiffness: 0.02, damping: 0.85, influence: 0.8 },
-            stiff: { stiffness: 0.1, damping: 0.95, influence: 0.3 },
-            fluid: { stiffness: 0.03, damping: 0.9, influence: 1.2 },
-            magnetic: { stiffness: 0.05, damping: 0.92, influence: 1.5 },
-            heavy: { stiffness: 0.08, damping: 0.98, influence: 0.4 },
-            light: { stiffness: 0.01, damping: 0.8, influence: 2.0 }
-        };
+    // Push simulation state back into the sliders, selects and toggles
+    syncPhysicsControls() {
+        if (!this.ui) return;
+        const { stiffness, damping, mouseInfluence, integrator, model, ropeStiffness, ropeSegments, gravity } = this.physics;
         
-        if (presets[preset]) {
-            const { stiffness, damping, influence } = presets[preset];
-            
-            this.physics.stiffness = stiffness;
-            this.physics.damping = damping;
-            this.physics.mouseInfluence = influence;
-            
-            // Update UI
-            document.getElementById('stiffnessSlider').value = stiffness;
-            document.getElementById('dampingSlider').value = damping;
-            document.getElementById('influenceSlider').value = influence;
-            
-            document.getElementById('stiffnessValue').textContent = stiffness.toFixed(2);
-            document.getElementById('dampingValue').textContent = damping.toFixed(2);
-            document.getElementById('influenceValue').textContent = influence.toFixed(1);
-            
-            // Visual feedback
-            if (this.particles.enabled) {
-                this.createParticles(
-                    this.canvas.width / (2 * (window.devicePixelRatio || 1)),
-                    this.canvas.height / (2 * (window.devicePixelRatio || 1)),
-                    20
-                );
+        document.getElementById('stiffnessSlider').value = stiffness;
+        document.getElementById('dampingSlider').value = damping;
+        document.getElementById('influenceSlider').value = mouseInfluence;
+        document.getElementById('ropeStiffnessSlider').value = ropeStiffness;
+        document.getElementById('ropeSegmentsSlider').value = ropeSegments;
+        document.getElementById('gravitySlider').value = gravity;
+        
+        document.getElementById('stiffnessValue').textContent = stiffness.toFixed(0);
+        document.getElementById('dampingValue').textContent = damping.toFixed(1);
+        document.getElementById('influenceValue').textContent = mouseInfluence.toFixed(1);
+        document.getElementById('ropeStiffnessValue').textContent = ropeStiffness.toFixed(2);
+        document.getElementById('ropeSegmentsValue').textContent = ropeSegments;
+        document.getElementById('gravityValue').textContent = gravity.toFixed(0);
+        
+        document.getElementById('integratorSelect').value = integrator;
+        document.getElementById('modelSelect').value = model;
+
+        // Each model only reads its own parameters; mouse influence is shared
+        const rope = model === 'rope';
+        for (const id of ['stiffnessSlider', 'dampingSlider', 'integratorSelect']) {
+            document.getElementById(id).disabled = rope;
+        }
+        for (const id of ['ropeStiffnessSlider', 'ropeSegmentsSlider', 'gravitySlider']) {
+            document.getElementById(id).disabled = !rope;
+        }
+        this.updatePhysicsStatus();
+    }
+
+    syncControls() {
+        if (!this.ui) return;
+        this.syncPhysicsControls();
+        
+        const curve = this.sim.curve;
+        const curveSelect = document.getElementById('curveTypeSelect');
+        const option = curve.type === 'spline' ?
+            curveSelect.querySelector('option[value^="spline"]') :
+            curveSelect.querySelector(`option[value="bezier:${curve.degree}"]`);
+        if (option) curveSelect.value = option.value;
+        
+        const joinSelect = document.getElementById('joinSelect');
+        joinSelect.value = curve.join;
+        joinSelect.disabled = curve.type !== 'spline';
+        
+        document.getElementById('particlesToggle').checked = this.particles.enabled;
+        document.getElementById('collisionsToggle').checked = this.particles.collisions;
+        document.getElementById('glowToggle').checked = this.effects.glow;
+        document.getElementById('combToggle').checked = this.effects.curvatureComb;
+        document.getElementById('arcMarkersToggle').checked = this.effects.arcLengthMarkers;
+        document.getElementById('trajectoriesToggle').checked = this.effects.trajectories;
+        document.getElementById('boundingBoxToggle').checked = this.effects.boundingBox;
+        document.getElementById('extremaToggle').checked = this.effects.extrema;
+        document.getElementById('inflectionsToggle').checked = this.effects.inflections;
+        document.getElementById('singularitiesToggle').checked = this.effects.singularities;
+        document.getElementById('subdivisionToggle').checked = this.effects.subdivision;
+        document.getElementById('intersectionsToggle').checked = this.effects.intersections;
+        document.getElementById('flatteningToggle').checked = this.effects.flattening;
+        this.particlePanel.sync();
+        this.fieldPanel.sync();
+        this.layerPanel.sync();
+        this.timelinePanel.sync();
+        
+        this.selectedIndex = null;
+        this.updatePointCount();
+    }
+
+    // Snap to a preset, or morph to it over duration seconds. Returns false
+    // for an unknown preset.
+    applyPreset(name, duration = this.morphDuration) {
+        const preset = this.presets.find(name);
+        if (!preset) return false;
+        
+        const before = this.capturePhysics();
+        if (duration > 0) {
+            this.morph = { preset, before, tween: new PhysicsMorph(before, preset.physics, duration) };
+        } else {
+            this.morph = null;
+            this.sim.setPhysics(preset.physics);
+            this.finishPreset(preset, before);
+        }
+        
+        // Visual feedback
+        this.sim.emitParticles(this.sim.width / 2, this.sim.height / 2, 20);
+        return true;
+    }
+
+    // One history entry for the whole morph, pushed when it ends
+    finishPreset(preset, before) {
+        const layer = this.sim.layer.id;
+        this.pushHistory(`${preset.label} preset`, before, this.capturePhysics(),
+            (physics) => this.restorePhysics(physics, layer));
+        this.syncPhysicsControls();
+        
+        this.a11y?.announce(`${preset.label} preset applied.`);
+        this.events.emit('presetchange', { preset: preset.name, physics: this.capturePhysics() });
+    }
+
+    updateMorph(elapsed) {
+        const { preset, before, tween } = this.morph;
+        this.sim.setPhysics(tween.advance(elapsed));
+        if (tween.finished) {
+            this.morph = null;
+            this.finishPreset(preset, before);
+        } else {
+            this.syncPhysicsControls();
+        }
+    }
+
+    // Keyframed points become the spring targets; they are skipped if the
+    // curve no longer has as many points as the keyframes
+    applyTimeline() {
+        const { points, physics } = this.timeline.sample();
+        if (points && points.length === this.controlPoints.length) {
+            this.sim.setTargets(points, { springs: this.timeline.springs });
+        }
+        if (physics) {
+            this.sim.setPhysics(physics);
+            this.syncPhysicsControls();
+        }
+        this.timelinePanel?.syncPlayhead();
+    }
+
+    // Glow and trails are skipped in reduced-motion mode
+    isEffectShown(name) {
+        return this.effects[name] && !this.a11y?.reducedMotion;
+    }
+
+    // Export / Import
+    downloadFile(filename, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    getScene() {
+        return captureScene(this.sim, { effects: this.effects });
+    }
+
+    exportSvg() {
+        document.getElementById('ioText').value = toSvgPath(this.sim.curve);
+        this.downloadFile(
+            'curvee-curve.svg',
+            toSvgDocument(this.sim.curve, this.sim.width, this.sim.height),
+            'image/svg+xml'
+        );
+        this.showIoMessage('SVG exported; path data is in the box below.');
+    }
+
+    exportJson() {
+        const json = JSON.stringify(this.getScene(), null, 2);
+        document.getElementById('ioText').value = json;
+        this.downloadFile('curvee-scene.json', json, 'application/json');
+        this.showIoMessage('Scene exported as JSON.');
+    }
+
+    exportPng() {
+        this.canvas.toBlob((blob) => {
+            if (!blob) {
+                this.showIoMessage('Could not capture the canvas.', true);
+                return;
             }
+            this.downloadFile('curvee-snapshot.png', blob);
+            this.showIoMessage('PNG snapshot saved.');
+        }, 'image/png');
+    }
+
+    // JSON scenes start with "{"; anything else is treated as SVG path data
+    importText(text) {
+        try {
+            if (text.trim().startsWith('{')) {
+                this.loadScene(parseScene(text));
+                this.showIoMessage('Scene loaded.');
+            } else {
+                const before = this.captureCurve();
+                importSvgPath(this.sim, text);
+                this.syncControls();
+                this.pushCurveHistory('SVG import', before);
+                this.showIoMessage('SVG path imported.');
+            }
+        } catch (error) {
+            if (!(error instanceof SceneFormatError)) throw error;
+            this.showIoMessage(error.message, true);
+        }
+    }
+
+    loadScene(scene) {
+        if (this.easingEditor?.active) {
+            this.easingEditor.exit();
         }
+        
+        this.morph = null;
+        this.selectedField = null;
+        applyScene(this.sim, scene);
+        // A loaded scene starts a fresh history, and can't be rewound past
+        this.history.clear();
+        this.rewind?.clear();
+        this.traces.clear();
+        for (const key of Object.keys(this.effects)) {
+            if (typeof scene.effects[key] === 'boolean') this.effects[key] = scene.effects[key];
+        }
+        this.syncControls();
+    }
+
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => this.importText(String(reader.result));
+        reader.onerror = () => this.showIoMessage(`Could not read ${file.name}.`, true);
+        reader.readAsText(file);
+    }
+
+    showIoMessage(message, isError = false) {
+        const el = document.getElementById('ioMessage');
+        el.textContent = message;
+        el.classList.toggle('error', isError);
     }
 
     showHelp() {
         alert(`Curvee Reactor - Controls:
         
 • Move mouse: Influence curve physics
-• Click & drag: Direct control of P₁ & P₂
+• Click & drag: Direct control of the blue handles
+• Drag the curve: Reshape it between the fixed end points
+• Hover the curve: Read t, position, tangent and curvature
+• Double-click the curve: Insert a point
+• Double-click a handle: Remove it
+• Keyboard: Tab or arrows focus a handle, arrows nudge it (Shift: larger steps), Space pauses physics
+• Time: K pauses, comma and period step a frame, J and L jump a second back or forward, < and > change the speed
 • Adjust sliders: Fine-tune physics behavior
 • Presets: Quick physics configurations
+• Force Fields: Place attractors, repellers, wind and obstacles; drag to move, Delete to remove
+• Layers: Add, duplicate and delete curves; click a curve or its name to select it, hide or lock it in the list
+• Diagnostics: Watch energy and handle speeds, and read the damping ratio and stability of the springs
 • Toggles: Enable/disable visual effects
 
 The orange lines show tangent vectors - these indicate the direction of the curve at each point.
@@ -717,22 +1560,257 @@ The orange lines show tangent vectors - these indicate the direction of the curv
             this.performance.frameCount = 0;
             this.performance.lastFpsUpdate = now;
             
-            document.getElementById('fpsCounter').textContent = this.performance.fps;
+            if (this.ui) document.getElementById('fpsCounter').textContent = this.performance.fps;
         }
         
         this.performance.lastTime = now;
     }
 
+    updateLengthReadout() {
+        if (!this.ui) return;
+        const length = Math.round(this.sim.curve.getArcLength());
+        if (length !== this.lastLength) {
+            this.lastLength = length;
+            document.getElementById('curveLength').textContent = length;
+        }
+    }
+
     // Main Animation Loop
-    animate() {
-        this.updatePhysics();
+    animate(now = performance.now()) {
+        if (this.destroyed) return;
+        
+        // Offline capture advances and draws frames on its own fixed clock
+        if (this.capture?.rendering) {
+            this.lastFrameTime = null;
+            this.frameRequest = requestAnimationFrame((time) => this.animate(time));
+            return;
+        }
+        
+        const elapsed = this.lastFrameTime === null ? 0 : (now - this.lastFrameTime) / 1000;
+        this.lastFrameTime = now;
+        
+        let steps = 0;
+        if (this.session?.replaying) {
+            steps = this.session.update(elapsed);
+        } else if (!this.paused) {
+            steps = this.advanceFrame(elapsed * this.timeScale);
+        }
+        if (this.easingEditor?.active) {
+            this.easingEditor.update(now);
+        }
+        this.render();
+        this.afterFrame(now, elapsed, steps);
+        this.frameRequest = requestAnimationFrame((time) => this.animate(time));
+    }
+
+    // Morph, timeline and simulation by elapsed seconds; returns the steps taken
+    advanceFrame(elapsed) {
+        if (this.morph) this.updateMorph(elapsed);
+        if (this.timeline.playing && !this.easingEditor?.active) {
+            this.timeline.advance(elapsed);
+            this.applyTimeline();
+        }
+        return this.sim.advance(elapsed);
+    }
+
+    afterFrame(time, elapsed, steps) {
+        // Settled once every running handle is slower than settleThreshold
+        // and let go
+        const speeds = this.sim.layers
+            .filter(({ visible, physics }) => visible && physics.enabled)
+            .flatMap(({ physics }) => physics.velocities.map(v => Math.hypot(v.x, v.y)));
+        const moving = this.isDragging || Math.max(0, ...speeds) > this.settleThreshold;
+        if (moving) {
+            this.settled = false;
+        } else if (!this.settled) {
+            this.settled = true;
+            this.events.emit('settle', { points: this.getPoints() });
+        }
+        
+        if (steps > 0) {
+            this.recordTrajectories();
+            this.recordRewind();
+        }
+        this.diagnostics?.update(steps);
+        this.timePanel?.syncBuffer();
+        this.events.emit('frame', { time, elapsed, steps });
+    }
+
+    // Add the handles' positions to the trajectory trace, when it's shown
+    recordTrajectories() {
+        if (!this.effects.trajectories) return;
+        this.traces.record(this.controlPoints.filter((point, i) => !this.sim.curve.isAnchor(i)));
+    }
+
+    // Replays bring their own clock, so only live motion is kept. Running,
+    // a snapshot is taken every rewind interval; paused, every frame stepped
+    // to is kept, so Back and Step come back to it exactly.
+    recordRewind() {
+        if (!this.rewind || this.session?.replaying || !this.rewind.due(this.sim.time, this.paused)) return;
+        this.rewind.record(this.sim.time, { motion: this.sim.getMotion(), timeline: this.timeline.time });
+    }
+
+    // Public API
+    // The supported way to drive the simulator from a page that embeds it.
+    // Events: pointdragstart, pointdrag, pointdragend ({ indices, t, x, y };
+    // t is set when the curve body is dragged), presetchange ({ preset,
+    // physics }), settle ({ points }) and frame ({ time, elapsed, steps }).
+    on(type, handler) {
+        return this.events.on(type, handler);
+    }
+
+    off(type, handler) {
+        this.events.off(type, handler);
+    }
+
+    getPoints() {
+        return this.controlPoints.map(({ x, y }) => ({ x, y }));
+    }
+
+    // Replace the control points, keeping the curve type; with rest: true
+    // (the default) they also become the shape the springs return to
+    setPoints(points, { rest = true } = {}) {
+        const curve = this.sim.curve;
+        if (!Array.isArray(points) || points.some(p => !Number.isFinite(p?.x) || !Number.isFinite(p?.y))) {
+            throw new TypeError('setPoints expects an array of { x, y } points.');
+        }
+        if (points.length < 3) throw new RangeError('A curve needs at least 3 points.');
+        if (curve.type === 'spline' && (points.length - 1) % 3 !== 0) {
+            throw new RangeError('A spline needs 3k+1 points.');
+        }
+        if (!rest && points.length !== this.controlPoints.length) {
+            throw new RangeError(`Without rest, setPoints needs ${this.controlPoints.length} points.`);
+        }
+        
+        const before = this.captureCurve();
+        this.releaseAllPointers();
+        this.sim.loadCurve({
+            type: curve.type,
+            join: curve.join,
+            points,
+            initialPoints: rest ? points : this.sim.initialPoints
+        });
+        this.pushCurveHistory('set points', before);
+        this.syncControls();
+    }
+
+    // Any subset of stiffness, damping, mouseInfluence, integrator, enabled,
+    // model, ropeStiffness, ropeSegments, gravity
+    setPhysics(params) {
+        this.changePhysics('physics change', params);
+        this.syncPhysicsControls();
+    }
+
+    getPhysics() {
+        return this.capturePhysics();
+    }
+
+    // Jump the timeline's playhead and pose the curve there; the timeline
+    // itself is this.timeline (play(), pause(), setKeyframe(), …)
+    seekTimeline(time) {
+        this.timeline.seek(time);
+        this.applyTimeline();
+    }
+
+    // Stop playback, rewind, and let the springs return to the rest shape
+    stopTimeline() {
+        this.timeline.pause();
+        this.timeline.seek(0);
+        this.sim.setTargets(null);
+        this.timelinePanel?.syncPlayhead();
+    }
+
+    // Stop or restart the simulation clock; the canvas keeps drawing and
+    // accepting input. Resuming after a rewind carries on from there.
+    pause() {
+        this.paused = true;
+        this.recordRewind();
+        this.timePanel?.sync();
+    }
+
+    resume() {
+        this.paused = false;
+        this.lastFrameTime = null;
+        this.timePanel?.sync();
+    }
+
+    // Slow motion below 1, fast forward above; clamped to 0.1 - 2
+    setTimeScale(scale) {
+        if (!Number.isFinite(scale)) throw new TypeError('setTimeScale expects a number.');
+        this.timeScale = Math.min(Math.max(scale, 0.1), 2);
+        this.timePanel?.sync();
+    }
+
+    // One frame forward while paused: the next snapshot after a rewind
+    // (unless a session is recording), otherwise a single fixed step of the
+    // morph, timeline and simulation
+    stepFrame() {
+        if (!this.paused || this.inputLocked) return false;
+        if (this.rewind?.rewound && !this.session?.recordingActive) {
+            return this.rewindTo(this.rewind.cursor + 1);
+        }
+        
+        const steps = this.advanceFrame(this.sim.timestep);
+        this.afterFrame(performance.now(), this.sim.timestep, steps);
+        return steps > 0;
+    }
+
+    // One snapshot back in the rewind buffer
+    stepBack() {
+        if (!this.paused || !this.rewind) return false;
+        return this.rewindTo(this.rewind.cursor - 1);
+    }
+
+    // Pause at a snapshot in the rewind buffer (0 is the oldest) and put its
+    // motion and playhead back; edits made since stay. Not while a session
+    // records, whose steps only go forward.
+    rewindTo(index) {
+        if (!this.rewind || this.inputLocked || this.session?.recordingActive) return false;
+        const snapshot = this.rewind.seek(index);
+        if (!snapshot) return false;
+        
+        this.releaseAllPointers();
+        this.paused = true;
+        this.sim.setMotion(snapshot.state.motion);
+        this.timeline.seek(snapshot.state.timeline);
+        this.traces.clear();
+        this.timelinePanel?.syncPlayhead();
+        this.timePanel?.sync();
+        return true;
+    }
+
+    // Advance a number of fixed steps (1/60 s each), e.g. while paused. Each
+    // is a frame like the animation loop's: the morph and timeline move, and
+    // the rewind buffer, diagnostics and frame events all see it. Returns the
+    // steps taken; none while a replay or offline capture has the clock.
+    step(count = 1) {
+        if (this.inputLocked) return 0;
+        let taken = 0;
+        for (let i = 0; i < count; i++) {
+            const steps = this.advanceFrame(this.sim.timestep);
+            this.afterFrame(performance.now(), this.sim.timestep, steps);
+            taken += steps;
+        }
         this.render();
-        requestAnimationFrame(() => this.animate());
+        return taken;
+    }
+
+    // Stop the animation loop and remove every listener; the canvas is left
+    // as last drawn
+    destroy() {
+        cancelAnimationFrame(this.frameRequest);
+        this.capture?.cancel();
+        this.releaseAllPointers();
+        this.persistence?.stop();
+        this.listeners.abort();
+        this.events.clear();
+        this.destroyed = true;
     }
 }
 
-// Initialize application when page loads
+// Mount the full app on this page's canvas; other pages can create their own
+// CurveeReactor on any canvas, e.g. with { ui: false }
 window.addEventListener('load', () => {
-    const app = new CurveeReactor();
-    window.curveeReactor = app; // Make available globally for debugging
+    const canvas = document.getElementById('curveCanvas');
+    if (canvas) window.curveeReactor = new CurveeReactor(canvas);
 });
\ No newline at end of file
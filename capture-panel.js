@@ -0,0 +1,201 @@
+// Clip capture. WebM records the live canvas in real time through
+// MediaRecorder. PNG frames are rendered offline: the simulation is stepped
+// by exactly 1/fps per frame and drawn to an offscreen canvas at the chosen
+// width, so the same starting scene always gives the same frames. The
+// frames download as a ZIP, and the live scene is put back afterwards.
+class CapturePanel {
+    constructor(app) {
+        this.app = app;
+        this.rendering = false;
+        this.recorder = null;
+        this.cancelled = false;
+        this.progressTimer = null;
+
+        this.formatSelect = document.getElementById('captureFormatSelect');
+        this.durationSlider = document.getElementById('captureDurationSlider');
+        this.fpsSelect = document.getElementById('captureFpsSelect');
+        this.widthSelect = document.getElementById('captureWidthSelect');
+        this.startBtn = document.getElementById('captureStartBtn');
+        this.cancelBtn = document.getElementById('captureCancelBtn');
+        this.progress = document.getElementById('captureProgress');
+        this.message = document.getElementById('captureMessage');
+
+        this.initUI();
+        this.sync();
+    }
+
+    get busy() {
+        return this.rendering || this.recorder !== null;
+    }
+
+    initUI() {
+        this.app.listen(this.formatSelect, 'change', () => this.sync());
+        this.app.listen(this.durationSlider, 'input', () => this.sync());
+        this.app.listen(this.startBtn, 'click', () => this.start());
+        this.app.listen(this.cancelBtn, 'click', () => this.cancel());
+    }
+
+    sync() {
+        const duration = parseFloat(this.durationSlider.value);
+        document.getElementById('captureDurationValue').textContent = `${duration.toFixed(1)} s`;
+        // Live recordings are as large as the canvas on screen
+        this.widthSelect.disabled = this.busy || this.formatSelect.value === 'webm';
+        this.startBtn.disabled = this.busy;
+        this.cancelBtn.disabled = !this.busy;
+    }
+
+    start() {
+        if (this.busy) return;
+        const session = this.app.session;
+        if (session.replaying || session.recordingActive) {
+            this.showMessage('Finish the session recording or replay first.', true);
+            return;
+        }
+
+        this.cancelled = false;
+        if (this.formatSelect.value === 'webm') {
+            this.recordVideo();
+        } else {
+            this.renderFrames();
+        }
+    }
+
+    cancel() {
+        if (!this.busy) return;
+        this.cancelled = true;
+        if (this.recorder) this.recorder.stop();
+    }
+
+    recordVideo() {
+        const canvas = this.app.canvas;
+        if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+            this.showMessage('This browser cannot record the canvas; use PNG frames instead.', true);
+            return;
+        }
+
+        const fps = parseInt(this.fpsSelect.value, 10);
+        const duration = parseFloat(this.durationSlider.value);
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const stream = canvas.captureStream(fps);
+        const chunks = [];
+
+        this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        };
+        this.recorder.onstop = () => {
+            clearInterval(this.progressTimer);
+            stream.getTracks().forEach(track => track.stop());
+            this.recorder = null;
+            this.sync();
+
+            if (this.cancelled) {
+                this.setProgress(0, 'Recording cancelled.');
+                return;
+            }
+            this.app.downloadFile('curvee-clip.webm', new Blob(chunks, { type: 'video/webm' }));
+            this.setProgress(1, `Recorded ${duration.toFixed(1)} s of video.`);
+        };
+
+        // Stops by itself after duration; progress follows the wall clock
+        const startTime = performance.now();
+        this.progressTimer = setInterval(() => {
+            const elapsed = (performance.now() - startTime) / 1000;
+            this.setProgress(Math.min(elapsed / duration, 1), `Recording… ${elapsed.toFixed(1)} s`);
+            if (elapsed >= duration && this.recorder.state === 'recording') this.recorder.stop();
+        }, 100);
+
+        this.recorder.start(250);
+        this.sync();
+    }
+
+    async renderFrames() {
+        const app = this.app;
+        const sim = app.sim;
+        const fps = parseInt(this.fpsSelect.value, 10);
+        const count = Math.round(parseFloat(this.durationSlider.value) * fps);
+        const width = parseInt(this.widthSelect.value, 10);
+        const scale = width / sim.width;
+        const height = Math.round(sim.height * scale);
+
+        // Everything the offline clock moves, so the live scene can resume.
+        // A preset morph waits; finishing it would add to the undo history.
+        const saved = {
+            state: sim.getState(),
+            timeline: { time: app.timeline.time, playing: app.timeline.playing },
+            morph: app.morph
+        };
+        app.morph = null;
+        // Every render starts on a step boundary, whatever the live clock's phase
+        sim.alignToStep();
+
+        app.releaseAllPointers();
+        app.hover = null;
+        app.traces.clear();
+        sim.setInput({ vx: 0, vy: 0 });
+        this.rendering = true;
+        app.session.lockControls(this.cancelBtn);
+        this.sync();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'rgb(15, 23, 42)';
+        ctx.fillRect(0, 0, width, height);
+        ctx.scale(scale, scale);
+
+        const files = [];
+        let failure = null;
+        try {
+            for (let i = 0; i < count && !this.cancelled; i++) {
+                // The first frame is the scene as it is now
+                if (i > 0) {
+                    app.advanceFrame(1 / fps);
+                    app.recordTrajectories();
+                }
+                app.renderTo(ctx);
+
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+                if (!blob) throw new Error('The browser could not encode a PNG frame.');
+                files.push({ name: frameFileName(i, count), data: new Uint8Array(await blob.arrayBuffer()) });
+                this.setProgress((i + 1) / count, `Rendered frame ${i + 1} of ${count}…`);
+            }
+        } catch (error) {
+            failure = error;
+        } finally {
+            sim.setState(saved.state);
+            Object.assign(app.timeline, saved.timeline);
+            app.morph = saved.morph;
+            app.traces.clear();
+            this.rendering = false;
+            app.session.unlockControls();
+            app.syncControls();
+            this.sync();
+        }
+
+        if (failure) {
+            this.progress.value = 0;
+            this.showMessage(failure.message, true);
+            return;
+        }
+        if (this.cancelled) {
+            this.setProgress(0, 'Rendering cancelled.');
+            return;
+        }
+        const zip = new Blob([createZip(files)], { type: 'application/zip' });
+        app.downloadFile('curvee-frames.zip', zip);
+        this.setProgress(1, `Saved ${count} frames at ${width}×${height}, ${fps} fps.`);
+    }
+
+    setProgress(fraction, message) {
+        this.progress.value = fraction;
+        this.showMessage(message);
+    }
+
+    showMessage(message, isError = false) {
+        this.message.textContent = message;
+        this.message.classList.toggle('error', isError);
+    }
+}
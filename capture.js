@@ -0,0 +1,131 @@
+// Packing captured frames: CRC-32 and an uncompressed ("stored") ZIP writer.
+// PNGs are already compressed, so storing them keeps the archive small enough
+// and the writer simple. Identical frames give a byte-identical archive.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        CRC_TABLE[n] = c >>> 0;
+    }
+
+    // CRC-32 (the ZIP/PNG polynomial) of a Uint8Array
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // MS-DOS date and time words; the format starts in 1980
+    function dosDateTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+        };
+    }
+
+    // Zero-padded file names that sort in frame order
+    function frameFileName(index, count, prefix = 'frame-', extension = '.png') {
+        const digits = Math.max(5, String(count).length);
+        return `${prefix}${String(index + 1).padStart(digits, '0')}${extension}`;
+    }
+
+    // files: [{ name, data: Uint8Array }]. Every entry gets the same
+    // timestamp, 1980-01-01 unless date is given, so output only depends on
+    // the files.
+    function createZip(files, { date = new Date(1980, 0, 1) } = {}) {
+        if (files.length > 0xffff) throw new RangeError('A ZIP without ZIP64 holds at most 65535 files.');
+
+        const encoder = new TextEncoder();
+        const stamp = dosDateTime(date);
+        const entries = files.map(({ name, data }) => ({
+            name: encoder.encode(name),
+            data,
+            crc: crc32(data)
+        }));
+
+        const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+        const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+        if (localSize + centralSize + 22 > 0xffffffff) throw new RangeError('A ZIP without ZIP64 is limited to 4 GB.');
+
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        const u16 = (value) => { view.setUint16(offset, value, true); offset += 2; };
+        const u32 = (value) => { view.setUint32(offset, value, true); offset += 4; };
+        const put = (data) => { bytes.set(data, offset); offset += data.length; };
+
+        // Local headers, each followed by its data. Flag 0x800: UTF-8 names.
+        const headers = [];
+        for (const entry of entries) {
+            headers.push(offset);
+            u32(0x04034b50);
+            u16(10);
+            u16(0x800);
+            u16(0);
+            u16(stamp.time);
+            u16(stamp.date);
+            u32(entry.crc);
+            u32(entry.data.length);
+            u32(entry.data.length);
+            u16(entry.name.length);
+            u16(0);
+            put(entry.name);
+            put(entry.data);
+        }
+
+        // Central directory
+        const centralStart = offset;
+        entries.forEach((entry, i) => {
+            u32(0x02014b50);
+            u16(20);
+            u16(10);
+            u16(0x800);
+            u16(0);
+            u16(stamp.time);
+            u16(stamp.date);
+            u32(entry.crc);
+            u32(entry.data.length);
+            u32(entry.data.length);
+            u16(entry.name.length);
+            u16(0);
+            u16(0);
+            u16(0);
+            u16(0);
+            u32(0);
+            u32(headers[i]);
+            put(entry.name);
+        });
+
+        // End of central directory
+        u32(0x06054b50);
+        u16(0);
+        u16(0);
+        u16(entries.length);
+        u16(entries.length);
+        u32(centralSize);
+        u32(centralStart);
+        u16(0);
+
+        return bytes;
+    }
+
+    return {
+        crc32,
+        frameFileName,
+        createZip
+    };
+});
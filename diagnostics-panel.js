@@ -0,0 +1,141 @@
+// Physics diagnostics for the selected curve: rolling charts of its energy
+// and handle speeds, the natural frequency and damping ratio of its springs,
+// and warnings when the parameters won't behave (diagnostics.js).
+class DiagnosticsPanel {
+    constructor(app) {
+        this.app = app;
+        this.log = new DiagnosticsLog();
+        this.layerId = null;
+        this.handles = null;
+        this.drawn = false;
+        this.shown = {};
+
+        this.energyChart = document.getElementById('energyChart');
+        this.speedChart = document.getElementById('speedChart');
+        this.warnings = document.getElementById('diagnosticsWarnings');
+
+        this.update(0);
+    }
+
+    // Called after every frame; only frames that stepped the simulation add
+    // a sample
+    update(steps) {
+        const sim = this.app.sim;
+        const layer = sim.layer;
+        const energy = measureEnergy(sim);
+
+        // Another curve or a different number of handles starts the charts over
+        if (layer.id !== this.layerId || energy.speeds.length !== this.handles) {
+            this.layerId = layer.id;
+            this.handles = energy.speeds.length;
+            this.log.clear();
+            this.drawn = false;
+        }
+        if (steps > 0) {
+            this.log.push({
+                kinetic: energy.kinetic,
+                potential: energy.potential,
+                speeds: energy.speeds.map(({ speed }) => speed)
+            });
+            this.drawn = false;
+        }
+
+        if (!this.drawn) {
+            this.drawEnergy();
+            this.drawSpeeds(energy.speeds);
+            this.drawn = true;
+        }
+        this.syncReadouts(layer.physics, energy);
+    }
+
+    drawEnergy() {
+        const max = this.log.max(({ kinetic, potential }) => Math.max(kinetic, potential), 1);
+        this.drawChart(this.energyChart, max, [
+            { label: 'Kinetic', color: '#f97316', read: s => s.kinetic },
+            { label: 'Potential', color: '#8b5cf6', read: s => s.potential }
+        ], `${formatEnergy(max)} px²/s²`);
+    }
+
+    drawSpeeds(speeds) {
+        const colors = ['#06b6d4', '#10b981', '#f43f5e', '#eab308'];
+        const max = this.log.max(s => Math.max(0, ...s.speeds), 1);
+        this.drawChart(this.speedChart, max, speeds.slice(0, colors.length).map(({ index }, i) => ({
+            label: `P${index}`,
+            color: colors[i],
+            read: s => s.speeds[i]
+        })), `${max.toFixed(0)} px/s`);
+    }
+
+    // One line per series across the log, scaled so max reaches the top
+    drawChart(canvas, max, series, maxLabel) {
+        const dpi = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (canvas.width !== width * dpi || canvas.height !== height * dpi) {
+            canvas.width = width * dpi;
+            canvas.height = height * dpi;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpi, 0, 0, dpi, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const { samples, capacity } = this.log;
+        const top = 16;
+        const x = i => (i + capacity - samples.length) * width / (capacity - 1);
+        const y = value => height - 2 - Math.min(value / max, 1) * (height - top - 2);
+
+        ctx.lineWidth = 1.5;
+        for (const { color, read } of series) {
+            ctx.beginPath();
+            samples.forEach((sample, i) => {
+                if (i === 0) ctx.moveTo(x(i), y(read(sample)));
+                else ctx.lineTo(x(i), y(read(sample)));
+            });
+            ctx.strokeStyle = color;
+            ctx.stroke();
+        }
+
+        // Legend on the left, scale on the right
+        ctx.font = '11px Inter';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        let left = 6;
+        for (const { label, color } of series) {
+            ctx.fillStyle = color;
+            ctx.fillText(label, left, 3);
+            left += ctx.measureText(label).width + 10;
+        }
+        ctx.textAlign = 'right';
+        ctx.fillStyle = 'rgba(248, 250, 252, 0.6)';
+        ctx.fillText(maxLabel, width - 6, 3);
+    }
+
+    syncReadouts(physics, energy) {
+        const springs = physics.model !== 'rope';
+        const analysis = analyzeSprings(physics, this.app.sim.timestep);
+        const { omega, frequency, zeta, regime, settleTime, growth } = analysis;
+        const warnings = findWarnings(physics, analysis, energy);
+
+        this.setText('naturalFrequencyValue', springs ? `${omega.toFixed(1)} rad/s (${frequency.toFixed(2)} Hz)` : '—');
+        this.setText('dampingRatioValue', springs ? `${zeta.toFixed(2)} (${regime})` : '—');
+        this.setText('settleTimeValue', springs && Number.isFinite(settleTime) ? `${settleTime.toFixed(2)} s` : '—');
+        this.setText('stepGrowthValue', springs ? `×${growth.toFixed(4)}` : '—');
+        this.setText('energyValue', `${formatEnergy(energy.kinetic + energy.potential)} px²/s²`);
+
+        const message = warnings.length > 0 ? warnings.join(' ') :
+            springs ? 'Stable at this timestep.' : 'Rope: the frequency and damping readouts are for springs.';
+        if (message !== this.shown.warnings) {
+            this.shown.warnings = message;
+            this.warnings.textContent = message;
+            this.warnings.classList.toggle('error', warnings.length > 0);
+        }
+    }
+
+    // Readouts change every frame, so only touch the DOM on a change
+    setText(id, text) {
+        if (this.shown[id] === text) return;
+        this.shown[id] = text;
+        document.getElementById(id).textContent = text;
+    }
+}
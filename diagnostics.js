@@ -0,0 +1,187 @@
+// Physics diagnostics for one curve: kinetic and potential energy, handle
+// speeds, the damping ratio and natural frequency of its springs, and how the
+// chosen integrator treats them at the simulation's timestep. Masses are 1,
+// so energies are in px²/s².
+(function (root, factory) {
+    const core = typeof module === 'object' && module.exports ? require('./reactor-core.js') : root;
+    const api = factory(core);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ INTEGRATORS }) {
+
+    const INTEGRATOR_LABELS = { euler: 'Euler', verlet: 'Verlet', rk4: 'RK4' };
+
+    // Damping ratios outside this range get a warning
+    const LIGHT_DAMPING = 0.05;
+    const HEAVY_DAMPING = 5;
+
+    // Per-step amplification of the linear spring x″ = -kx - cx′ under an
+    // integrator: the spectral radius of its 2×2 step matrix, found by
+    // stepping the two unit states. Above 1, any motion grows without bound.
+    function stepGrowth(stiffness, damping, integrator, dt) {
+        const integrate = INTEGRATORS[integrator] || INTEGRATORS.euler;
+        const acceleration = (x, y, vx) => ({ x: -stiffness * x - damping * vx, y: 0 });
+        const [[a, c], [b, d]] = [[1, 0], [0, 1]].map(([x, v]) => {
+            const point = { x, y: 0 };
+            const velocity = { x: v, y: 0 };
+            integrate(point, velocity, acceleration, dt);
+            return [point.x, velocity.x];
+        });
+
+        const half = (a + d) / 2;
+        const det = a * d - b * c;
+        const disc = half * half - det;
+        if (disc < 0) return Math.sqrt(det);
+        const root = Math.sqrt(disc);
+        return Math.max(Math.abs(half + root), Math.abs(half - root));
+    }
+
+    // ω = √k and ζ = c / (2√k). settleTime is how long a disturbance takes
+    // to fall to 2% (four time constants of the slowest decay).
+    function analyzeSprings({ stiffness, damping, integrator }, dt = 1 / 60) {
+        const omega = Math.sqrt(stiffness);
+        const zeta = omega > 0 ? damping / (2 * omega) : Infinity;
+
+        let regime = zeta < 1 ? 'underdamped' : 'overdamped';
+        if (damping === 0) regime = 'undamped';
+        else if (Math.abs(zeta - 1) < 0.02) regime = 'critically damped';
+
+        const decay = zeta < 1 ? zeta * omega : omega / (zeta + Math.sqrt(zeta * zeta - 1));
+        return {
+            omega,
+            frequency: omega / (2 * Math.PI),
+            zeta,
+            regime,
+            settleTime: decay > 0 ? 4 / decay : Infinity,
+            growth: stepGrowth(stiffness, damping, integrator, dt)
+        };
+    }
+
+    // Energy of a curve and the speed of each handle. Springs store energy
+    // away from the rest shape (or timeline targets); the rope's masses count
+    // gravity from the bottom of the canvas.
+    function measureEnergy(sim, layer = sim.layer) {
+        const { curve, physics, targets, rope } = layer;
+        const rest = targets ? targets.points : layer.initialPoints;
+        const springs = physics.model !== 'rope';
+        const speeds = [];
+        let kinetic = 0;
+        let potential = 0;
+
+        curve.controlPoints.forEach((point, i) => {
+            if (curve.isAnchor(i)) return;
+            const velocity = physics.velocities[i] || { x: 0, y: 0 };
+            const speed = Math.hypot(velocity.x, velocity.y);
+            speeds.push({ index: i, speed });
+            if (!springs) return;
+
+            kinetic += speed * speed / 2;
+            potential += physics.stiffness * ((point.x - rest[i].x) ** 2 + (point.y - rest[i].y) ** 2) / 2;
+        });
+
+        if (!springs && rope) {
+            const dt = sim.timestep;
+            rope.points.forEach((point, i) => {
+                const previous = rope.previous[i];
+                kinetic += ((point.x - previous.x) ** 2 + (point.y - previous.y) ** 2) / (2 * dt * dt);
+                potential += physics.gravity * (sim.height - point.y);
+            });
+        }
+
+        const finite = Number.isFinite(kinetic) && Number.isFinite(potential) &&
+            curve.controlPoints.every(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+        return { kinetic, potential, speeds, finite };
+    }
+
+    // Energies span several orders of magnitude
+    function formatEnergy(value) {
+        if (!Number.isFinite(value)) return '∞';
+        if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+        if (value >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+        return value.toFixed(0);
+    }
+
+    // Warnings for the physics of a curve, worst first
+    function findWarnings(physics, analysis, energy) {
+        const warnings = [];
+        if (!energy.finite) {
+            warnings.push('The simulation has blown up (positions are no longer finite); press Reset.');
+        }
+        if (physics.model === 'rope') return warnings;
+
+        const { zeta, growth, settleTime } = analysis;
+        if (growth > 1 + 1e-9) {
+            const name = INTEGRATOR_LABELS[physics.integrator] || physics.integrator;
+            const fix = physics.integrator === 'rk4' ? 'Lower the stiffness or damping.' :
+                'Lower the stiffness or damping, or switch to RK4.';
+            warnings.push(`Unstable: ${name} multiplies any motion by ${growth.toFixed(3)} every step. ${fix}`);
+        } else if (zeta < LIGHT_DAMPING) {
+            const ringing = Number.isFinite(settleTime) ? `for ${settleTime.toFixed(1)} s` : 'forever';
+            warnings.push(`Barely damped (ζ = ${zeta.toFixed(3)}): the handles ring ${ringing}.`);
+        } else if (zeta > HEAVY_DAMPING) {
+            const creeping = Number.isFinite(settleTime) ? `take ${settleTime.toFixed(1)} s to creep back` : 'never return';
+            warnings.push(`Heavily overdamped (ζ = ${zeta.toFixed(1)}): the handles ${creeping}.`);
+        }
+        return warnings;
+    }
+
+    // Rolling window of samples, oldest first
+    class DiagnosticsLog {
+        constructor(capacity = 300) {
+            this.capacity = capacity;
+            this.samples = [];
+        }
+
+        push(sample) {
+            this.samples.push(sample);
+            if (this.samples.length > this.capacity) this.samples.shift();
+        }
+
+        clear() {
+            this.samples = [];
+        }
+
+        // Largest read(sample) in the window, and never below floor
+        max(read, floor = 0) {
+            return this.samples.reduce((max, sample) => Math.max(max, read(sample)), floor);
+        }
+    }
+
+    // Recent positions of each handle, oldest first; a different number of
+    // handles starts the trace over
+    class TrajectoryTrace {
+        constructor(length = 90) {
+            this.length = length;
+            this.paths = [];
+        }
+
+        record(points) {
+            if (points.length !== this.paths.length) {
+                this.paths = points.map(() => []);
+            }
+            points.forEach(({ x, y }, i) => {
+                const path = this.paths[i];
+                path.push({ x, y });
+                if (path.length > this.length) path.shift();
+            });
+        }
+
+        clear() {
+            this.paths = [];
+        }
+    }
+
+    return {
+        INTEGRATOR_LABELS,
+        stepGrowth,
+        analyzeSprings,
+        measureEnergy,
+        findWarnings,
+        formatEnergy,
+        DiagnosticsLog,
+        TrajectoryTrace
+    };
+});
@@ -0,0 +1,230 @@
+// Easing editor mode: maps the canvas to the unit square so the cubic doubles
+// as a CSS timing function, and previews it on a moving box.
+class EasingEditor {
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        this.easing = CubicBezierEasing.fromPreset('ease-in-out');
+        this.savedScene = null;
+        this.savedHistory = null;
+        this.lastCss = null;
+
+        // Preview animation: run for `duration`, then hold before restarting
+        this.preview = {
+            duration: 1500,
+            hold: 600,
+            start: 0
+        };
+
+        this.panel = document.getElementById('easingPanel');
+        this.output = document.getElementById('easingOutput');
+        this.box = document.getElementById('easingBox');
+        this.track = document.getElementById('easingTrack');
+
+        this.initUI();
+    }
+
+    initUI() {
+        this.app.listen(document.getElementById('easingModeToggle'), 'change', (e) => {
+            if (e.target.checked) this.enter(); else this.exit();
+        });
+
+        this.app.listen(document.getElementById('easingPresetSelect'), 'change', (e) => {
+            if (!e.target.value) return;
+            this.easing = CubicBezierEasing.fromPreset(e.target.value);
+            this.layout();
+            this.restartPreview();
+        });
+
+        this.app.listen(document.getElementById('copyEasingBtn'), 'click', () => {
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(this.easing.toCSS());
+            }
+        });
+
+        this.app.listen(document.getElementById('replayEasingBtn'), 'click', () => this.restartPreview());
+    }
+
+    enter() {
+        if (this.active) return;
+
+        const app = this.app;
+        // The mode swaps in a scene of its own, so a recording ends here
+        // rather than span it
+        app.session.stopRecording();
+        this.savedScene = app.getScene();
+        this.active = true;
+        // Edits to the easing curve only make sense in here; the history from
+        // before comes back on exit
+        this.savedHistory = app.history.snapshot();
+        app.history.clear();
+
+        // The springs would only pull the handles back to where they were
+        // dropped, and only the selected curve takes part
+        app.sim.setPhysics({ enabled: false });
+        for (const layer of app.sim.layers) {
+            const shown = layer === app.sim.layer;
+            app.sim.setLayer(layer.id, shown ? { visible: true, locked: false } : { visible: false });
+        }
+        this.layout();
+        app.syncControls();
+
+        this.setShapeControlsDisabled(true);
+        this.panel.hidden = false;
+        this.restartPreview();
+    }
+
+    exit() {
+        if (!this.active) return;
+
+        this.active = false;
+        document.getElementById('easingModeToggle').checked = false;
+        this.app.loadScene(this.savedScene);
+        this.app.history.restore(this.savedHistory);
+        this.savedScene = null;
+        this.savedHistory = null;
+
+        this.setShapeControlsDisabled(false);
+        this.panel.hidden = true;
+    }
+
+    setShapeControlsDisabled(disabled) {
+        document.getElementById('curveTypeSelect').disabled = disabled;
+        document.getElementById('addPointBtn').disabled = disabled;
+        document.getElementById('removePointBtn').disabled = disabled;
+        document.getElementById('joinSelect').disabled = disabled || this.app.sim.curve.type !== 'spline';
+    }
+
+    // The unit square, centred on the canvas with room for overshoot
+    getFrame() {
+        const { width, height } = this.app.sim;
+        const size = Math.max(50, Math.min(width, height) - 200);
+        return {
+            left: (width - size) / 2,
+            top: (height - size) / 2,
+            size
+        };
+    }
+
+    toCanvas(x, y) {
+        const frame = this.getFrame();
+        return {
+            x: frame.left + x * frame.size,
+            y: frame.top + (1 - y) * frame.size
+        };
+    }
+
+    toUnit(point) {
+        const frame = this.getFrame();
+        return {
+            x: (point.x - frame.left) / frame.size,
+            y: 1 - (point.y - frame.top) / frame.size
+        };
+    }
+
+    // Place the cubic from the current easing; also used after resizes
+    layout() {
+        const [x1, y1, x2, y2] = this.easing.values;
+        const points = [
+            this.toCanvas(0, 0),
+            this.toCanvas(x1, y1),
+            this.toCanvas(x2, y2),
+            this.toCanvas(1, 1)
+        ];
+        this.app.sim.loadCurve({ type: 'bezier', join: 'C1', points });
+        this.app.updatePointCount();
+    }
+
+    // Keep P0/P3 on the corners and the handles' x inside the square, then read
+    // the easing back from the canvas points. Only changes are made, through
+    // the simulation's own calls.
+    constrain() {
+        const sim = this.app.sim;
+        const frame = this.getFrame();
+        const points = sim.controlPoints.map(({ x, y }, i) => {
+            if (i === 0) return this.toCanvas(0, 0);
+            if (i === 3) return this.toCanvas(1, 1);
+            return { x: Math.min(Math.max(x, frame.left), frame.left + frame.size), y };
+        });
+        const same = (a, b) => a.x === b.x && a.y === b.y;
+
+        points.forEach((point, i) => {
+            if (!same(point, sim.controlPoints[i])) sim.moveControlPoint(i, point.x, point.y);
+        });
+
+        // Dropped handles stay where they were left
+        if (points.some((point, i) => !same(point, sim.initialPoints[i]))) {
+            sim.setRestPoints(points);
+        }
+
+        const p1 = this.toUnit(points[1]);
+        const p2 = this.toUnit(points[2]);
+        this.easing = new CubicBezierEasing(p1.x, p1.y, p2.x, p2.y);
+    }
+
+    restartPreview() {
+        this.preview.start = performance.now();
+    }
+
+    update(now) {
+        this.constrain();
+
+        const css = this.easing.toCSS();
+        if (css !== this.lastCss) {
+            this.lastCss = css;
+            this.output.textContent = css;
+
+            const presetSelect = document.getElementById('easingPresetSelect');
+            const match = Object.keys(EASING_PRESETS).find(name =>
+                EASING_PRESETS[name].every((value, i) => Math.abs(value - this.easing.values[i]) < 0.005));
+            presetSelect.value = match || '';
+        }
+
+        const { duration, hold, start } = this.preview;
+        const elapsed = (now - start) % (duration + hold);
+        const progress = this.easing.evaluate(Math.min(elapsed / duration, 1));
+        const travel = this.track.clientWidth - this.box.offsetWidth;
+        this.box.style.transform = `translateX(${progress * travel}px)`;
+    }
+
+    drawGrid(ctx) {
+        const { left, top, size } = this.getFrame();
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        for (let i = 1; i < 4; i++) {
+            const offset = (size * i) / 4;
+            ctx.beginPath();
+            ctx.moveTo(left + offset, top);
+            ctx.lineTo(left + offset, top + size);
+            ctx.moveTo(left, top + offset);
+            ctx.lineTo(left + size, top + offset);
+            ctx.stroke();
+        }
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.strokeRect(left, top, size, size);
+
+        // Linear reference
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        ctx.moveTo(left, top + size);
+        ctx.lineTo(left + size, top);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '12px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText('time →', left + size / 2, top + size + 12);
+        ctx.save();
+        ctx.translate(left - 16, top + size / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('progress →', 0, 0);
+        ctx.restore();
+        ctx.restore();
+    }
+}
@@ -0,0 +1,88 @@
+// CSS-style cubic-bezier() timing functions on top of BezierCurve.
+// P0 = (0, 0) and P3 = (1, 1); x is time, y is progress.
+(function (root, factory) {
+    const core = typeof module === 'object' && module.exports ? require('./reactor-core.js') : root;
+    const api = factory(core);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ BezierCurve }) {
+
+    // Named timing functions from the CSS Easing spec
+    const EASING_PRESETS = {
+        'linear': [0, 0, 1, 1],
+        'ease': [0.25, 0.1, 0.25, 1],
+        'ease-in': [0.42, 0, 1, 1],
+        'ease-out': [0, 0, 0.58, 1],
+        'ease-in-out': [0.42, 0, 0.58, 1]
+    };
+
+    const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+    const formatNumber = (value) => String(Math.round(value * 1000) / 1000);
+
+    class CubicBezierEasing {
+        // x1 and x2 are clamped to [0, 1] so x(t) stays monotonic
+        constructor(x1, y1, x2, y2) {
+            this.curve = new BezierCurve([
+                { x: 0, y: 0 },
+                { x: clamp01(x1), y: y1 },
+                { x: clamp01(x2), y: y2 },
+                { x: 1, y: 1 }
+            ]);
+        }
+
+        static fromPreset(name) {
+            const values = EASING_PRESETS[name];
+            if (!values) throw new Error(`Unknown easing preset "${name}"`);
+            return new CubicBezierEasing(...values);
+        }
+
+        get values() {
+            const [, p1, p2] = this.curve.controlPoints;
+            return [p1.x, p1.y, p2.x, p2.y];
+        }
+
+        // Parameter t at which the curve reaches x: Newton steps, falling back
+        // to bisection where the slope is too flat
+        solveT(x, epsilon = 1e-6) {
+            x = clamp01(x);
+
+            let t = x;
+            for (let i = 0; i < 8; i++) {
+                const error = this.curve.calculateBezierPoint(t).x - x;
+                if (Math.abs(error) < epsilon) return t;
+
+                const slope = this.curve.calculateBezierTangent(t).x;
+                if (Math.abs(slope) < 1e-6) break;
+                t -= error / slope;
+                if (t < 0 || t > 1) break;
+            }
+
+            let low = 0;
+            let high = 1;
+            t = x;
+            for (let i = 0; i < 50; i++) {
+                const value = this.curve.calculateBezierPoint(t).x;
+                if (Math.abs(value - x) < epsilon) break;
+                if (value < x) low = t; else high = t;
+                t = (low + high) / 2;
+            }
+            return t;
+        }
+
+        // Progress y for time x
+        evaluate(x) {
+            if (x <= 0) return 0;
+            if (x >= 1) return 1;
+            return this.curve.calculateBezierPoint(this.solveT(x)).y;
+        }
+
+        toCSS() {
+            return `cubic-bezier(${this.values.map(formatNumber).join(', ')})`;
+        }
+    }
+
+    return { EASING_PRESETS, CubicBezierEasing };
+});
@@ -0,0 +1,50 @@
+// Minimal event emitter for the public API. on() returns a function that
+// removes the handler again; a handler that throws doesn't stop the others.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    class EventEmitter {
+        constructor() {
+            this.handlers = new Map();
+        }
+
+        on(type, handler) {
+            if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+            this.handlers.get(type).add(handler);
+            return () => this.off(type, handler);
+        }
+
+        off(type, handler) {
+            this.handlers.get(type)?.delete(handler);
+        }
+
+        has(type) {
+            return (this.handlers.get(type)?.size ?? 0) > 0;
+        }
+
+        emit(type, detail = {}) {
+            const handlers = this.handlers.get(type);
+            if (!handlers) return;
+            // Copy so handlers can unsubscribe while being called
+            for (const handler of [...handlers]) {
+                try {
+                    handler({ type, ...detail });
+                } catch (error) {
+                    console.error(`Error in "${type}" handler:`, error);
+                }
+            }
+        }
+
+        clear() {
+            this.handlers.clear();
+        }
+    }
+
+    return { EventEmitter };
+});
@@ -0,0 +1,120 @@
+// Force fields and obstacles. Pick a type and press Place, then click the
+// canvas; drag a field to move it, and select one to edit or delete it. The
+// sliders only show the parameters of the selected field's type.
+class FieldPanel {
+    constructor(app) {
+        this.app = app;
+        this.placing = false;
+
+        this.typeSelect = document.getElementById('fieldTypeSelect');
+        this.placeBtn = document.getElementById('placeFieldBtn');
+        this.deleteBtn = document.getElementById('deleteFieldBtn');
+        this.message = document.getElementById('fieldMessage');
+
+        // Slider id, displayed precision and unit for each parameter
+        this.params = {
+            strength: { id: 'fieldStrength', digits: 0, unit: ' px/s²' },
+            radius: { id: 'fieldRadius', digits: 0, unit: ' px' },
+            falloff: { id: 'fieldFalloff', digits: 1, unit: '' },
+            angle: { id: 'fieldAngle', digits: 0, unit: '°' },
+            turbulence: { id: 'fieldTurbulence', digits: 2, unit: '' },
+            width: { id: 'fieldWidth', digits: 0, unit: ' px' },
+            height: { id: 'fieldHeight', digits: 0, unit: ' px' }
+        };
+
+        this.initUI();
+        this.sync();
+    }
+
+    get field() {
+        return this.app.sim.fields.get(this.app.selectedField);
+    }
+
+    initUI() {
+        const app = this.app;
+
+        app.listen(this.placeBtn, 'click', () => {
+            this.placing = !this.placing;
+            this.sync();
+            if (this.placing) {
+                const label = this.typeSelect.selectedOptions[0].textContent.toLowerCase();
+                this.showMessage(`Click the canvas to place the ${label}.`);
+            }
+        });
+        app.listen(this.deleteBtn, 'click', () => this.removeSelected());
+        app.listen(document.getElementById('clearFieldsBtn'), 'click', () => {
+            if (app.sim.fields.list.length === 0) return;
+            this.edit('clear fields', () => app.sim.setFields([]));
+            app.selectField(null);
+        });
+
+        for (const [key, { id }] of Object.entries(this.params)) {
+            app.listen(document.getElementById(`${id}Slider`), 'input', (e) => {
+                const field = this.field;
+                if (!field) return;
+                this.edit(`field ${key} change`, () => {
+                    app.sim.updateField(field.id, { [key]: parseFloat(e.target.value) });
+                }, `field:${field.id}:${key}`);
+            });
+        }
+
+        // Delete or Backspace on the canvas removes the selected field
+        app.listen(app.canvas, 'keydown', (e) => {
+            if (app.inputLocked || (e.key !== 'Delete' && e.key !== 'Backspace')) return;
+            if (!this.field) return;
+            e.preventDefault();
+            this.removeSelected();
+        });
+    }
+
+    // Called by the app for a canvas click while placing
+    place(x, y) {
+        let field = null;
+        this.edit('place field', () => {
+            field = this.app.sim.addField(this.typeSelect.value, x, y);
+        });
+        this.placing = false;
+        this.app.selectField(field.id);
+        this.showMessage('Drag the field to move it.');
+    }
+
+    removeSelected() {
+        const field = this.field;
+        if (!field) return;
+        this.edit('delete field', () => this.app.sim.removeField(field.id));
+        this.app.selectField(null);
+        this.showMessage(`Deleted the ${field.type}.`);
+    }
+
+    // Make a change to the fields as one undoable step
+    edit(label, change, mergeKey = null) {
+        const before = this.app.captureFields();
+        change();
+        this.app.pushFieldHistory(label, before, mergeKey);
+        this.sync();
+    }
+
+    sync() {
+        const field = this.field;
+        this.placeBtn.innerHTML = this.placing ?
+            '<i class="fas fa-xmark"></i> Cancel' :
+            '<i class="fas fa-plus"></i> Place';
+        this.deleteBtn.disabled = !field;
+
+        for (const [key, { id, digits, unit }] of Object.entries(this.params)) {
+            const shown = Boolean(field && field[key] !== undefined);
+            document.getElementById(`${id}Group`).hidden = !shown;
+            if (!shown) continue;
+            document.getElementById(`${id}Slider`).value = field[key];
+            document.getElementById(`${id}Value`).textContent = `${field[key].toFixed(digits)}${unit}`;
+        }
+        document.getElementById('fieldSelection').textContent = field ?
+            `Selected: ${field.type} #${field.id}` :
+            'Select a field on the canvas to edit it.';
+    }
+
+    showMessage(message, isError = false) {
+        this.message.textContent = message;
+        this.message.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,466 @@
+// Curve analysis on top of BezierCurve: subdivision, tight bounds, extrema,
+// inflections, cusps, loops and intersections. All parameters returned are
+// global t.
+(function (root, factory) {
+    const core = typeof module === 'object' && module.exports ? require('./reactor-core.js') : root;
+    const api = factory(core);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ hodograph, splitBezier }) {
+
+    // Parameters this close to a segment end count as the end itself
+    const EDGE = 1e-9;
+
+    // De Casteljau on plain numbers
+    const evaluate1D = (values, t) => {
+        const v = values.slice();
+        for (let n = v.length - 1; n > 0; n--) {
+            for (let i = 0; i < n; i++) {
+                v[i] += (v[i + 1] - v[i]) * t;
+            }
+        }
+        return v[0];
+    };
+
+    // Roots of f in (0, 1): sign changes between samples, then bisection.
+    // Touching roots (double roots) don't change sign and are not reported,
+    // which is what extrema and inflections want.
+    const findRoots = (f, samples) => {
+        const roots = [];
+        let t0 = 0;
+        let f0 = f(0);
+
+        for (let i = 1; i <= samples; i++) {
+            const t1 = i / samples;
+            const f1 = f(t1);
+
+            if (f1 === 0 && i < samples) {
+                roots.push(t1);
+            } else if (f0 !== 0 && Math.sign(f0) !== Math.sign(f1) && f1 !== 0) {
+                let low = t0, high = t1, fLow = f0;
+                for (let k = 0; k < 60; k++) {
+                    const mid = (low + high) / 2;
+                    const fMid = f(mid);
+                    if (Math.sign(fMid) === Math.sign(fLow)) {
+                        low = mid;
+                        fLow = fMid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                roots.push((low + high) / 2);
+            }
+            t0 = t1;
+            f0 = f1;
+        }
+        return roots.filter(t => t > EDGE && t < 1 - EDGE);
+    };
+
+    // Run fn(points, segment) per segment and map local t back to global t
+    const perSegment = (curve, fn) => {
+        const count = curve.segmentCount;
+        const result = [];
+        for (let s = 0; s < count; s++) {
+            for (const t of fn(curve.getSegment(s), s)) {
+                result.push((s + t) / count);
+            }
+        }
+        return result;
+    };
+
+    const samplesFor = (points) => 16 * Math.max(1, points.length - 1);
+
+    // Split at t. A spline splits its segment under t; both halves keep the
+    // curve's type.
+    const splitCurve = (curve, t) => {
+        const points = curve.controlPoints;
+        if (curve.type !== 'spline') return splitBezier(points, t);
+
+        const { segment, localT } = curve.locate(t);
+        const start = segment * 3;
+        const { left, right } = splitBezier(points.slice(start, start + 4), localT);
+        return {
+            left: [...points.slice(0, start).map(p => ({ x: p.x, y: p.y })), ...left],
+            right: [...right, ...points.slice(start + 4).map(p => ({ x: p.x, y: p.y }))]
+        };
+    };
+
+    // Local extrema in x and y: roots of each derivative component
+    const getExtrema = (curve) => {
+        const axisRoots = (axis) => perSegment(curve, (points) => {
+            const derivative = hodograph(points).map(p => p[axis]);
+            return findRoots(t => evaluate1D(derivative, t), samplesFor(points));
+        });
+        return { x: axisRoots('x'), y: axisRoots('y') };
+    };
+
+    // Exact axis-aligned bounds: end points, spline anchors and extrema
+    const getBoundingBox = (curve) => {
+        const extrema = getExtrema(curve);
+        const ts = [...extrema.x, ...extrema.y];
+        for (let s = 0; s <= curve.segmentCount; s++) {
+            ts.push(s / curve.segmentCount);
+        }
+
+        const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const t of ts) {
+            const { x, y } = curve.calculateBezierPoint(t);
+            box.minX = Math.min(box.minX, x);
+            box.minY = Math.min(box.minY, y);
+            box.maxX = Math.max(box.maxX, x);
+            box.maxY = Math.max(box.maxY, y);
+        }
+        return box;
+    };
+
+    // Whether the whole curve lies inside rect { x, y, width, height }
+    const fitsInside = (curve, rect) => {
+        const box = getBoundingBox(curve);
+        return box.minX >= rect.x && box.minY >= rect.y &&
+            box.maxX <= rect.x + rect.width && box.maxY <= rect.y + rect.height;
+    };
+
+    // Where the signed curvature changes sign: roots of B' × B''
+    const getInflections = (curve) => perSegment(curve, (points) => {
+        const first = hodograph(points);
+        const second = hodograph(first);
+        if (second.length === 0) return [];
+
+        return findRoots((t) => {
+            const d1x = evaluate1D(first.map(p => p.x), t);
+            const d1y = evaluate1D(first.map(p => p.y), t);
+            const d2x = evaluate1D(second.map(p => p.x), t);
+            const d2y = evaluate1D(second.map(p => p.y), t);
+            return d1x * d2y - d1y * d2x;
+        }, samplesFor(points) * 2);
+    });
+
+    // Cusps and loops of each cubic segment. Writing the cubic in power form
+    // B(t) = a t³ + b t² + c t + d, two parameters t1 ≠ t2 with B(t1) = B(t2)
+    // satisfy a (s² − p) + b s + c = 0 with s = t1 + t2 and p = t1 t2. That is
+    // linear in (s² − p, s); t1 and t2 are then the roots of z² − s z + p.
+    // A loop whose parameters nearly coincide is reported as a cusp.
+    const CUSP_TOLERANCE = 1e-4;
+
+    const classifyCubic = ([p0, p1, p2, p3]) => {
+        const a = {
+            x: -p0.x + 3 * p1.x - 3 * p2.x + p3.x,
+            y: -p0.y + 3 * p1.y - 3 * p2.y + p3.y
+        };
+        const b = {
+            x: 3 * p0.x - 6 * p1.x + 3 * p2.x,
+            y: 3 * p0.y - 6 * p1.y + 3 * p2.y
+        };
+        const c = { x: 3 * (p1.x - p0.x), y: 3 * (p1.y - p0.y) };
+
+        const det = a.x * b.y - a.y * b.x;
+        const scale = Math.hypot(a.x, a.y) * Math.hypot(b.x, b.y);
+        if (Math.abs(det) <= 1e-12 * scale || scale === 0) return null;
+
+        const u = (b.x * c.y - b.y * c.x) / det;
+        const s = (a.y * c.x - a.x * c.y) / det;
+        const p = s * s - u;
+        const discriminant = s * s - 4 * p;
+        const inside = (t) => t >= 0 && t <= 1;
+
+        if (discriminant > CUSP_TOLERANCE) {
+            const root = Math.sqrt(discriminant);
+            const t1 = (s - root) / 2;
+            const t2 = (s + root) / 2;
+            if (inside(t1) && inside(t2)) return { type: 'loop', t: [t1, t2] };
+        } else if (discriminant > -CUSP_TOLERANCE && inside(s / 2)) {
+            return { type: 'cusp', t: [s / 2] };
+        }
+        return null;
+    };
+
+    // [{ type: 'cusp' | 'loop', t: [...] }] for cubic segments. Other degrees
+    // are checked for cusps only, as points where the speed drops to ~0.
+    const getSingularities = (curve) => {
+        const count = curve.segmentCount;
+        const result = [];
+
+        for (let s = 0; s < count; s++) {
+            const points = curve.getSegment(s);
+            const toGlobal = (t) => (s + t) / count;
+
+            if (points.length === 4) {
+                const found = classifyCubic(points);
+                if (found) result.push({ type: found.type, t: found.t.map(toGlobal) });
+                continue;
+            }
+
+            const derivative = hodograph(points);
+            const speed = (t) => {
+                const x = evaluate1D(derivative.map(p => p.x), t);
+                const y = evaluate1D(derivative.map(p => p.y), t);
+                return Math.hypot(x, y);
+            };
+            const samples = samplesFor(points) * 4;
+            const speeds = [];
+            for (let i = 0; i <= samples; i++) speeds.push(speed(i / samples));
+            const limit = Math.max(...speeds) * 1e-3;
+
+            for (let i = 1; i < samples; i++) {
+                if (speeds[i] <= speeds[i - 1] && speeds[i] <= speeds[i + 1] && speeds[i] < limit) {
+                    result.push({ type: 'cusp', t: [toGlobal(i / samples)] });
+                }
+            }
+        }
+        return result;
+    };
+
+    // Crossings with the line segment a-b: roots of the signed distance to the
+    // line, which is itself a Bézier in t. u is the position along a-b.
+    const intersectLine = (curve, a, b) => {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) return [];
+
+        const ts = perSegment(curve, (points) => {
+            const distance = points.map(p => (p.x - a.x) * dy - (p.y - a.y) * dx);
+            return findRoots(t => evaluate1D(distance, t), samplesFor(points) * 2);
+        });
+
+        const result = [];
+        for (const t of ts) {
+            const point = curve.calculateBezierPoint(t);
+            const u = ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared;
+            if (u >= 0 && u <= 1) result.push({ t, u, point });
+        }
+        return result;
+    };
+
+    // Curve-curve intersection by subdivision: pieces that may touch are
+    // halved until both are flat, then their chords are crossed and the
+    // candidate is polished with Newton on A(t) - B(u) = 0. Where the curves
+    // overlap, as a curve on its rest shape or on a copy of itself, there is
+    // no single crossing: matching pieces are skipped, and so are points
+    // where the curves meet without crossing.
+    const PIECE_SIZE = 0.05;
+    const FLAT_TOLERANCE = 0.001;
+    const OVERLAP_TOLERANCE = 0.5;
+    const MAX_DEPTH = 32;
+    const MAX_CANDIDATES = 512;
+
+    const pieceBounds = ({ points }) => {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        return {
+            minX: Math.min(...xs), minY: Math.min(...ys),
+            maxX: Math.max(...xs), maxY: Math.max(...ys)
+        };
+    };
+
+    // Control polygons that agree, either way round, to within 1% of their
+    // size and at most OVERLAP_TOLERANCE px
+    const samePiece = (a, b, size) => {
+        const n = a.points.length;
+        if (b.points.length !== n) return false;
+        const tolerance = Math.min(OVERLAP_TOLERANCE, size / 100);
+        const close = (p, q) => Math.hypot(p.x - q.x, p.y - q.y) <= tolerance;
+        return a.points.every((p, i) => close(p, b.points[i])) ||
+            a.points.every((p, i) => close(p, b.points[n - 1 - i]));
+    };
+
+    // Signed distances of points from the line through a piece's chord
+    const chordDistances = ({ points }, others = points) => {
+        const a = points[0];
+        const b = points[points.length - 1];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length === 0) return null;
+        return others.map(p => ((p.x - a.x) * (b.y - a.y) - (p.y - a.y) * (b.x - a.x)) / length);
+    };
+
+    // Each piece lies in the band its control points span about its chord
+    // (a fat line); if the other's control points are all outside, they
+    // can't meet. Sharper than the bounding boxes for pieces side by side.
+    const outsideFatLine = (a, b) => {
+        const band = chordDistances(a);
+        if (!band) return false;
+        const other = chordDistances(a, b.points);
+        return Math.min(...other) > Math.max(...band) || Math.max(...other) < Math.min(...band);
+    };
+
+    // Farthest control point from the chord. Measured to the segment, not
+    // its line, so a handle that overshoots an end keeps the piece curved.
+    const chordDeviation = ({ points }) => {
+        const a = points[0];
+        const b = points[points.length - 1];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        if (lengthSquared === 0) return Infinity;
+        return Math.max(...points.map((p) => {
+            const u = Math.min(Math.max(((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared, 0), 1);
+            return Math.hypot(p.x - a.x - u * dx, p.y - a.y - u * dy);
+        }));
+    };
+
+    // Where the chords of two flat pieces cross, as t and u, or null
+    const crossChords = (a, b) => {
+        const p = a.points[0];
+        const q = b.points[0];
+        const r = { x: a.points[a.points.length - 1].x - p.x, y: a.points[a.points.length - 1].y - p.y };
+        const s = { x: b.points[b.points.length - 1].x - q.x, y: b.points[b.points.length - 1].y - q.y };
+        const det = r.x * s.y - r.y * s.x;
+        if (Math.abs(det) <= 1e-9 * Math.hypot(r.x, r.y) * Math.hypot(s.x, s.y)) return null;
+
+        const along = ((q.x - p.x) * s.y - (q.y - p.y) * s.x) / det;
+        const across = ((q.x - p.x) * r.y - (q.y - p.y) * r.x) / det;
+        if (along < 0 || along > 1 || across < 0 || across > 1) return null;
+        return { t: a.t0 + along * (a.t1 - a.t0), u: b.t0 + across * (b.t1 - b.t0) };
+    };
+
+    const halve = (piece) => {
+        const { left, right } = splitBezier(piece.points, 0.5);
+        const mid = (piece.t0 + piece.t1) / 2;
+        return [
+            { points: left, t0: piece.t0, t1: mid },
+            { points: right, t0: mid, t1: piece.t1 }
+        ];
+    };
+
+    // Part of a segment between local parameters from and to
+    const segmentPiece = (points, from, to, s, count) => {
+        let piece = to < 1 ? splitBezier(points, to).left : points.map(p => ({ x: p.x, y: p.y }));
+        if (from > 0) piece = splitBezier(piece, from / to).right;
+        return { points: piece, t0: (s + from) / count, t1: (s + to) / count };
+    };
+
+    const curvePieces = (curve, cutsFor = () => []) => {
+        const count = curve.segmentCount;
+        const pieces = [];
+        for (let s = 0; s < count; s++) {
+            const points = curve.getSegment(s);
+            const cuts = [0, ...cutsFor(points).sort((a, b) => a - b), 1];
+            for (let i = 0; i < cuts.length - 1; i++) {
+                pieces.push(segmentPiece(points, cuts[i], cuts[i + 1], s, count));
+            }
+        }
+        return pieces;
+    };
+
+    const collectCandidates = (a, b, depth, out) => {
+        if (out.length >= MAX_CANDIDATES) return;
+        const boxA = pieceBounds(a);
+        const boxB = pieceBounds(b);
+        if (boxA.maxX < boxB.minX || boxB.maxX < boxA.minX ||
+            boxA.maxY < boxB.minY || boxB.maxY < boxA.minY) return;
+
+        const sizeA = Math.max(boxA.maxX - boxA.minX, boxA.maxY - boxA.minY);
+        const sizeB = Math.max(boxB.maxX - boxB.minX, boxB.maxY - boxB.minY);
+        if ((sizeA <= PIECE_SIZE && sizeB <= PIECE_SIZE) || depth >= MAX_DEPTH) {
+            out.push({ t: (a.t0 + a.t1) / 2, u: (b.t0 + b.t1) / 2 });
+            return;
+        }
+        if (samePiece(a, b, Math.max(sizeA, sizeB)) || outsideFatLine(a, b) || outsideFatLine(b, a)) return;
+        if (chordDeviation(a) <= FLAT_TOLERANCE && chordDeviation(b) <= FLAT_TOLERANCE) {
+            const crossing = crossChords(a, b);
+            if (crossing) out.push(crossing);
+            return;
+        }
+
+        // Halve the bigger piece
+        if (sizeA >= sizeB) {
+            for (const half of halve(a)) collectCandidates(half, b, depth + 1, out);
+        } else {
+            for (const half of halve(b)) collectCandidates(a, half, depth + 1, out);
+        }
+    };
+
+    const clamp01 = (v) => Math.min(Math.max(v, 0), 1);
+
+    const refineIntersection = (curveA, curveB, t, u) => {
+        for (let i = 0; i < 8; i++) {
+            const pa = curveA.calculateBezierPoint(t);
+            const pb = curveB.calculateBezierPoint(u);
+            const da = curveA.calculateBezierTangent(t);
+            const db = curveB.calculateBezierTangent(u);
+            const fx = pa.x - pb.x;
+            const fy = pa.y - pb.y;
+
+            // Solve [da, -db] [dt, du] = -f
+            const det = -da.x * db.y + da.y * db.x;
+            if (Math.abs(det) < 1e-12) break;
+            const dt = (fx * db.y - fy * db.x) / det;
+            const du = (da.y * fx - da.x * fy) / det;
+            t = clamp01(t + dt);
+            u = clamp01(u + du);
+            if (Math.abs(dt) < 1e-12 && Math.abs(du) < 1e-12) break;
+        }
+        return { t, u, point: curveA.calculateBezierPoint(t) };
+    };
+
+    // Drop hits that refined to the same place, any that Newton pulled off
+    // the crossing, and touching points where the curves run side by side
+    const uniqueHits = (curveA, curveB, hits) => {
+        const result = [];
+        for (const hit of hits) {
+            const other = curveB.calculateBezierPoint(hit.u);
+            if (Math.hypot(hit.point.x - other.x, hit.point.y - other.y) > PIECE_SIZE) continue;
+            const da = curveA.calculateBezierTangent(hit.t);
+            const db = curveB.calculateBezierTangent(hit.u);
+            if (Math.abs(da.x * db.y - da.y * db.x) <= 1e-6 * Math.hypot(da.x, da.y) * Math.hypot(db.x, db.y)) continue;
+            if (result.some(r => Math.hypot(r.point.x - hit.point.x, r.point.y - hit.point.y) < 0.5 &&
+                Math.abs(r.t - hit.t) < 1e-3)) continue;
+            result.push(hit);
+        }
+        return result.sort((a, b) => a.t - b.t);
+    };
+
+    // [{ t, u, point }] with t on curveA and u on curveB
+    const intersectCurves = (curveA, curveB) => {
+        const candidates = [];
+        for (const a of curvePieces(curveA)) {
+            for (const b of curvePieces(curveB)) {
+                collectCandidates(a, b, 0, candidates);
+            }
+        }
+        const hits = candidates.map(({ t, u }) => refineIntersection(curveA, curveB, t, u));
+        return uniqueHits(curveA, curveB, hits);
+    };
+
+    // [{ t, u, point }] with t < u. Pieces monotone in x and y can't cross
+    // themselves, so the curve is cut at its extrema and the pieces are
+    // intersected pairwise; touching neighbours only meet where t = u.
+    const getSelfIntersections = (curve) => {
+        const pieces = curvePieces(curve, (points) => {
+            const derivative = hodograph(points);
+            const roots = ['x', 'y'].flatMap(axis =>
+                findRoots(t => evaluate1D(derivative.map(p => p[axis]), t), samplesFor(points)));
+            return roots.filter((t, i) => roots.findIndex(r => Math.abs(r - t) < 1e-9) === i);
+        });
+
+        const candidates = [];
+        for (let i = 0; i < pieces.length; i++) {
+            for (let j = i + 1; j < pieces.length; j++) {
+                collectCandidates(pieces[i], pieces[j], 0, candidates);
+            }
+        }
+        const hits = candidates
+            .map(({ t, u }) => refineIntersection(curve, curve, t, u))
+            .filter(hit => Math.abs(hit.u - hit.t) > 1e-3)
+            .map(hit => (hit.t < hit.u ? hit : { t: hit.u, u: hit.t, point: hit.point }));
+        return uniqueHits(curve, curve, hits);
+    };
+
+    return {
+        evaluate1D,
+        findRoots,
+        splitCurve,
+        getExtrema,
+        getBoundingBox,
+        fitsInside,
+        getInflections,
+        classifyCubic,
+        getSingularities,
+        intersectLine,
+        intersectCurves,
+        getSelfIntersections
+    };
+});
@@ -0,0 +1,104 @@
+// Undo/redo stack of commands. A command is { label, undo(), redo() } and is
+// pushed after its change has been made. Commands sharing a mergeKey that
+// arrive within mergeWindow ms of each other collapse into one entry, so a
+// slider drag undoes in one go.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    class CommandHistory {
+        constructor({ limit = 100, mergeWindow = 1000, now = () => Date.now() } = {}) {
+            this.limit = limit;
+            this.mergeWindow = mergeWindow;
+            this.now = now;
+            this.undoStack = [];
+            this.redoStack = [];
+            this.onChange = null;
+        }
+
+        get canUndo() {
+            return this.undoStack.length > 0;
+        }
+
+        get canRedo() {
+            return this.redoStack.length > 0;
+        }
+
+        get undoLabel() {
+            return this.canUndo ? this.undoStack[this.undoStack.length - 1].label : null;
+        }
+
+        get redoLabel() {
+            return this.canRedo ? this.redoStack[this.redoStack.length - 1].label : null;
+        }
+
+        push({ label, undo, redo, mergeKey = null }) {
+            const time = this.now();
+            const last = this.undoStack[this.undoStack.length - 1];
+            this.redoStack = [];
+
+            // Keep the first undo, take the latest redo
+            if (mergeKey !== null && last && last.mergeKey === mergeKey && time - last.time <= this.mergeWindow) {
+                last.redo = redo;
+                last.time = time;
+            } else {
+                this.undoStack.push({ label, undo, redo, mergeKey, time });
+                if (this.undoStack.length > this.limit) {
+                    this.undoStack.shift();
+                }
+            }
+            this.changed();
+        }
+
+        undo() {
+            const command = this.undoStack.pop();
+            if (!command) return null;
+
+            command.undo();
+            // A later push must not merge into a command that was undone and redone
+            command.mergeKey = null;
+            this.redoStack.push(command);
+            this.changed();
+            return command;
+        }
+
+        redo() {
+            const command = this.redoStack.pop();
+            if (!command) return null;
+
+            command.redo();
+            this.undoStack.push(command);
+            this.changed();
+            return command;
+        }
+
+        // Both stacks as they are now, to put back with restore(), e.g. after
+        // a mode whose edits shouldn't outlive it
+        snapshot() {
+            return { undoStack: [...this.undoStack], redoStack: [...this.redoStack] };
+        }
+
+        restore({ undoStack, redoStack }) {
+            this.undoStack = [...undoStack];
+            this.redoStack = [...redoStack];
+            this.changed();
+        }
+
+        clear() {
+            this.undoStack = [];
+            this.redoStack = [];
+            this.changed();
+        }
+
+        changed() {
+            if (this.onChange) this.onChange(this);
+        }
+    }
+
+    return { CommandHistory };
+});
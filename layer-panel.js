@@ -0,0 +1,157 @@
+// Curves in the scene, topmost first. Clicking a name selects that curve for
+// the other panels and the canvas; the eye hides it and the padlock stops it
+// being edited on the canvas. Every change goes through the undo history.
+class LayerPanel {
+    constructor(app) {
+        this.app = app;
+
+        this.list = document.getElementById('layerList');
+        this.nameInput = document.getElementById('layerNameInput');
+        this.colorInputs = ['Start', 'Middle', 'End'].map(stop => document.getElementById(`layerColor${stop}Input`));
+        this.deleteBtn = document.getElementById('deleteLayerBtn');
+        this.message = document.getElementById('layerMessage');
+
+        this.initUI();
+        this.sync();
+    }
+
+    get sim() {
+        return this.app.sim;
+    }
+
+    initUI() {
+        const app = this.app;
+
+        app.listen(document.getElementById('addLayerBtn'), 'click', () => {
+            this.edit('add curve', () => this.sim.addLayer());
+            this.showMessage(`Added ${this.sim.layer.name}.`);
+        });
+        app.listen(document.getElementById('duplicateLayerBtn'), 'click', () => {
+            this.edit('duplicate curve', () => this.sim.duplicateLayer(this.sim.layer.id));
+            this.showMessage(`Added ${this.sim.layer.name}.`);
+        });
+        app.listen(this.deleteBtn, 'click', () => {
+            const { name } = this.sim.layer;
+            this.edit('delete curve', () => this.sim.removeLayer(this.sim.layer.id));
+            this.showMessage(`Deleted ${name}.`);
+        });
+
+        app.listen(this.list, 'click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const id = parseInt(button.dataset.id, 10);
+            const layer = this.sim.getLayer(id);
+            if (!layer) return;
+
+            if (button.dataset.action === 'select') {
+                app.selectLayer(id);
+            } else if (button.dataset.action === 'visible') {
+                this.change(layer.visible ? 'hide curve' : 'show curve', id, { visible: !layer.visible });
+            } else {
+                this.change(layer.locked ? 'unlock curve' : 'lock curve', id, { locked: !layer.locked });
+            }
+        });
+
+        // An emptied name keeps the old one
+        app.listen(this.nameInput, 'change', () => {
+            const name = this.nameInput.value.trim();
+            if (name) this.change('curve rename', this.sim.layer.id, { name });
+            else this.sync();
+        });
+        this.colorInputs.forEach((input, i) => {
+            app.listen(input, 'input', () => {
+                const colors = [...this.sim.layer.colors];
+                colors[i] = input.value;
+                this.change('curve colour change', this.sim.layer.id, { colors }, `layerColor:${i}`);
+            });
+        });
+    }
+
+    // Add, duplicate or delete as one undoable step; the new or remaining
+    // curve is selected
+    edit(label, change) {
+        const app = this.app;
+        if (app.isDragging) return;
+
+        const before = app.captureLayers();
+        app.morph = null;
+        change();
+        app.pushLayerHistory(label, before);
+        app.syncControls();
+    }
+
+    // Name, colours, visibility or lock of one curve
+    change(label, id, props, mergeKey = null) {
+        const layer = this.sim.getLayer(id);
+        const before = {};
+        for (const key of Object.keys(props)) before[key] = layer[key];
+
+        // Hiding or locking lets go of the curve's points
+        if (layer === this.sim.layer && (props.visible === false || props.locked === true)) {
+            this.app.releaseAllPointers();
+        }
+        this.sim.setLayer(id, props);
+        this.app.pushHistory(label, before, props, (settings) => {
+            this.sim.setLayer(id, settings);
+            this.app.syncControls();
+        }, mergeKey && `${mergeKey}:${id}`);
+        this.app.syncControls();
+    }
+
+    sync() {
+        const { layers, layer: selected } = this.sim;
+        // The easing editor works on the selected curve alone
+        const editing = Boolean(this.app.easingEditor?.active);
+
+        this.list.replaceChildren(...[...layers].reverse().map((layer) => {
+            const row = document.createElement('div');
+            row.className = 'layer-row';
+            row.classList.toggle('selected', layer === selected);
+            row.classList.toggle('hidden', !layer.visible);
+
+            const swatch = document.createElement('span');
+            swatch.className = 'layer-swatch';
+            swatch.style.background = `linear-gradient(90deg, ${layer.colors.join(', ')})`;
+
+            const name = this.createButton(layer, 'select', 'layer-name', editing);
+            name.textContent = layer.name;
+            name.title = `Select ${layer.name}`;
+            name.setAttribute('aria-pressed', String(layer === selected));
+
+            const visible = this.createButton(layer, 'visible', 'layer-toggle', editing);
+            visible.innerHTML = `<i class="fas fa-${layer.visible ? 'eye' : 'eye-slash'}"></i>`;
+            visible.title = layer.visible ? 'Hide' : 'Show';
+            visible.setAttribute('aria-label', `${visible.title} ${layer.name}`);
+
+            const locked = this.createButton(layer, 'locked', 'layer-toggle', editing);
+            locked.innerHTML = `<i class="fas fa-${layer.locked ? 'lock' : 'lock-open'}"></i>`;
+            locked.title = layer.locked ? 'Unlock' : 'Lock';
+            locked.setAttribute('aria-label', `${locked.title} ${layer.name}`);
+
+            row.append(swatch, name, visible, locked);
+            return row;
+        }));
+
+        this.nameInput.value = selected.name;
+        this.colorInputs.forEach((input, i) => { input.value = selected.colors[i]; });
+        for (const id of ['addLayerBtn', 'duplicateLayerBtn']) {
+            document.getElementById(id).disabled = editing;
+        }
+        this.deleteBtn.disabled = editing || layers.length === 1;
+        document.getElementById('layerCount').textContent = layers.length;
+    }
+
+    createButton(layer, action, className, disabled) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.dataset.action = action;
+        button.dataset.id = layer.id;
+        button.disabled = disabled;
+        return button;
+    }
+
+    showMessage(message, isError = false) {
+        this.message.textContent = message;
+        this.message.classList.toggle('error', isError);
+    }
+}
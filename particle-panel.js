@@ -0,0 +1,103 @@
+// Particle pool size and emitter settings. One set of controls edits whichever
+// emitter is selected: pointer bursts, moving handles or the curve itself.
+class ParticlePanel {
+    constructor(app) {
+        this.app = app;
+        this.selected = 'burst';
+
+        this.maxSlider = document.getElementById('maxParticlesSlider');
+        this.emitterSelect = document.getElementById('emitterSelect');
+        this.enabledToggle = document.getElementById('emitterEnabledToggle');
+        this.rateSlider = document.getElementById('emitterRateSlider');
+        this.lifetimeSlider = document.getElementById('emitterLifetimeSlider');
+        this.gravitySlider = document.getElementById('emitterGravitySlider');
+        this.colorInput = document.getElementById('emitterColorInput');
+
+        this.initUI();
+        this.sync();
+    }
+
+    get emitter() {
+        return this.app.sim.particles.emitters[this.selected];
+    }
+
+    initUI() {
+        this.app.listen(this.maxSlider, 'input', () => {
+            const sim = this.app.sim;
+            const before = sim.particles.capacity;
+            sim.setMaxParticles(parseInt(this.maxSlider.value, 10));
+            this.app.pushHistory('max particles change', before, sim.particles.capacity, (max) => {
+                sim.setMaxParticles(max);
+                this.sync();
+            }, 'maxParticles');
+            this.sync();
+        });
+
+        this.app.listen(this.emitterSelect, 'change', () => {
+            this.selected = this.emitterSelect.value;
+            this.sync();
+        });
+
+        this.app.listen(this.enabledToggle, 'change', () => {
+            this.changeEmitter('emitter toggle', { enabled: this.enabledToggle.checked });
+        });
+        this.app.listen(this.rateSlider, 'input', () => {
+            this.changeEmitter('emitter rate change', { rate: parseFloat(this.rateSlider.value) }, 'rate');
+        });
+        // The slider sets the longest lifetime; the shortest is half of it
+        this.app.listen(this.lifetimeSlider, 'input', () => {
+            const max = parseFloat(this.lifetimeSlider.value);
+            this.changeEmitter('emitter lifetime change', { lifetime: [max / 2, max] }, 'lifetime');
+        });
+        this.app.listen(this.gravitySlider, 'input', () => {
+            this.changeEmitter('emitter gravity change', { gravity: parseFloat(this.gravitySlider.value) }, 'gravity');
+        });
+        this.app.listen(this.colorInput, 'change', () => {
+            this.changeEmitter('emitter colour change', { colors: [this.colorInput.value] });
+        });
+
+        this.app.listen(document.getElementById('curveBurstBtn'), 'click', () => this.app.sim.emitAlongCurve(60));
+    }
+
+    changeEmitter(label, options, mergeKey = null) {
+        const name = this.selected;
+        const sim = this.app.sim;
+        const before = {};
+        for (const key of Object.keys(options)) before[key] = sim.particles.emitters[name][key];
+
+        sim.setEmitter(name, options);
+        this.app.pushHistory(label, before, options, (settings) => {
+            sim.setEmitter(name, settings);
+            this.sync();
+        }, mergeKey && `emitter:${name}:${mergeKey}`);
+        this.sync();
+    }
+
+    sync() {
+        const emitter = this.emitter;
+        const capacity = this.app.sim.particles.capacity;
+
+        this.maxSlider.value = capacity;
+        document.getElementById('maxParticlesValue').textContent = capacity;
+        this.emitterSelect.value = this.selected;
+        this.enabledToggle.checked = emitter.enabled;
+
+        // Bursts are sized by the pointer, so they have no rate
+        this.rateSlider.disabled = emitter.rate === undefined;
+        const rateLabel = document.getElementById('emitterRateValue');
+        if (emitter.rate === undefined) {
+            rateLabel.textContent = '—';
+        } else {
+            const [min, max, step] = this.selected === 'curve' ? [0, 200, 5] : [0, 0.5, 0.01];
+            Object.assign(this.rateSlider, { min, max, step });
+            this.rateSlider.value = emitter.rate;
+            rateLabel.textContent = this.selected === 'curve' ? `${emitter.rate}/s` : `${emitter.rate.toFixed(2)}/px`;
+        }
+
+        this.lifetimeSlider.value = emitter.lifetime[1];
+        document.getElementById('emitterLifetimeValue').textContent = `${emitter.lifetime[1].toFixed(1)} s`;
+        this.gravitySlider.value = emitter.gravity;
+        document.getElementById('emitterGravityValue').textContent = emitter.gravity.toFixed(2);
+        this.colorInput.value = emitter.colors[0];
+    }
+}
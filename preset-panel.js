@@ -0,0 +1,177 @@
+// Preset buttons, generated from the app's preset library, plus saving,
+// renaming, deleting and exchanging the user's own presets. User presets are
+// kept in localStorage separately from the scene.
+class PresetPanel {
+    constructor(app, { storageKey = 'curvee-reactor.presets' } = {}) {
+        this.app = app;
+        this.storageKey = storageKey;
+        this.selected = null;
+
+        this.grid = document.getElementById('presetGrid');
+        this.nameInput = document.getElementById('presetNameInput');
+        this.renameBtn = document.getElementById('renamePresetBtn');
+        this.deleteBtn = document.getElementById('deletePresetBtn');
+        this.morphSlider = document.getElementById('morphSlider');
+        this.message = document.getElementById('presetMessage');
+
+        this.load();
+        this.app.presets.onChange = () => {
+            this.store();
+            this.render();
+        };
+
+        this.initUI();
+        this.render();
+        this.syncMorph();
+    }
+
+    get library() {
+        return this.app.presets;
+    }
+
+    initUI() {
+        this.app.listen(this.grid, 'click', (e) => {
+            const button = e.target.closest('.preset-btn');
+            if (!button) return;
+            this.select(button.dataset.preset);
+            this.app.applyPreset(button.dataset.preset);
+        });
+
+        this.app.listen(this.morphSlider, 'input', () => {
+            this.app.morphDuration = parseFloat(this.morphSlider.value);
+            this.syncMorph();
+        });
+
+        this.app.listen(document.getElementById('savePresetBtn'), 'click', () => this.save());
+        this.app.listen(this.nameInput, 'keydown', (e) => {
+            if (e.key === 'Enter') this.save();
+        });
+        this.app.listen(this.renameBtn, 'click', () => this.rename());
+        this.app.listen(this.deleteBtn, 'click', () => this.remove());
+
+        this.app.listen(document.getElementById('exportPresetsBtn'), 'click', () => this.exportPresets());
+        this.app.listen(document.getElementById('presetsFile'), 'change', (e) => {
+            if (e.target.files.length > 0) this.importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+    }
+
+    load() {
+        let json = null;
+        try {
+            json = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return;
+        }
+        if (!json) return;
+
+        try {
+            this.library.import(json);
+        } catch (error) {
+            if (!(error instanceof SceneFormatError)) throw error;
+            console.warn('Ignoring saved presets:', error.message);
+        }
+    }
+
+    store() {
+        try {
+            localStorage.setItem(this.storageKey, this.library.export());
+        } catch (error) {
+            // Storage can be full or disabled (private mode); persisting is best-effort
+            console.warn('Could not save presets:', error);
+        }
+    }
+
+    render() {
+        this.grid.replaceChildren(...this.library.all.map((preset) => {
+            const button = document.createElement('button');
+            button.className = 'preset-btn';
+            button.classList.toggle('custom', !preset.builtIn);
+            button.classList.toggle('selected', preset.name === this.selected);
+            button.dataset.preset = preset.name;
+            button.textContent = preset.label;
+            return button;
+        }));
+
+        // Rename and delete apply to the selected user preset
+        const preset = this.selected && this.library.find(this.selected);
+        const editable = Boolean(preset && !preset.builtIn);
+        this.renameBtn.disabled = !editable;
+        this.deleteBtn.disabled = !editable;
+    }
+
+    select(name) {
+        this.selected = name;
+        const preset = this.library.find(name);
+        if (preset && !preset.builtIn) this.nameInput.value = preset.name;
+        this.render();
+    }
+
+    syncMorph() {
+        const duration = this.app.morphDuration;
+        this.morphSlider.value = duration;
+        document.getElementById('morphValue').textContent = duration > 0 ? `${duration.toFixed(1)} s` : 'Snap';
+    }
+
+    // Library changes throw SceneFormatError for names or files that don't fit
+    attempt(change) {
+        try {
+            const message = change();
+            this.showMessage(message);
+        } catch (error) {
+            if (!(error instanceof SceneFormatError)) throw error;
+            this.showMessage(error.message, true);
+        }
+    }
+
+    save() {
+        this.attempt(() => {
+            const preset = this.library.save(this.nameInput.value, this.app.getPhysics());
+            this.select(preset.name);
+            return `Saved "${preset.label}".`;
+        });
+    }
+
+    rename() {
+        this.attempt(() => {
+            const oldName = this.library.findCustom(this.selected).name;
+            const preset = this.library.rename(oldName, this.nameInput.value);
+            this.select(preset.name);
+            return `Renamed "${oldName}" to "${preset.label}".`;
+        });
+    }
+
+    remove() {
+        this.attempt(() => {
+            const name = this.library.findCustom(this.selected).name;
+            this.library.remove(name);
+            this.nameInput.value = '';
+            this.select(null);
+            return `Deleted "${name}".`;
+        });
+    }
+
+    exportPresets() {
+        if (this.library.custom.length === 0) {
+            this.showMessage('Save a preset first; built-in presets are not exported.', true);
+            return;
+        }
+        this.app.downloadFile('curvee-presets.json', this.library.export(), 'application/json');
+        this.showMessage(`Exported ${this.library.custom.length} preset(s).`);
+    }
+
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => this.attempt(() => {
+            const count = this.library.import(String(reader.result));
+            return `Imported ${count} preset(s).`;
+        });
+        reader.onerror = () => this.showMessage(`Could not read ${file.name}.`, true);
+        reader.readAsText(file);
+    }
+
+    showMessage(message, isError = false) {
+        this.message.textContent = message;
+        this.message.classList.toggle('error', isError);
+    }
+}
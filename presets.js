@@ -0,0 +1,209 @@
+// Physics presets: the built-in set plus presets saved by the user, JSON
+// import/export of the user's presets, and morphing from one set of physics
+// parameters to another over time.
+(function (root, factory) {
+    const deps = typeof module === 'object' && module.exports ?
+        { ...require('./scene-io.js'), ...require('./easing.js') } :
+        root;
+    const api = factory(deps);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ SceneFormatError, CubicBezierEasing }) {
+
+    const PRESETS_VERSION = 1;
+
+    // Physics parameters a preset can carry; numbers morph, the rest switch
+    // when a morph ends
+    const PRESET_KEYS = [
+        'stiffness', 'damping', 'mouseInfluence', 'integrator',
+        'model', 'ropeStiffness', 'ropeSegments', 'gravity'
+    ];
+    const CHOICES = {
+        integrator: ['euler', 'verlet', 'rk4'],
+        model: ['springs', 'rope']
+    };
+
+    // stiffness in 1/s², damping in 1/s
+    const BUILT_IN_PRESETS = [
+        { name: 'bouncy', label: 'Bouncy', physics: { stiffness: 72, damping: 51, mouseInfluence: 0.8 } },
+        { name: 'stiff', label: 'Stiff', physics: { stiffness: 360, damping: 57, mouseInfluence: 0.3 } },
+        { name: 'fluid', label: 'Fluid', physics: { stiffness: 108, damping: 54, mouseInfluence: 1.2 } },
+        { name: 'magnetic', label: 'Magnetic', physics: { stiffness: 180, damping: 55.2, mouseInfluence: 1.5 } },
+        { name: 'heavy', label: 'Heavy', physics: { stiffness: 288, damping: 58.8, mouseInfluence: 0.4 } },
+        { name: 'light', label: 'Light', physics: { stiffness: 36, damping: 48, mouseInfluence: 2.0 } }
+    ].map(preset => ({ ...preset, builtIn: true }));
+
+    // Just the preset keys, validated; throws SceneFormatError
+    function pickPhysics(physics, label) {
+        if (!physics || typeof physics !== 'object') throw new SceneFormatError(`${label} has no physics.`);
+
+        const picked = {};
+        for (const key of PRESET_KEYS) {
+            if (physics[key] === undefined) continue;
+            const value = physics[key];
+            if (CHOICES[key] ? !CHOICES[key].includes(value) : !Number.isFinite(value)) {
+                throw new SceneFormatError(`${label} has an invalid ${key}.`);
+            }
+            picked[key] = value;
+        }
+        if (Object.keys(picked).length === 0) throw new SceneFormatError(`${label} sets no physics parameters.`);
+        return picked;
+    }
+
+    function checkName(name) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new SceneFormatError('A preset needs a name.');
+        }
+        return name.trim();
+    }
+
+    // Built-in presets are fixed; user presets can be saved (overwriting one
+    // of the same name), renamed and deleted. Names are case-insensitive.
+    class PresetLibrary {
+        constructor(custom = []) {
+            this.custom = [];
+            this.onChange = null;
+            custom.forEach(preset => this.save(preset.name, preset.physics, { silent: true }));
+        }
+
+        get all() {
+            return [...BUILT_IN_PRESETS, ...this.custom];
+        }
+
+        find(name) {
+            const key = String(name).toLowerCase();
+            return this.all.find(preset => preset.name.toLowerCase() === key) || null;
+        }
+
+        save(name, physics, { silent = false } = {}) {
+            name = checkName(name);
+            const existing = this.find(name);
+            if (existing && existing.builtIn) {
+                throw new SceneFormatError(`"${existing.label}" is a built-in preset.`);
+            }
+
+            const preset = { name, label: name, physics: pickPhysics(physics, `Preset "${name}"`) };
+            if (existing) {
+                this.custom[this.custom.indexOf(existing)] = preset;
+            } else {
+                this.custom.push(preset);
+            }
+            if (!silent) this.changed();
+            return preset;
+        }
+
+        rename(name, newName) {
+            const preset = this.findCustom(name);
+            newName = checkName(newName);
+            const clash = this.find(newName);
+            if (clash && clash !== preset) throw new SceneFormatError(`A preset called "${clash.label}" already exists.`);
+
+            preset.name = preset.label = newName;
+            this.changed();
+            return preset;
+        }
+
+        remove(name) {
+            const preset = this.findCustom(name);
+            this.custom.splice(this.custom.indexOf(preset), 1);
+            this.changed();
+        }
+
+        findCustom(name) {
+            const preset = this.find(name);
+            if (!preset) throw new SceneFormatError(`There is no preset called "${name}".`);
+            if (preset.builtIn) throw new SceneFormatError(`"${preset.label}" is a built-in preset.`);
+            return preset;
+        }
+
+        // The user's presets as a JSON document
+        export() {
+            return JSON.stringify({
+                version: PRESETS_VERSION,
+                presets: this.custom.map(({ name, physics }) => ({ name, physics }))
+            }, null, 2);
+        }
+
+        // Add the presets from an exported document, replacing any of the
+        // same name. Nothing is added unless the whole document is valid.
+        import(input) {
+            let data = input;
+            if (typeof input === 'string') {
+                try {
+                    data = JSON.parse(input);
+                } catch (error) {
+                    throw new SceneFormatError(`Invalid JSON: ${error.message}`);
+                }
+            }
+            if (!data || typeof data !== 'object' || !Array.isArray(data.presets)) {
+                throw new SceneFormatError('A preset file needs a "presets" list.');
+            }
+            if (data.version !== PRESETS_VERSION) {
+                throw new SceneFormatError(`Unsupported preset file version ${data.version}.`);
+            }
+
+            const presets = data.presets.map((preset, i) => {
+                const name = checkName(preset && preset.name);
+                const builtIn = BUILT_IN_PRESETS.find(p => p.name.toLowerCase() === name.toLowerCase());
+                if (builtIn) throw new SceneFormatError(`presets[${i}] uses the built-in name "${builtIn.label}".`);
+                return { name, physics: pickPhysics(preset.physics, `presets[${i}]`) };
+            });
+            presets.forEach(({ name, physics }) => this.save(name, physics, { silent: true }));
+            this.changed();
+            return presets.length;
+        }
+
+        changed() {
+            if (this.onChange) this.onChange(this);
+        }
+    }
+
+    // Numeric parameters interpolated by k; the others switch at k = 1
+    function blendPhysics(from, to, k) {
+        const blended = {};
+        for (const key of PRESET_KEYS) {
+            if (to[key] === undefined) continue;
+            if (typeof to[key] === 'number' && typeof from[key] === 'number') {
+                blended[key] = from[key] + (to[key] - from[key]) * k;
+            } else if (k >= 1) {
+                blended[key] = to[key];
+            }
+        }
+        return blended;
+    }
+
+    // Eased transition between two sets of physics over duration seconds
+    class PhysicsMorph {
+        constructor(from, to, duration, easing = CubicBezierEasing.fromPreset('ease-in-out')) {
+            this.from = from;
+            this.to = to;
+            this.duration = duration;
+            this.easing = easing;
+            this.elapsed = 0;
+        }
+
+        get finished() {
+            return this.elapsed >= this.duration;
+        }
+
+        // Physics parameters for elapsed more seconds
+        advance(elapsed) {
+            this.elapsed = Math.min(this.elapsed + Math.max(0, elapsed), this.duration);
+            const k = this.duration > 0 ? this.easing.evaluate(this.elapsed / this.duration) : 1;
+            return blendPhysics(this.from, this.to, this.finished ? 1 : k);
+        }
+    }
+
+    return {
+        PRESETS_VERSION,
+        PRESET_KEYS,
+        BUILT_IN_PRESETS,
+        pickPhysics,
+        PresetLibrary,
+        blendPhysics,
+        PhysicsMorph
+    };
+});
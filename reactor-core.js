@@ -0,0 +1,2151 @@
+// Curvee Reactor simulation core.
+// Curve math, spring physics, boundaries and particle state with no DOM access,
+// so the same code drives the browser app and runs under Node.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const clonePoints = (points) => JSON.parse(JSON.stringify(points));
+
+    // Integration schemes for one point under acceleration(x, y, vx, vy).
+    // Each advances point and velocity in place by dt seconds.
+    const INTEGRATORS = {
+        // Semi-implicit Euler: velocity first, then position with the new velocity
+        euler(point, velocity, acceleration, dt) {
+            const a = acceleration(point.x, point.y, velocity.x, velocity.y);
+            velocity.x += a.x * dt;
+            velocity.y += a.y * dt;
+            point.x += velocity.x * dt;
+            point.y += velocity.y * dt;
+        },
+
+        // Velocity Verlet; the damping term sees a predicted end-of-step velocity
+        verlet(point, velocity, acceleration, dt) {
+            const a0 = acceleration(point.x, point.y, velocity.x, velocity.y);
+            point.x += velocity.x * dt + 0.5 * a0.x * dt * dt;
+            point.y += velocity.y * dt + 0.5 * a0.y * dt * dt;
+
+            const a1 = acceleration(point.x, point.y, velocity.x + a0.x * dt, velocity.y + a0.y * dt);
+            velocity.x += 0.5 * (a0.x + a1.x) * dt;
+            velocity.y += 0.5 * (a0.y + a1.y) * dt;
+        },
+
+        // Classic fourth-order Runge-Kutta on (position, velocity)
+        rk4(point, velocity, acceleration, dt) {
+            const { x, y } = point;
+            const vx = velocity.x;
+            const vy = velocity.y;
+            const half = dt / 2;
+
+            const a1 = acceleration(x, y, vx, vy);
+
+            const vx2 = vx + a1.x * half;
+            const vy2 = vy + a1.y * half;
+            const a2 = acceleration(x + vx * half, y + vy * half, vx2, vy2);
+
+            const vx3 = vx + a2.x * half;
+            const vy3 = vy + a2.y * half;
+            const a3 = acceleration(x + vx2 * half, y + vy2 * half, vx3, vy3);
+
+            const vx4 = vx + a3.x * dt;
+            const vy4 = vy + a3.y * dt;
+            const a4 = acceleration(x + vx3 * dt, y + vy3 * dt, vx4, vy4);
+
+            point.x = x + (dt / 6) * (vx + 2 * vx2 + 2 * vx3 + vx4);
+            point.y = y + (dt / 6) * (vy + 2 * vy2 + 2 * vy3 + vy4);
+            velocity.x = vx + (dt / 6) * (a1.x + 2 * a2.x + 2 * a3.x + a4.x);
+            velocity.y = vy + (dt / 6) * (a1.y + 2 * a2.y + 2 * a3.y + a4.y);
+        }
+    };
+
+    // De Casteljau evaluation of a Bézier of any degree
+    const evaluateBezier = (points, t) => {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+
+        for (let n = points.length - 1; n > 0; n--) {
+            for (let i = 0; i < n; i++) {
+                xs[i] += (xs[i + 1] - xs[i]) * t;
+                ys[i] += (ys[i + 1] - ys[i]) * t;
+            }
+        }
+        return { x: xs[0], y: ys[0] };
+    };
+
+    // Control points of the derivative curve: n * (P[i+1] - P[i])
+    const hodograph = (points) => {
+        const n = points.length - 1;
+        const result = [];
+        for (let i = 0; i < n; i++) {
+            result.push({
+                x: n * (points[i + 1].x - points[i].x),
+                y: n * (points[i + 1].y - points[i].y)
+            });
+        }
+        return result;
+    };
+
+    // Split a Bézier at t into two curves of the same degree
+    const splitBezier = (points, t) => {
+        const left = [];
+        const right = [];
+        let level = points.map(p => ({ x: p.x, y: p.y }));
+
+        while (level.length > 0) {
+            left.push(level[0]);
+            right.unshift(level[level.length - 1]);
+
+            const next = [];
+            for (let i = 0; i < level.length - 1; i++) {
+                next.push({
+                    x: level[i].x + (level[i + 1].x - level[i].x) * t,
+                    y: level[i].y + (level[i + 1].y - level[i].y) * t
+                });
+            }
+            level = next;
+        }
+        return { left, right };
+    };
+
+    // How far the curve can stray from its chord: the farthest interior
+    // control point from the chord segment. The curve stays in the hull of its
+    // control points, so this bounds the real distance. Measuring to the
+    // infinite line instead would miss handles that overshoot past an end.
+    const flatness = (points) => {
+        const a = points[0];
+        const b = points[points.length - 1];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+
+        let worst = 0;
+        for (let i = 1; i < points.length - 1; i++) {
+            const p = points[i];
+            const u = lengthSquared > 1e-18 ?
+                Math.min(Math.max(((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared, 0), 1) : 0;
+            worst = Math.max(worst, Math.hypot(p.x - a.x - u * dx, p.y - a.y - u * dy));
+        }
+        return worst;
+    };
+
+    // Adaptive flattening: halve the curve until every piece is within
+    // tolerance px of its chord. Returns the polyline as [{ x, y, t }] from
+    // t = 0 to exactly t = 1; straight stretches get few vertices, tight
+    // bends many.
+    const flattenBezier = (points, tolerance = 0.25, maxDepth = 16) => {
+        const start = points[0];
+        const polyline = [{ x: start.x, y: start.y, t: 0 }];
+
+        const subdivide = (piece, t0, t1, depth) => {
+            if (depth >= maxDepth || flatness(piece) <= tolerance) {
+                const end = piece[piece.length - 1];
+                polyline.push({ x: end.x, y: end.y, t: t1 });
+                return;
+            }
+            const { left, right } = splitBezier(piece, 0.5);
+            const mid = (t0 + t1) / 2;
+            subdivide(left, t0, mid, depth + 1);
+            subdivide(right, mid, t1, depth + 1);
+        };
+        subdivide(points, 0, 1, 0);
+        return polyline;
+    };
+
+    // Bernstein basis polynomial b(i, n) at t
+    const bernstein = (n, i, t) => {
+        let binomial = 1;
+        for (let k = 1; k <= i; k++) {
+            binomial = binomial * (n - i + k) / k;
+        }
+        return binomial * Math.pow(t, i) * Math.pow(1 - t, n - i);
+    };
+
+    // Same curve expressed with one more control point
+    const elevateDegree = (points) => {
+        const n = points.length;
+        const result = [{ x: points[0].x, y: points[0].y }];
+        for (let i = 1; i < n; i++) {
+            const a = i / n;
+            result.push({
+                x: a * points[i - 1].x + (1 - a) * points[i].x,
+                y: a * points[i - 1].y + (1 - a) * points[i].y
+            });
+        }
+        result.push({ x: points[n - 1].x, y: points[n - 1].y });
+        return result;
+    };
+
+    // Gaussian elimination with partial pivoting; null if the system is singular
+    const solveLinear = (matrix, rhs) => {
+        const n = rhs.length;
+        const rows = matrix.map((row, i) => [...row, rhs[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+            }
+            if (Math.abs(rows[pivot][col]) < 1e-12) return null;
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+            for (let r = col + 1; r < n; r++) {
+                const factor = rows[r][col] / rows[col][col];
+                for (let c = col; c <= n; c++) rows[r][c] -= factor * rows[col][c];
+            }
+        }
+
+        const solution = new Array(n);
+        for (let r = n - 1; r >= 0; r--) {
+            let sum = rows[r][n];
+            for (let c = r + 1; c < n; c++) sum -= rows[r][c] * solution[c];
+            solution[r] = sum / rows[r][r];
+        }
+        return solution;
+    };
+
+    // Inner control points that best fit samples at parameters ts, with the
+    // ends fixed on the first and last sample
+    const fitInnerPoints = (samples, ts, degree) => {
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+
+        // Normal equations for the degree - 1 inner points, shared by x and y
+        const size = degree - 1;
+        const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+        const rhsX = new Array(size).fill(0);
+        const rhsY = new Array(size).fill(0);
+
+        samples.forEach((sample, k) => {
+            const basis = [];
+            for (let j = 0; j <= degree; j++) basis.push(bernstein(degree, j, ts[k]));
+
+            const restX = sample.x - basis[0] * first.x - basis[degree] * last.x;
+            const restY = sample.y - basis[0] * first.y - basis[degree] * last.y;
+            for (let i = 0; i < size; i++) {
+                rhsX[i] += basis[i + 1] * restX;
+                rhsY[i] += basis[i + 1] * restY;
+                for (let j = 0; j < size; j++) matrix[i][j] += basis[i + 1] * basis[j + 1];
+            }
+        });
+
+        const xs = solveLinear(matrix, rhsX);
+        const ys = solveLinear(matrix, rhsY);
+        if (!xs || !ys) return null;
+        return [
+            { x: first.x, y: first.y },
+            ...xs.map((x, i) => ({ x, y: ys[i] })),
+            { x: last.x, y: last.y }
+        ];
+    };
+
+    // Least-squares Bézier of the given degree through samples. Parameters
+    // start from chord length and are refined by a few Newton steps towards
+    // each sample's nearest point. Null if the samples can't pin the curve
+    // down (fewer than degree + 1 distinct positions).
+    const fitBezier = (samples, degree, iterations = 4) => {
+        const ts = [0];
+        for (let i = 1; i < samples.length; i++) {
+            const a = samples[i - 1];
+            const b = samples[i];
+            ts.push(ts[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+        }
+        const total = ts[ts.length - 1];
+        if (total === 0) return null;
+        for (let i = 1; i < ts.length; i++) ts[i] /= total;
+
+        let fitted = fitInnerPoints(samples, ts, degree);
+        for (let pass = 0; pass < iterations && fitted; pass++) {
+            const first = hodograph(fitted);
+            const second = hodograph(first);
+            for (let k = 1; k < samples.length - 1; k++) {
+                const t = ts[k];
+                const point = evaluateBezier(fitted, t);
+                const d1 = evaluateBezier(first, t);
+                const d2 = evaluateBezier(second, t);
+                const dx = point.x - samples[k].x;
+                const dy = point.y - samples[k].y;
+                const slope = d1.x * d1.x + d1.y * d1.y + dx * d2.x + dy * d2.y;
+                if (slope > 0) ts[k] = Math.min(Math.max(t - (dx * d1.x + dy * d1.y) / slope, 0), 1);
+            }
+            fitted = fitInnerPoints(samples, ts, degree) || fitted;
+        }
+        return fitted;
+    };
+
+    // Keep the two handles around every interior spline anchor consistent with
+    // the join type. Handles listed in leads win; otherwise both are averaged.
+    const constrainJoins = (points, join, leads = []) => {
+        if (join === 'C0') return;
+
+        for (let a = 3; a < points.length - 1; a += 3) {
+            const anchor = points[a];
+            const before = points[a - 1];
+            const after = points[a + 1];
+            const inX = before.x - anchor.x, inY = before.y - anchor.y;
+            const outX = after.x - anchor.x, outY = after.y - anchor.y;
+
+            let dirX, dirY;
+            if (leads.includes(a - 1)) {
+                dirX = -inX; dirY = -inY;
+            } else if (leads.includes(a + 1)) {
+                dirX = outX; dirY = outY;
+            } else {
+                dirX = (outX - inX) / 2; dirY = (outY - inY) / 2;
+            }
+
+            if (join === 'C1') {
+                if (!leads.includes(a - 1)) {
+                    before.x = anchor.x - dirX; before.y = anchor.y - dirY;
+                }
+                if (!leads.includes(a + 1)) {
+                    after.x = anchor.x + dirX; after.y = anchor.y + dirY;
+                }
+                continue;
+            }
+
+            // G1: shared direction, independent handle lengths
+            const length = Math.hypot(dirX, dirY);
+            if (length === 0) continue;
+            const ux = dirX / length, uy = dirY / length;
+            if (!leads.includes(a - 1)) {
+                const inLength = Math.hypot(inX, inY);
+                before.x = anchor.x - ux * inLength; before.y = anchor.y - uy * inLength;
+            }
+            if (!leads.includes(a + 1)) {
+                const outLength = Math.hypot(outX, outY);
+                after.x = anchor.x + ux * outLength; after.y = anchor.y + uy * outLength;
+            }
+        }
+    };
+
+    // 5-point Gauss-Legendre nodes and weights on [-1, 1]
+    const GAUSS_NODES = [0, -0.5384693101056831, 0.5384693101056831, -0.9061798459386640, 0.9061798459386640];
+    const GAUSS_WEIGHTS = [0.5688888888888889, 0.4786286704993665, 0.4786286704993665, 0.2369268850561891, 0.2369268850561891];
+
+    // A single Bézier of any degree ('bezier'), or a piecewise cubic spline of
+    // 3k+1 points ('spline') whose segment joins are C0, C1 or G1.
+    class BezierCurve {
+        constructor(controlPoints, { type = 'bezier', join = 'C1' } = {}) {
+            this.controlPoints = controlPoints;
+            this.type = type;
+            this.join = join;
+        }
+
+        get degree() {
+            return this.type === 'spline' ? 3 : this.controlPoints.length - 1;
+        }
+
+        get segmentCount() {
+            return this.type === 'spline' ? (this.controlPoints.length - 1) / 3 : 1;
+        }
+
+        getSegment(index) {
+            if (this.type !== 'spline') return this.controlPoints;
+            return this.controlPoints.slice(index * 3, index * 3 + 4);
+        }
+
+        // Map a global t in [0, 1] to a segment and its local parameter
+        locate(t) {
+            const count = this.segmentCount;
+            const scaled = Math.min(Math.max(t, 0), 1) * count;
+            const segment = Math.min(Math.floor(scaled), count - 1);
+            return { segment, localT: scaled - segment };
+        }
+
+        // Handles of the segment under t
+        getHandleIndices(t) {
+            const offset = this.type === 'spline' ? this.locate(t).segment * 3 : 0;
+            const indices = [];
+            for (let i = 1; i < this.degree; i++) {
+                indices.push(offset + i);
+            }
+            return indices;
+        }
+
+        // End points (and spline anchors) lie on the curve; the rest are handles
+        isAnchor(index) {
+            if (this.type === 'spline') return index % 3 === 0;
+            return index === 0 || index === this.controlPoints.length - 1;
+        }
+
+        // leads: index or indices of handles that must not be moved
+        enforceJoins(leads = []) {
+            if (this.type === 'spline') {
+                constrainJoins(this.controlPoints, this.join, [].concat(leads));
+            }
+        }
+
+        // Core Math Functions
+        calculateBezierPoint(t) {
+            const { segment, localT } = this.locate(t);
+            return evaluateBezier(this.getSegment(segment), localT);
+        }
+
+        // Derivative with respect to the global t
+        calculateBezierTangent(t) {
+            const { segment, localT } = this.locate(t);
+            const derivative = evaluateBezier(hodograph(this.getSegment(segment)), localT);
+            const count = this.segmentCount;
+            return { x: derivative.x * count, y: derivative.y * count };
+        }
+
+        // Second derivative with respect to the global t
+        calculateBezierSecondDerivative(t) {
+            const { segment, localT } = this.locate(t);
+            const points = hodograph(hodograph(this.getSegment(segment)));
+            const count = this.segmentCount;
+            if (points.length === 0) return { x: 0, y: 0 };
+
+            const derivative = evaluateBezier(points, localT);
+            return { x: derivative.x * count * count, y: derivative.y * count * count };
+        }
+
+        // Signed curvature; positive where the curve turns clockwise on screen
+        // (y down). NaN where the speed vanishes.
+        calculateCurvature(t) {
+            const d1 = this.calculateBezierTangent(t);
+            const d2 = this.calculateBezierSecondDerivative(t);
+            const speed = Math.hypot(d1.x, d1.y);
+            if (speed < 1e-9) return NaN;
+            return (d1.x * d2.y - d1.y * d2.x) / (speed * speed * speed);
+        }
+
+        calculateRadiusOfCurvature(t) {
+            return 1 / Math.abs(this.calculateCurvature(t));
+        }
+
+        // Arc length between t0 and t1 by Gauss-Legendre quadrature, split at
+        // segment joins so kinks at C0 joins don't hurt accuracy
+        getArcLength(t0 = 0, t1 = 1) {
+            if (t1 < t0) return -this.getArcLength(t1, t0);
+
+            const count = this.segmentCount;
+            const pieces = 8;
+            let length = 0;
+
+            for (let segment = 0; segment < count; segment++) {
+                const start = Math.max(t0, segment / count);
+                const end = Math.min(t1, (segment + 1) / count);
+                if (end <= start) continue;
+
+                const step = (end - start) / pieces;
+                for (let k = 0; k < pieces; k++) {
+                    const mid = start + (k + 0.5) * step;
+                    for (let g = 0; g < GAUSS_NODES.length; g++) {
+                        const tangent = this.calculateBezierTangent(mid + GAUSS_NODES[g] * step / 2);
+                        length += GAUSS_WEIGHTS[g] * Math.hypot(tangent.x, tangent.y) * step / 2;
+                    }
+                }
+            }
+            return length;
+        }
+
+        // Inverse of getArcLength: the t at which the curve has covered `length`
+        // pixels from its start. Newton steps, safeguarded by bisection.
+        getTAtArcLength(length, total = this.getArcLength()) {
+            if (length <= 0) return 0;
+            if (length >= total) return 1;
+
+            let low = 0;
+            let high = 1;
+            let t = length / total;
+
+            for (let i = 0; i < 20; i++) {
+                const error = this.getArcLength(0, t) - length;
+                if (Math.abs(error) < 1e-3) break;
+
+                if (error > 0) high = t; else low = t;
+
+                const tangent = this.calculateBezierTangent(t);
+                const speed = Math.hypot(tangent.x, tangent.y);
+                const next = speed > 1e-9 ? t - error / speed : NaN;
+                t = next > low && next < high ? next : (low + high) / 2;
+            }
+            return t;
+        }
+
+        // Polyline within tolerance px of the curve, as [{ x, y, t }] with
+        // global t; for drawing higher degrees, export and hit-testing
+        flatten(tolerance = 0.25) {
+            const count = this.segmentCount;
+            const polyline = [];
+            for (let s = 0; s < count; s++) {
+                const piece = flattenBezier(this.getSegment(s), tolerance);
+                // Each segment starts where the last one ended
+                for (let i = s === 0 ? 0 : 1; i < piece.length; i++) {
+                    const { x, y, t } = piece[i];
+                    polyline.push({ x, y, t: (s + t) / count });
+                }
+            }
+            return polyline;
+        }
+
+        // The curve as path commands: { type: 'M' | 'Q' | 'C' | 'L', points }.
+        // Quadratic and cubic segments map to 'Q' and 'C' exactly (native
+        // quadraticCurveTo / bezierCurveTo on a canvas); higher degrees are
+        // flattened into 'L' runs.
+        getPathCommands(tolerance = 0.25) {
+            const commands = [{ type: 'M', points: [this.controlPoints[0]] }];
+            for (let s = 0; s < this.segmentCount; s++) {
+                const segment = this.getSegment(s);
+                if (segment.length === 3) {
+                    commands.push({ type: 'Q', points: segment.slice(1) });
+                } else if (segment.length === 4) {
+                    commands.push({ type: 'C', points: segment.slice(1) });
+                } else {
+                    for (const point of flattenBezier(segment, tolerance).slice(1)) {
+                        commands.push({ type: 'L', points: [point] });
+                    }
+                }
+            }
+            return commands;
+        }
+
+        // Closest point on the curve to (x, y). The curve is within tolerance
+        // px of its flattened polyline, so the closest point lies on a piece no
+        // more than 2 × tolerance farther than the nearest piece; Newton's
+        // method on d/dt |B(t) - P|² refines each such piece inside its t range,
+        // starting from the projection onto the piece.
+        projectPoint(x, y, tolerance = 1) {
+            const vertices = this.flatten(tolerance);
+            const pieces = [];
+            let nearest = Infinity;
+            for (let i = 1; i < vertices.length; i++) {
+                const a = vertices[i - 1];
+                const b = vertices[i];
+                const dx = b.x - a.x, dy = b.y - a.y;
+                const lengthSquared = dx * dx + dy * dy;
+                const u = lengthSquared > 0 ?
+                    Math.min(Math.max(((x - a.x) * dx + (y - a.y) * dy) / lengthSquared, 0), 1) : 0;
+                const distance = Math.hypot(a.x + u * dx - x, a.y + u * dy - y);
+                pieces.push({ a, b, u, distance });
+                nearest = Math.min(nearest, distance);
+            }
+
+            let best = null;
+            for (const { a, b, u, distance } of pieces) {
+                if (distance > nearest + 2 * tolerance) continue;
+
+                const t = this.refineProjection(x, y, a.t + u * (b.t - a.t), a.t, b.t);
+                const point = this.calculateBezierPoint(t);
+                const hit = Math.hypot(point.x - x, point.y - y);
+                if (!best || hit < best.distance) {
+                    best = { t, point, distance: hit };
+                }
+            }
+            return best;
+        }
+
+        refineProjection(x, y, t, low, high) {
+            for (let i = 0; i < 8; i++) {
+                const point = this.calculateBezierPoint(t);
+                const d1 = this.calculateBezierTangent(t);
+                const d2 = this.calculateBezierSecondDerivative(t);
+                const ex = point.x - x, ey = point.y - y;
+
+                // Half the first and second derivatives of the squared distance
+                const slope = ex * d1.x + ey * d1.y;
+                const bend = d1.x * d1.x + d1.y * d1.y + ex * d2.x + ey * d2.y;
+                if (bend <= 1e-12) break;
+
+                const next = Math.min(Math.max(t - slope / bend, low), high);
+                if (Math.abs(next - t) < 1e-10) return next;
+                t = next;
+            }
+            return t;
+        }
+    }
+
+    // Seeded PRNG (mulberry32). Its whole state is one integer, so particle
+    // effects can be saved, restored and replayed exactly.
+    class SeededRandom {
+        constructor(seed = 1) {
+            this.state = seed >>> 0;
+        }
+
+        next() {
+            let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    }
+
+    const PARTICLE_COLORS = ['#06b6d4', '#8b5cf6', '#3b82f6', '#10b981'];
+
+    // Per-emitter settings. lifetime is in seconds, speed in px and gravity in
+    // px per 60 Hz frame, size in px. rate is particles per pixel a handle
+    // moves for 'controlPoints' and particles per second for 'curve'; bursts
+    // are sized by whoever triggers them.
+    const DEFAULT_EMITTERS = {
+        burst: {
+            enabled: true, lifetime: [0.5, 1.5], speed: [1, 4], size: [2, 6],
+            gravity: 0.1, colors: PARTICLE_COLORS
+        },
+        controlPoints: {
+            enabled: true, rate: 0.1, lifetime: [0.5, 1.5], speed: [1, 4], size: [2, 6],
+            gravity: 0.1, colors: PARTICLE_COLORS
+        },
+        curve: {
+            enabled: false, rate: 40, lifetime: [0.5, 1], speed: [0.5, 2], size: [2, 4],
+            gravity: 0.02, colors: ['#f472b6', '#c084fc']
+        }
+    };
+
+    const PARTICLE_FIELDS = ['x', 'y', 'vx', 'vy', 'life', 'decay', 'size', 'rotation', 'gravity'];
+
+    // Fixed-capacity pool in typed arrays, one array per field. Live particles
+    // are packed at the front; a dead one is replaced by the last, so nothing
+    // is allocated or spliced while running. Colours are indices into palette.
+    class ParticleSystem {
+        constructor(random = Math.random, { maxParticles = 2000 } = {}) {
+            this.enabled = true;
+            this.collisions = false;
+            this.restitution = 0.6;
+            this.random = random;
+            this.emitters = JSON.parse(JSON.stringify(DEFAULT_EMITTERS));
+            this.palette = [];
+            this.count = 0;
+            this.allocate(maxParticles);
+        }
+
+        allocate(capacity) {
+            const count = Math.min(this.count, capacity);
+            for (const field of PARTICLE_FIELDS) {
+                const array = new Float64Array(capacity);
+                if (this[field]) array.set(this[field].subarray(0, count));
+                this[field] = array;
+            }
+            const color = new Uint8Array(capacity);
+            if (this.color) color.set(this.color.subarray(0, count));
+            this.color = color;
+            this.capacity = capacity;
+            this.count = count;
+        }
+
+        colorIndex(color) {
+            let index = this.palette.indexOf(color);
+            if (index === -1) {
+                // Uint8 indices; past 256 colours new ones reuse the first
+                if (this.palette.length === 256) return 0;
+                index = this.palette.push(color) - 1;
+            }
+            return index;
+        }
+
+        between([min, max]) {
+            return min + this.random() * (max - min);
+        }
+
+        // Spawn one particle from an emitter's settings. angle is the launch
+        // direction; random when omitted. Returns false once the pool is full.
+        spawn(x, y, emitter, angle = this.random() * Math.PI * 2) {
+            if (this.count === this.capacity) return false;
+
+            const i = this.count++;
+            const speed = this.between(emitter.speed);
+            const lifetime = this.between(emitter.lifetime);
+            const colors = emitter.colors;
+
+            this.x[i] = x;
+            this.y[i] = y;
+            this.vx[i] = Math.cos(angle) * speed;
+            this.vy[i] = Math.sin(angle) * speed;
+            this.life[i] = 1;
+            this.decay[i] = 1 / (Math.max(lifetime, 1 / 60) * 60);
+            this.size[i] = this.between(emitter.size);
+            this.rotation[i] = this.random() * Math.PI * 2;
+            this.gravity[i] = emitter.gravity;
+            this.color[i] = this.colorIndex(colors[Math.floor(this.random() * colors.length)]);
+            return true;
+        }
+
+        createParticles(x, y, count, emitter = this.emitters.burst) {
+            if (!this.enabled || !emitter.enabled) return;
+
+            for (let i = 0; i < count; i++) {
+                if (!this.spawn(x, y, emitter)) break;
+            }
+        }
+
+        // Merge options into a named emitter; unknown names are ignored
+        setEmitter(name, options) {
+            const emitter = this.emitters[name];
+            if (!emitter) return;
+            for (const key of Object.keys(DEFAULT_EMITTERS[name])) {
+                if (options[key] !== undefined) emitter[key] = JSON.parse(JSON.stringify(options[key]));
+            }
+        }
+
+        // Particle constants are tuned per 60 Hz frame; dt rescales them
+        // obstacles are the curves as polylines when particles collide with
+        // them; fields (a ForceFields) pushes particles around at time seconds
+        updateParticles(dt = 1 / 60, obstacles = null, fields = null, time = 0) {
+            const frames = dt * 60;
+            const drag = Math.pow(0.98, frames);
+            const { x, y, vx, vy, life } = this;
+            const forces = fields && fields.list.length > 0;
+            const solid = forces && fields.obstacles.length > 0;
+            const point = { x: 0, y: 0 };
+            const velocity = { x: 0, y: 0 };
+
+            let i = 0;
+            while (i < this.count) {
+                const startX = x[i];
+                const startY = y[i];
+
+                x[i] += vx[i] * frames;
+                y[i] += vy[i] * frames;
+                if (obstacles) {
+                    for (const polyline of obstacles) this.collide(i, startX, startY, polyline);
+                }
+                if (solid) {
+                    point.x = x[i];
+                    point.y = y[i];
+                    velocity.x = vx[i];
+                    velocity.y = vy[i];
+                    fields.collide(point, velocity, this.restitution);
+                    x[i] = point.x;
+                    y[i] = point.y;
+                    vx[i] = velocity.x;
+                    vy[i] = velocity.y;
+                }
+                // Velocities are in px per 1/60 s frame; field accelerations in px/s²
+                if (forces) {
+                    const acceleration = fields.acceleration(x[i], y[i], time);
+                    vx[i] += (acceleration.x * dt) / 60;
+                    vy[i] += (acceleration.y * dt) / 60;
+                }
+                vy[i] += this.gravity[i] * frames;
+                vx[i] *= drag; // Air resistance
+                vy[i] *= drag;
+                life[i] -= this.decay[i] * frames;
+                this.rotation[i] += 0.05 * frames;
+
+                if (life[i] <= 0) {
+                    this.remove(i);
+                } else {
+                    i++;
+                }
+            }
+        }
+
+        // Move the last particle into slot i
+        remove(i) {
+            const last = --this.count;
+            if (i === last) return;
+            for (const field of PARTICLE_FIELDS) {
+                this[field][i] = this[field][last];
+            }
+            this.color[i] = this.color[last];
+        }
+
+        // Reflect particle i if it crossed the polyline on this step, about the
+        // normal of the piece it hit, losing some speed
+        collide(i, startX, startY, polyline) {
+            const moveX = this.x[i] - startX;
+            const moveY = this.y[i] - startY;
+            const minX = Math.min(startX, this.x[i]);
+            const maxX = Math.max(startX, this.x[i]);
+            const minY = Math.min(startY, this.y[i]);
+            const maxY = Math.max(startY, this.y[i]);
+            let hit = null;
+
+            for (let k = 0; k < polyline.length - 1; k++) {
+                const a = polyline[k];
+                const b = polyline[k + 1];
+                // Cheap rejection before the exact test
+                if (Math.max(a.x, b.x) < minX || Math.min(a.x, b.x) > maxX ||
+                    Math.max(a.y, b.y) < minY || Math.min(a.y, b.y) > maxY) continue;
+
+                const edgeX = b.x - a.x;
+                const edgeY = b.y - a.y;
+                const denominator = moveX * edgeY - moveY * edgeX;
+                if (denominator === 0) continue;
+
+                // s along the particle's move, u along the edge
+                const s = ((a.x - startX) * edgeY - (a.y - startY) * edgeX) / denominator;
+                const u = ((a.x - startX) * moveY - (a.y - startY) * moveX) / denominator;
+                if (s >= 0 && s <= 1 && u >= 0 && u <= 1 && (!hit || s < hit.s)) {
+                    hit = { s, edgeX, edgeY };
+                }
+            }
+            if (!hit) return;
+
+            const length = Math.hypot(hit.edgeX, hit.edgeY);
+            let nx = -hit.edgeY / length;
+            let ny = hit.edgeX / length;
+            // Point the normal back toward where the particle came from
+            if (moveX * nx + moveY * ny > 0) {
+                nx = -nx;
+                ny = -ny;
+            }
+
+            const normalSpeed = this.vx[i] * nx + this.vy[i] * ny;
+            if (normalSpeed < 0) {
+                this.vx[i] -= (1 + this.restitution) * normalSpeed * nx;
+                this.vy[i] -= (1 + this.restitution) * normalSpeed * ny;
+            }
+            this.x[i] = startX + moveX * hit.s + nx * 0.5;
+            this.y[i] = startY + moveY * hit.s + ny * 0.5;
+        }
+
+        // Live particles sorted into draw batches of one colour and alpha:
+        // order lists particle indices grouped by batch, and each batch is
+        // { color, alpha, start, end } into order
+        getBatches(levels = 8) {
+            const keys = new Uint16Array(this.count);
+            const counts = new Uint32Array(this.palette.length * levels + 1);
+
+            for (let i = 0; i < this.count; i++) {
+                const level = Math.min(levels - 1, Math.floor(this.life[i] * levels));
+                keys[i] = this.color[i] * levels + level;
+                counts[keys[i] + 1]++;
+            }
+            for (let k = 1; k < counts.length; k++) counts[k] += counts[k - 1];
+
+            const starts = counts.slice();
+            const order = new Uint32Array(this.count);
+            for (let i = 0; i < this.count; i++) {
+                order[starts[keys[i]]++] = i;
+            }
+
+            const batches = [];
+            for (let key = 0; key < counts.length - 1; key++) {
+                if (counts[key + 1] === counts[key]) continue;
+                batches.push({
+                    color: this.palette[Math.floor(key / levels)],
+                    alpha: ((key % levels) + 1) / levels,
+                    start: counts[key],
+                    end: counts[key + 1]
+                });
+            }
+            return { order, batches };
+        }
+
+        // Plain objects, for saving and replaying
+        getParticles() {
+            const list = [];
+            for (let i = 0; i < this.count; i++) {
+                const particle = { color: this.palette[this.color[i]] };
+                for (const field of PARTICLE_FIELDS) particle[field] = this[field][i];
+                list.push(particle);
+            }
+            return list;
+        }
+
+        setParticles(list) {
+            this.count = 0;
+            for (const particle of list.slice(0, this.capacity)) {
+                const i = this.count++;
+                for (const field of PARTICLE_FIELDS) this[field][i] = particle[field];
+                // States saved before gravity was per particle
+                if (particle.gravity === undefined) this.gravity[i] = DEFAULT_EMITTERS.burst.gravity;
+                this.color[i] = this.colorIndex(particle.color);
+            }
+        }
+
+        // Typed-array copy of the live particles: far cheaper to take and
+        // hold than getParticles(), for the rewind buffer's snapshots
+        snapshot() {
+            const arrays = {};
+            for (const field of PARTICLE_FIELDS) arrays[field] = this[field].slice(0, this.count);
+            return { count: this.count, palette: [...this.palette], color: this.color.slice(0, this.count), arrays };
+        }
+
+        restore({ count, palette, color, arrays }) {
+            const colors = palette.map(c => this.colorIndex(c));
+            this.count = Math.min(count, this.capacity);
+            for (const field of PARTICLE_FIELDS) this[field].set(arrays[field].subarray(0, this.count));
+            for (let i = 0; i < this.count; i++) this.color[i] = colors[color[i]];
+        }
+
+        getState() {
+            return {
+                enabled: this.enabled,
+                collisions: this.collisions,
+                maxParticles: this.capacity,
+                emitters: this.emitters,
+                list: this.getParticles()
+            };
+        }
+
+        setState(state) {
+            this.enabled = state.enabled;
+            this.collisions = Boolean(state.collisions);
+            this.emitters = JSON.parse(JSON.stringify(DEFAULT_EMITTERS));
+            for (const name of Object.keys(state.emitters || {})) {
+                this.setEmitter(name, state.emitters[name]);
+            }
+            this.palette = [];
+            this.count = 0;
+            this.allocate(state.maxParticles || this.capacity);
+            this.setParticles(state.list);
+        }
+
+        clear() {
+            this.count = 0;
+        }
+    }
+
+    // Placeable scene objects. Attractors and repellers pull or push within
+    // radius, strength (px/s² at the centre) falling off as
+    // (1 - distance / radius) ^ falloff. Wind blows towards angle (degrees)
+    // inside its radius, with gusts and swirl scaled by turbulence (0-1).
+    // Circles and rects (centred on x, y) are obstacles that handles, rope
+    // masses and particles bounce off.
+    const FIELD_DEFAULTS = {
+        attractor: { strength: 2400, radius: 160, falloff: 2 },
+        repeller: { strength: 2400, radius: 160, falloff: 2 },
+        wind: { strength: 900, radius: 220, angle: 0, turbulence: 0.5 },
+        circle: { radius: 50 },
+        rect: { width: 120, height: 60 }
+    };
+    const FIELD_TYPES = Object.keys(FIELD_DEFAULTS);
+    const OBSTACLE_TYPES = ['circle', 'rect'];
+
+    // Wind gusts travel downwind at this speed in px/s
+    const GUST_SPEED = 300;
+
+    // Integer hash to [0, 1); the same everywhere, so replays match
+    const hashNoise = (n) => {
+        let h = Math.imul(n ^ 0x27d4eb2d, 0x165667b1);
+        h ^= h >>> 15;
+        h = Math.imul(h, 0x85ebca6b);
+        h ^= h >>> 13;
+        return (h >>> 0) / 4294967296;
+    };
+
+    // Smooth 1D value noise in [-1, 1]; seed picks an independent stream
+    const valueNoise = (t, seed) => {
+        const i = Math.floor(t);
+        const f = t - i;
+        const u = f * f * (3 - 2 * f);
+        const a = hashNoise(i + seed * 7919);
+        const b = hashNoise(i + 1 + seed * 7919);
+        return (a + (b - a) * u) * 2 - 1;
+    };
+
+    class ForceFields {
+        constructor() {
+            this.list = [];
+            this.nextId = 1;
+        }
+
+        get obstacles() {
+            return this.list.filter(field => OBSTACLE_TYPES.includes(field.type));
+        }
+
+        get(id) {
+            return this.list.find(field => field.id === id) || null;
+        }
+
+        // Only known parameters of the field's type are kept
+        add(type, x, y, params = {}) {
+            const defaults = FIELD_DEFAULTS[type];
+            if (!defaults) throw new RangeError(`Unknown field type "${type}".`);
+            const field = { id: this.nextId++, type, x, y, ...defaults };
+            this.list.push(field);
+            this.update(field.id, params);
+            return field;
+        }
+
+        update(id, params) {
+            const field = this.get(id);
+            if (!field) return null;
+            for (const key of ['x', 'y', ...Object.keys(FIELD_DEFAULTS[field.type])]) {
+                if (Number.isFinite(params[key])) field[key] = params[key];
+            }
+            return field;
+        }
+
+        remove(id) {
+            const field = this.get(id);
+            if (!field) return false;
+            this.list.splice(this.list.indexOf(field), 1);
+            return true;
+        }
+
+        // Replace every field; ids are kept when given. An unknown type
+        // throws before anything is replaced.
+        load(list) {
+            const loaded = new ForceFields();
+            for (const { id, type, x, y, ...params } of list) {
+                const field = loaded.add(type, x, y, params);
+                if (Number.isInteger(id) && !loaded.get(id)) field.id = id;
+                loaded.nextId = Math.max(loaded.nextId, field.id + 1);
+            }
+            this.list = loaded.list;
+            this.nextId = loaded.nextId;
+        }
+
+        toJSON() {
+            return this.list.map(field => ({ ...field }));
+        }
+
+        // Positions follow a canvas resize; sizes stay as they are
+        scale(scaleX, scaleY) {
+            for (const field of this.list) {
+                field.x *= scaleX;
+                field.y *= scaleY;
+            }
+        }
+
+        // The topmost field under (x, y): inside an obstacle, or within
+        // threshold of a force field's centre
+        hitTest(x, y, threshold) {
+            for (let i = this.list.length - 1; i >= 0; i--) {
+                const field = this.list[i];
+                const dx = x - field.x;
+                const dy = y - field.y;
+                if (field.type === 'circle' && Math.hypot(dx, dy) <= Math.max(field.radius, threshold)) return field;
+                if (field.type === 'rect' && Math.abs(dx) <= field.width / 2 && Math.abs(dy) <= field.height / 2) {
+                    return field;
+                }
+                if (!OBSTACLE_TYPES.includes(field.type) && Math.hypot(dx, dy) <= threshold) return field;
+            }
+            return null;
+        }
+
+        // Summed acceleration in px/s² at (x, y); time (s) drives the wind noise
+        acceleration(x, y, time) {
+            let ax = 0;
+            let ay = 0;
+
+            for (const field of this.list) {
+                const dx = x - field.x;
+                const dy = y - field.y;
+                const distance = Math.hypot(dx, dy);
+                if (distance >= field.radius) continue;
+
+                if (field.type === 'attractor' || field.type === 'repeller') {
+                    if (distance < 1e-6) continue;
+                    const sign = field.type === 'attractor' ? -1 : 1;
+                    const magnitude = field.strength * Math.pow(1 - distance / field.radius, field.falloff);
+                    ax += (sign * magnitude * dx) / distance;
+                    ay += (sign * magnitude * dy) / distance;
+                } else if (field.type === 'wind') {
+                    const angle = (field.angle * Math.PI) / 180;
+                    const along = dx * Math.cos(angle) + dy * Math.sin(angle);
+                    const phase = time * 1.5 - along / (GUST_SPEED / 1.5);
+                    const gust = 1 + field.turbulence * valueNoise(phase, field.id);
+                    const swirl = angle + field.turbulence * 0.6 * valueNoise(phase * 0.7, field.id + 1000);
+                    // Full strength inside, fading over the outer quarter
+                    const edge = Math.min((field.radius - distance) / (field.radius * 0.25), 1);
+                    ax += field.strength * gust * edge * Math.cos(swirl);
+                    ay += field.strength * gust * edge * Math.sin(swirl);
+                }
+            }
+            return { x: ax, y: ay };
+        }
+
+        // Push a point out of any obstacle it is inside, reflecting the part
+        // of its velocity heading in and keeping `bounce` of it. velocity
+        // may be null for position-only bodies such as rope masses.
+        collide(point, velocity, bounce) {
+            for (const field of this.list) {
+                let nx = 0;
+                let ny = 0;
+
+                if (field.type === 'circle') {
+                    const dx = point.x - field.x;
+                    const dy = point.y - field.y;
+                    const distance = Math.hypot(dx, dy);
+                    if (distance >= field.radius) continue;
+                    nx = distance > 1e-9 ? dx / distance : 0;
+                    ny = distance > 1e-9 ? dy / distance : -1;
+                    point.x = field.x + nx * field.radius;
+                    point.y = field.y + ny * field.radius;
+                } else if (field.type === 'rect') {
+                    const dx = point.x - field.x;
+                    const dy = point.y - field.y;
+                    const overlapX = field.width / 2 - Math.abs(dx);
+                    const overlapY = field.height / 2 - Math.abs(dy);
+                    if (overlapX <= 0 || overlapY <= 0) continue;
+                    // Out through the nearest side
+                    if (overlapX < overlapY) {
+                        nx = dx < 0 ? -1 : 1;
+                        point.x = field.x + nx * (field.width / 2);
+                    } else {
+                        ny = dy < 0 ? -1 : 1;
+                        point.y = field.y + ny * (field.height / 2);
+                    }
+                } else {
+                    continue;
+                }
+
+                if (!velocity) continue;
+                const into = velocity.x * nx + velocity.y * ny;
+                if (into < 0) {
+                    velocity.x -= (1 + bounce) * into * nx;
+                    velocity.y -= (1 + bounce) * into * ny;
+                }
+            }
+        }
+    }
+
+    const MAX_BEZIER_POINTS = 10;
+    const MAX_SPLINE_SEGMENTS = 12;
+
+    // Rest layout for a Bézier of the given degree or a spline of `size` segments
+    const createLayout = (width, height, type, size) => {
+        if (type === 'spline') {
+            const points = [];
+            const step = (width * 0.8) / size;
+            for (let k = 0; k < size; k++) {
+                const x = width * 0.1 + k * step;
+                points.push(
+                    { x, y: height * 0.5 },
+                    { x: x + step / 3, y: height * 0.25 },
+                    { x: x + (2 * step) / 3, y: height * 0.75 }
+                );
+            }
+            points.push({ x: width * 0.9, y: height * 0.5 });
+            return points;
+        }
+
+        const points = [{ x: width * 0.15, y: height * 0.6 }];
+        for (let i = 1; i < size; i++) {
+            const spread = size === 2 ? 0.5 : 0.35 + (0.3 * (i - 1)) / (size - 2);
+            points.push({ x: width * spread, y: height * 0.2 });
+        }
+        points.push({ x: width * 0.85, y: height * 0.6 });
+        return points;
+    };
+
+    // 'springs' pulls each handle towards its rest position; 'rope' hangs a
+    // chain of masses between the end anchors and fits the curve to it
+    const PHYSICS_MODELS = ['springs', 'rope'];
+    const PHYSICS_KEYS = [
+        'enabled', 'stiffness', 'damping', 'mouseInfluence', 'integrator',
+        'model', 'ropeStiffness', 'ropeSegments', 'gravity'
+    ];
+
+    // Rope: constraint passes per step, air drag in 1/s, how far in px the
+    // pointer reaches, and the allowed segment counts
+    const ROPE_ITERATIONS = 12;
+    const ROPE_DRAG = 1.5;
+    const ROPE_REACH = 80;
+    const ROPE_MIN_SEGMENTS = 4;
+    const ROPE_MAX_SEGMENTS = 64;
+
+    // stiffness is in 1/s², damping in 1/s, velocities in px/s. The rope's
+    // ropeStiffness is the share of each stretch corrected per constraint
+    // pass (0-1) and gravity is in px/s².
+    const defaultPhysics = () => ({
+        enabled: true,
+        stiffness: 180,
+        damping: 54,
+        mouseInfluence: 0.5,
+        integrator: 'euler',
+        model: 'springs',
+        ropeStiffness: 0.9,
+        ropeSegments: 24,
+        gravity: 600,
+        velocities: []
+    });
+
+    const clampPhysics = (physics) => {
+        physics.ropeStiffness = Math.min(Math.max(physics.ropeStiffness, 0), 1);
+        physics.ropeSegments = Math.min(Math.max(
+            Math.round(physics.ropeSegments), ROPE_MIN_SEGMENTS), ROPE_MAX_SEGMENTS);
+        return physics;
+    };
+
+    // Gradient stops (start, middle, end) given to new curves in turn
+    const LAYER_COLORS = [
+        ['#06b6d4', '#8b5cf6', '#3b82f6'],
+        ['#f59e0b', '#ef4444', '#ec4899'],
+        ['#10b981', '#84cc16', '#eab308'],
+        ['#a855f7', '#ec4899', '#f43f5e']
+    ];
+
+    // Everything one curve owns, as JSON-safe data. The top-level shape of
+    // older single-curve states reads the same way.
+    const layerState = (layer) => ({
+        id: layer.id,
+        name: layer.name,
+        colors: layer.colors,
+        visible: layer.visible,
+        locked: layer.locked,
+        curve: {
+            type: layer.curve.type,
+            join: layer.curve.join,
+            points: layer.curve.controlPoints,
+            initialPoints: layer.initialPoints
+        },
+        targets: layer.targets,
+        rope: layer.rope,
+        physics: layer.physics,
+        carry: layer.carry
+    });
+
+    class ReactorSimulation {
+        // width/height are in CSS pixels; input coordinates use the same space.
+        constructor({ width = 800, height = 600, seed = 1 } = {}) {
+            this.width = width;
+            this.height = height;
+            this.margin = 30;
+
+            // Fixed-timestep clock
+            this.timestep = 1 / 60;
+            this.maxSubSteps = 5;
+            this.accumulator = 0;
+            this.stepCount = 0;
+
+            // Set by a SessionRecorder to capture every external change
+            this.recorder = null;
+
+            // Pointer state fed in by whatever hosts the simulation. grabbed
+            // lists the points held by pointers; springs skip them.
+            this.input = {
+                x: width / 2,
+                y: height / 2,
+                vx: 0, vy: 0,
+                grabbed: []
+            };
+
+            this.rng = new SeededRandom(seed);
+            this.particles = new ParticleSystem(() => this.rng.next());
+
+            // Attractors, repellers, wind and obstacles placed in the scene
+            this.fields = new ForceFields();
+
+            // Curves, drawn first to last. Editing calls act on the selected
+            // one, which the properties below stand for.
+            this.layers = [];
+            this.selected = 0;
+            this.nextLayerId = 1;
+            this.layers.push(this.createLayer());
+            this.setCurveType('bezier', 3);
+        }
+
+        // A curve with its own rest shape and physics. Spring targets are set
+        // by a timeline in place of initialPoints; rope holds the masses of
+        // the rope model, built from the curve when first needed; carry is
+        // the fractional particles owed by the continuous emitters.
+        createLayer({ name, colors, visible = true, locked = false } = {}, id = this.nextLayerId++) {
+            return {
+                id,
+                name: name ?? `Curve ${id}`,
+                colors: [...(colors ?? LAYER_COLORS[(id - 1) % LAYER_COLORS.length])],
+                visible,
+                locked,
+                curve: null,
+                initialPoints: [],
+                targets: null,
+                rope: null,
+                physics: defaultPhysics(),
+                carry: { curve: 0, controlPoints: [] }
+            };
+        }
+
+        restoreLayer(data) {
+            const layer = this.createLayer(data, data.id ?? undefined);
+            layer.curve = new BezierCurve(clonePoints(data.curve.points), { type: data.curve.type, join: data.curve.join });
+            layer.initialPoints = clonePoints(data.curve.initialPoints ?? data.curve.points);
+            layer.targets = data.targets ?? null;
+            layer.rope = data.rope ?? null;
+            // States saved before the rope model start with its defaults
+            layer.physics = clampPhysics({ ...defaultPhysics(), ...data.physics });
+            layer.carry = data.carry ?? layer.carry;
+            if (layer.physics.velocities.length !== layer.curve.controlPoints.length) {
+                layer.physics.velocities = layer.curve.controlPoints.map(() => ({ x: 0, y: 0 }));
+            }
+            this.nextLayerId = Math.max(this.nextLayerId, layer.id + 1);
+            return layer;
+        }
+
+        get layer() {
+            return this.layers[this.selected];
+        }
+
+        getLayer(id) {
+            return this.layers.find(layer => layer.id === id) || null;
+        }
+
+        get curve() {
+            return this.layer.curve;
+        }
+
+        set curve(curve) {
+            this.layer.curve = curve;
+        }
+
+        get initialPoints() {
+            return this.layer.initialPoints;
+        }
+
+        set initialPoints(points) {
+            this.layer.initialPoints = points;
+        }
+
+        get physics() {
+            return this.layer.physics;
+        }
+
+        set physics(physics) {
+            this.layer.physics = physics;
+        }
+
+        get targets() {
+            return this.layer.targets;
+        }
+
+        set targets(targets) {
+            this.layer.targets = targets;
+        }
+
+        get rope() {
+            return this.layer.rope;
+        }
+
+        set rope(rope) {
+            this.layer.rope = rope;
+        }
+
+        get controlPoints() {
+            return this.curve.controlPoints;
+        }
+
+        record(action, args) {
+            if (this.recorder) {
+                this.recorder.capture(action, args);
+            }
+        }
+
+        // JSON-safe copy of every curve, as loadLayers takes it
+        getLayers() {
+            return JSON.parse(JSON.stringify(this.layers.map(layerState)));
+        }
+
+        // Complete simulation state as plain JSON-safe data
+        getState() {
+            return JSON.parse(JSON.stringify({
+                width: this.width,
+                height: this.height,
+                layers: this.layers.map(layerState),
+                selected: this.selected,
+                nextLayerId: this.nextLayerId,
+                fields: this.fields.toJSON(),
+                input: this.input,
+                particles: this.particles.getState(),
+                rng: this.rng.state,
+                accumulator: this.accumulator,
+                stepCount: this.stepCount
+            }));
+        }
+
+        setState(state) {
+            const copy = JSON.parse(JSON.stringify(state));
+
+            this.width = copy.width;
+            this.height = copy.height;
+            // Single-curve states keep the curve at the top level, and the
+            // emitter carry with the particles
+            const layers = copy.layers ?? [{ ...copy, id: 1, carry: copy.particles.carry }];
+            this.nextLayerId = 1;
+            this.layers = layers.map(layer => this.restoreLayer(layer));
+            this.nextLayerId = Math.max(this.nextLayerId, copy.nextLayerId ?? 1);
+            this.selected = copy.selected ?? 0;
+            this.fields.load(copy.fields ?? []);
+            this.input = copy.input;
+            this.particles.setState(copy.particles);
+            this.rng.state = copy.rng;
+            this.accumulator = copy.accumulator;
+            this.stepCount = copy.stepCount;
+        }
+
+        // Just what moves on its own: every curve's points, velocities, rope
+        // and timeline targets, the particles and the clock. Settings, fields
+        // and the list of curves are left out, so setMotion() rewinds the
+        // motion without undoing edits made since. The particles are kept in
+        // typed arrays (see ParticleSystem.snapshot), so a motion isn't JSON.
+        getMotion() {
+            return {
+                layers: JSON.parse(JSON.stringify(this.layers.map(({ id, curve, physics, targets, rope, carry }) => ({
+                    id,
+                    points: curve.controlPoints,
+                    velocities: physics.velocities,
+                    targets,
+                    rope,
+                    carry
+                })))),
+                particles: this.particles.snapshot(),
+                rng: this.rng.state,
+                stepCount: this.stepCount
+            };
+        }
+
+        // Curves that have gone or changed their number of points since
+        // getMotion() keep their current motion. Not recorded: a session
+        // counts on the step count only going forward.
+        setMotion(motion) {
+            for (const { id, points, velocities, targets, rope, carry } of JSON.parse(JSON.stringify(motion.layers))) {
+                const layer = this.getLayer(id);
+                if (!layer || layer.curve.controlPoints.length !== points.length) continue;
+
+                points.forEach((point, i) => Object.assign(layer.curve.controlPoints[i], point));
+                layer.physics.velocities = velocities;
+                layer.targets = targets && targets.points.length === points.length ? targets : null;
+                // A rope with another number of masses is rebuilt from the points
+                const current = layer.rope;
+                layer.rope = rope && current && rope.points.length === current.points.length ? rope : null;
+                layer.carry = carry;
+            }
+            this.input.grabbed = [];
+            this.particles.restore(motion.particles);
+            this.rng.state = motion.rng;
+            this.accumulator = 0;
+            this.stepCount = motion.stepCount;
+        }
+
+        // A curve in the default layout, shifted so it doesn't cover the
+        // first one, which becomes the selected curve. options: name, colors,
+        // visible, locked.
+        addLayer(options = {}) {
+            this.record('addLayer', [options]);
+            const layer = this.createLayer(options);
+            const offset = 30 * (this.layers.length % 6);
+            layer.initialPoints = createLayout(this.width, this.height, 'bezier', 3)
+                .map(({ x, y }) => ({ x: x + offset, y: y + offset }));
+            layer.curve = new BezierCurve(clonePoints(layer.initialPoints), { type: 'bezier', join: 'C1' });
+            layer.physics.velocities = layer.initialPoints.map(() => ({ x: 0, y: 0 }));
+            return this.insertLayer(layer, this.layers.length);
+        }
+
+        // A copy of a curve and its physics above the original, shifted 30 px
+        duplicateLayer(id) {
+            this.record('duplicateLayer', [id]);
+            const source = this.getLayer(id);
+            if (!source) return null;
+
+            const shift = (points) => points.map(({ x, y }) => ({ x: x + 30, y: y + 30 }));
+            const data = JSON.parse(JSON.stringify(layerState(source)));
+            data.curve.points = shift(data.curve.points);
+            data.curve.initialPoints = shift(data.curve.initialPoints);
+            const layer = this.restoreLayer({
+                ...data,
+                id: undefined,
+                name: `${source.name} copy`,
+                targets: null,
+                rope: null,
+                carry: undefined
+            });
+            layer.physics.velocities = layer.curve.controlPoints.map(() => ({ x: 0, y: 0 }));
+            return this.insertLayer(layer, this.layers.indexOf(source) + 1);
+        }
+
+        insertLayer(layer, index) {
+            this.layers.splice(index, 0, layer);
+            this.selected = index;
+            this.input.grabbed = [];
+            return layer;
+        }
+
+        // The last curve can't be removed
+        removeLayer(id) {
+            this.record('removeLayer', [id]);
+            const index = this.layers.findIndex(layer => layer.id === id);
+            if (index < 0 || this.layers.length === 1) return false;
+
+            this.layers.splice(index, 1);
+            if (index === this.selected) this.input.grabbed = [];
+            if (index < this.selected) this.selected--;
+            this.selected = Math.min(this.selected, this.layers.length - 1);
+            return true;
+        }
+
+        selectLayer(id) {
+            this.record('selectLayer', [id]);
+            const index = this.layers.findIndex(layer => layer.id === id);
+            if (index < 0) return false;
+            if (index !== this.selected) this.input.grabbed = [];
+            this.selected = index;
+            return true;
+        }
+
+        // Any of name, colors (three gradient stops), visible and locked.
+        // Hiding or locking the selected curve lets go of its points.
+        setLayer(id, { name, colors, visible, locked }) {
+            this.record('setLayer', [id, { name, colors, visible, locked }]);
+            const layer = this.getLayer(id);
+            if (!layer) return false;
+
+            if (name !== undefined) layer.name = name;
+            if (colors !== undefined) layer.colors = [...colors];
+            if (visible !== undefined) layer.visible = visible;
+            if (locked !== undefined) layer.locked = locked;
+            if (layer === this.layer && (!layer.visible || layer.locked)) this.input.grabbed = [];
+            return true;
+        }
+
+        // Replace every curve, e.g. from an imported scene or an undo. Each
+        // entry is { name, colors, visible, locked, curve: { type, join,
+        // points, initialPoints }, physics }, as in getState().layers.
+        loadLayers(layers, selected = 0) {
+            this.record('loadLayers', [layers, selected]);
+            this.nextLayerId = 1;
+            this.layers = JSON.parse(JSON.stringify(layers)).map(layer => this.restoreLayer(layer));
+            this.selected = Math.min(Math.max(selected, 0), this.layers.length - 1);
+            this.input.grabbed = [];
+        }
+
+        // Topmost visible, unlocked curve whose body passes within threshold
+        findLayerAt(x, y, threshold = 12) {
+            for (let i = this.layers.length - 1; i >= 0; i--) {
+                const layer = this.layers[i];
+                if (!layer.visible || layer.locked) continue;
+                const hit = layer.curve.projectPoint(x, y);
+                if (hit && hit.distance <= threshold) return layer;
+            }
+            return null;
+        }
+
+        // Any subset of PHYSICS_KEYS. A new model or segment count rebuilds
+        // the rope from the current curve.
+        setPhysics(params) {
+            this.record('setPhysics', [params]);
+            const { model, ropeSegments } = this.physics;
+            for (const key of PHYSICS_KEYS) {
+                if (params[key] !== undefined) this.physics[key] = params[key];
+            }
+
+            clampPhysics(this.physics);
+            if (this.physics.model !== model || this.physics.ropeSegments !== ropeSegments) {
+                this.rope = null;
+            }
+        }
+
+        setParticlesEnabled(enabled) {
+            this.record('setParticlesEnabled', [enabled]);
+            this.particles.enabled = enabled;
+        }
+
+        setParticleCollisions(enabled) {
+            this.record('setParticleCollisions', [enabled]);
+            this.particles.collisions = enabled;
+        }
+
+        setMaxParticles(max) {
+            this.record('setMaxParticles', [max]);
+            this.particles.allocate(max);
+        }
+
+        // name is 'burst', 'controlPoints' or 'curve'; see DEFAULT_EMITTERS
+        setEmitter(name, options) {
+            this.record('setEmitter', [name, options]);
+            this.particles.setEmitter(name, options);
+        }
+
+        emitParticles(x, y, count) {
+            this.record('emitParticles', [x, y, count]);
+            this.particles.createParticles(x, y, count);
+        }
+
+        // count particles evenly spaced by arc length, using the curve emitter
+        // even when its continuous emission is off
+        emitAlongCurve(count) {
+            this.record('emitAlongCurve', [count]);
+            const total = this.curve.getArcLength();
+            for (let i = 0; i < count; i++) {
+                if (!this.emitFromCurve(this.curve, total, (i + 0.5) / count * total)) break;
+            }
+        }
+
+        // Launch a curve particle off either side of the curve at arc length
+        emitFromCurve(curve, total, length) {
+            const particles = this.particles;
+            if (!particles.enabled) return false;
+
+            const t = curve.getTAtArcLength(length, total);
+            const point = curve.calculateBezierPoint(t);
+            const tangent = curve.calculateBezierTangent(t);
+            const side = particles.random() < 0.5 ? -1 : 1;
+            const angle = Math.atan2(tangent.x * side, -tangent.y * side);
+            return particles.spawn(point.x, point.y, particles.emitters.curve, angle);
+        }
+
+        // type is 'bezier' (size = degree) or 'spline' (size = segment count)
+        setCurveType(type, size) {
+            this.record('setCurveType', [type, size]);
+            const join = this.curve ? this.curve.join : 'C1';
+
+            this.initialPoints = createLayout(this.width, this.height, type, size);
+            this.curve = new BezierCurve(clonePoints(this.initialPoints), { type, join });
+            this.curve.enforceJoins();
+            constrainJoins(this.initialPoints, join);
+            this.targets = null;
+            this.rope = null;
+            this.input.grabbed = [];
+            this.resetVelocities();
+        }
+
+        // Replace the whole curve, e.g. from an imported scene
+        loadCurve({ type, join, points, initialPoints = points }) {
+            this.record('loadCurve', [{ type, join, points, initialPoints }]);
+            this.curve = new BezierCurve(clonePoints(points), { type, join });
+            this.initialPoints = clonePoints(initialPoints);
+            this.targets = null;
+            this.rope = null;
+            this.input.grabbed = [];
+            this.resetVelocities();
+        }
+
+        // New rest positions for the handles, e.g. where they were dropped
+        setRestPoints(points) {
+            this.record('setRestPoints', [points]);
+            this.initialPoints = clonePoints(points);
+        }
+
+        setJoin(join) {
+            this.record('setJoin', [join]);
+            this.curve.join = join;
+            this.curve.enforceJoins();
+            if (this.curve.type === 'spline') {
+                constrainJoins(this.initialPoints, join);
+            }
+        }
+
+        resetVelocities() {
+            this.physics.velocities = this.controlPoints.map(() => ({ x: 0, y: 0 }));
+        }
+
+        resize(width, height) {
+            this.record('resize', [width, height]);
+            const scaleX = width / this.width;
+            const scaleY = height / this.height;
+            this.width = width;
+            this.height = height;
+            this.fields.scale(scaleX, scaleY);
+
+            // Keep the rest shapes while a point is being dragged
+            if (this.input.grabbed.length > 0) return;
+
+            for (const { curve, initialPoints } of this.layers) {
+                initialPoints.forEach((point, i) => {
+                    point.x *= scaleX;
+                    point.y *= scaleY;
+                    if (curve.isAnchor(i)) {
+                        curve.controlPoints[i].x = point.x;
+                        curve.controlPoints[i].y = point.y;
+                    }
+                });
+            }
+        }
+
+        // Spring targets that replace initialPoints, one per control point.
+        // Anchors aren't sprung and jump straight to theirs; with springs:
+        // false the handles do too. null goes back to the rest shape.
+        setTargets(points, { springs = true } = {}) {
+            this.record('setTargets', [points, { springs }]);
+            const grabbed = this.input.grabbed;
+
+            if (!points) {
+                this.targets = null;
+                this.initialPoints.forEach((point, i) => {
+                    if (this.curve.isAnchor(i) && !grabbed.includes(i)) Object.assign(this.controlPoints[i], point);
+                });
+            } else {
+                this.targets = { points: clonePoints(points), springs };
+                this.targets.points.forEach((point, i) => {
+                    if (grabbed.includes(i) || (springs && !this.curve.isAnchor(i))) return;
+                    this.controlPoints[i].x = point.x;
+                    this.controlPoints[i].y = point.y;
+                });
+            }
+            this.curve.enforceJoins(grabbed);
+        }
+
+        // Force fields and obstacles; see FIELD_DEFAULTS for each type's
+        // parameters. Returns the new field, with the id the others take.
+        addField(type, x, y, params = {}) {
+            this.record('addField', [type, x, y, params]);
+            return this.fields.add(type, x, y, params);
+        }
+
+        updateField(id, params) {
+            this.record('updateField', [id, params]);
+            return this.fields.update(id, params);
+        }
+
+        removeField(id) {
+            this.record('removeField', [id]);
+            return this.fields.remove(id);
+        }
+
+        // Replace every field, e.g. from a scene or an undo step
+        setFields(fields) {
+            this.record('setFields', [fields]);
+            this.fields.load(fields);
+        }
+
+        setInput(input) {
+            this.record('setInput', [input]);
+            Object.assign(this.input, input);
+        }
+
+        // Held points follow their pointer and ignore the springs
+        grabPoint(index) {
+            this.record('grabPoint', [index]);
+            if (!this.input.grabbed.includes(index)) {
+                this.input.grabbed.push(index);
+            }
+        }
+
+        releasePoint(index) {
+            this.record('releasePoint', [index]);
+            this.input.grabbed = this.input.grabbed.filter(i => i !== index);
+        }
+
+        // Drag the curve body: move the handles of the segment under t so that
+        // B(t) lands on (x, y) with the smallest total handle movement. Handle i
+        // moves by b_i·Δ / Σ b_j², b being its Bernstein weight at t; anchors
+        // stay put. Returns the indices of the moved handles.
+        dragCurve(t, x, y) {
+            this.record('dragCurve', [t, x, y]);
+            const curve = this.curve;
+            const { localT } = curve.locate(t);
+            const handles = curve.getHandleIndices(t).map((index, i) => ({
+                index,
+                weight: bernstein(curve.degree, i + 1, localT)
+            }));
+            const norm = handles.reduce((sum, { weight }) => sum + weight * weight, 0);
+            if (norm < 1e-12) return [];
+
+            const current = curve.calculateBezierPoint(t);
+            const dx = x - current.x;
+            const dy = y - current.y;
+            for (const { index, weight } of handles) {
+                this.controlPoints[index].x += weight * dx / norm;
+                this.controlPoints[index].y += weight * dy / norm;
+            }
+
+            const indices = handles.map(({ index }) => index);
+            curve.enforceJoins(indices);
+            return indices;
+        }
+
+        moveControlPoint(index, x, y) {
+            this.record('moveControlPoint', [index, x, y]);
+            const point = this.controlPoints[index];
+            point.x = x;
+            point.y = y;
+            this.curve.enforceJoins(index);
+        }
+
+        // Add a point without changing the shape: a spline gains an anchor at t,
+        // a single Bézier is degree-elevated.
+        insertPoint(t) {
+            this.record('insertPoint', [t]);
+            const { type } = this.curve;
+            const { segment, localT } = this.curve.locate(t);
+
+            if (type === 'spline' && this.curve.segmentCount >= MAX_SPLINE_SEGMENTS) return false;
+            if (type !== 'spline' && this.controlPoints.length >= MAX_BEZIER_POINTS) return false;
+
+            const insert = (points) => {
+                if (type !== 'spline') return elevateDegree(points);
+
+                const start = segment * 3;
+                const { left, right } = splitBezier(points.slice(start, start + 4), localT);
+                return [
+                    ...points.slice(0, start),
+                    ...left,
+                    ...right.slice(1),
+                    ...points.slice(start + 4)
+                ];
+            };
+
+            this.curve.controlPoints = insert(this.controlPoints);
+            this.initialPoints = insert(this.initialPoints);
+            this.targets = null;
+            this.rope = null;
+            this.input.grabbed = [];
+            this.resetVelocities();
+            return true;
+        }
+
+        // Drop a handle from a Bézier, or merge the two spline segments around
+        // the interior anchor closest to index
+        removePoint(index) {
+            this.record('removePoint', [index]);
+            let start, count;
+
+            if (this.curve.type === 'spline') {
+                if (this.curve.segmentCount <= 1) return false;
+                const anchor = Math.min(Math.max(Math.round(index / 3) * 3, 3), this.controlPoints.length - 4);
+                start = anchor - 1;
+                count = 3;
+            } else {
+                if (this.controlPoints.length <= 3 || this.curve.isAnchor(index)) return false;
+                start = index;
+                count = 1;
+            }
+
+            this.controlPoints.splice(start, count);
+            this.initialPoints.splice(start, count);
+            this.curve.enforceJoins();
+            constrainJoins(this.initialPoints, this.curve.join);
+            this.targets = null;
+            this.rope = null;
+            this.input.grabbed = [];
+            this.resetVelocities();
+            return true;
+        }
+
+        // Advance by real elapsed seconds in whole fixed steps. Anything beyond
+        // maxSubSteps (e.g. after a background tab regains focus) is dropped.
+        advance(elapsed) {
+            this.accumulator += Math.max(0, elapsed);
+
+            let steps = Math.floor(this.accumulator / this.timestep);
+            if (steps > this.maxSubSteps) {
+                steps = this.maxSubSteps;
+                this.accumulator = 0;
+            } else {
+                this.accumulator -= steps * this.timestep;
+            }
+
+            for (let i = 0; i < steps; i++) {
+                this.step();
+            }
+            return steps;
+        }
+
+        // Drop the part of a step left over from advance(), so the next one
+        // starts on a step boundary
+        alignToStep() {
+            this.accumulator = 0;
+        }
+
+        // One fixed step of the simulation clock
+        step() {
+            this.stepCount++;
+            this.updatePhysics(this.timestep);
+        }
+
+        // Physics Simulation. Hidden curves and curves with physics off stand
+        // still; particles move while any curve runs.
+        updatePhysics(dt = this.timestep) {
+            let running = false;
+            for (const layer of this.layers) {
+                if (!layer.visible || !layer.physics.enabled) continue;
+                running = true;
+
+                if (layer.physics.model === 'rope') {
+                    this.updateRope(layer, dt);
+                } else {
+                    this.updateSprings(layer, dt);
+                }
+                layer.curve.enforceJoins(this.grabbedIn(layer));
+                this.emitFromCurveRate(layer, dt);
+            }
+            if (!running) return;
+
+            const { collisions, count } = this.particles;
+            const obstacles = collisions && count > 0 ?
+                this.layers.filter(layer => layer.visible).map(layer => layer.curve.flatten(1)) :
+                null;
+            this.particles.updateParticles(dt, obstacles, this.fields, this.time);
+        }
+
+        // Pointers only ever hold points of the selected curve
+        grabbedIn(layer) {
+            return layer === this.layer ? this.input.grabbed : [];
+        }
+
+        // Simulated seconds, counted in fixed steps
+        get time() {
+            return this.stepCount * this.timestep;
+        }
+
+        updateSprings(layer, dt) {
+            const { curve, targets, physics } = layer;
+            const input = this.input;
+            const grabbed = this.grabbedIn(layer);
+            const rest = targets ? targets.points : layer.initialPoints;
+            const { stiffness, damping } = physics;
+            const integrate = INTEGRATORS[physics.integrator] || INTEGRATORS.euler;
+            const time = this.time;
+
+            let side = 1;
+
+            for (let i = 0; i < curve.controlPoints.length; i++) {
+                if (curve.isAnchor(i)) continue;
+
+                const point = curve.controlPoints[i];
+                const velocity = physics.velocities[i];
+
+                // Neighbouring handles lean in opposite x directions
+                const sign = side;
+                side = -side;
+
+                // Skip if being dragged, or placed by unsprung targets
+                if (grabbed.includes(i) || (targets && !targets.springs)) {
+                    velocity.x = velocity.y = 0;
+                    continue;
+                }
+
+                let targetX = rest[i].x;
+                let targetY = rest[i].y;
+
+                // Add mouse influence
+                const influence = physics.mouseInfluence * 0.01;
+                targetX += sign * (input.x - this.width / 2) * influence;
+                targetY += (input.y - this.height / 2) * influence;
+
+                // Add mouse velocity for dynamic response
+                targetX += input.vx * 0.5;
+                targetY += input.vy * 0.5;
+
+                // acceleration = -k*(position-target) - damping*velocity + fields
+                integrate(point, velocity, (x, y, vx, vy) => {
+                    const push = this.fields.acceleration(x, y, time);
+                    return {
+                        x: -stiffness * (x - targetX) - damping * vx + push.x,
+                        y: -stiffness * (y - targetY) - damping * vy + push.y
+                    };
+                }, dt);
+
+                this.applyBoundaries(point, velocity);
+                this.emitFromControlPoint(layer, i, point, velocity, dt);
+            }
+        }
+
+        // The rope hangs through masses spaced by arc length along the curve
+        createRope(layer) {
+            const { curve, physics } = layer;
+            const count = Math.max(physics.ropeSegments, 2 * curve.degree * curve.segmentCount);
+            const total = curve.getArcLength();
+            const points = [];
+            for (let i = 0; i <= count; i++) {
+                const { x, y } = curve.calculateBezierPoint(curve.getTAtArcLength((i / count) * total, total));
+                points.push({ x, y });
+            }
+            return { points, previous: clonePoints(points), rest: total / count };
+        }
+
+        // Masses held in place: the two ends on the end anchors, and the mass
+        // nearest each grabbed handle under that handle
+        getRopePins(layer) {
+            const { points } = layer.rope;
+            const last = points.length - 1;
+            const controls = layer.curve.controlPoints;
+            const pins = new Map([[0, controls[0]], [last, controls[controls.length - 1]]]);
+            for (const index of this.grabbedIn(layer)) {
+                pins.set(Math.round((index / (controls.length - 1)) * last), controls[index]);
+            }
+            return pins;
+        }
+
+        // Verlet step of the chain under gravity, drag and the pointer, then
+        // distance constraints, then a least-squares fit back to the curve
+        updateRope(layer, dt) {
+            if (!layer.rope) layer.rope = this.createRope(layer);
+            const { points, previous, rest } = layer.rope;
+            const { input, margin, width, height } = this;
+            const { gravity, ropeStiffness, mouseInfluence } = layer.physics;
+            const last = points.length - 1;
+            const keep = Math.exp(-ROPE_DRAG * dt);
+            const pins = this.getRopePins(layer);
+
+            for (let i = 1; i < last; i++) {
+                const point = points[i];
+                let vx = (point.x - previous[i].x) * keep;
+                let vy = (point.y - previous[i].y) * keep;
+
+                // The pointer drags nearby masses along with it
+                const distance = Math.hypot(point.x - input.x, point.y - input.y);
+                if (distance < ROPE_REACH) {
+                    const push = mouseInfluence * (1 - distance / ROPE_REACH) * dt;
+                    vx += input.vx * push;
+                    vy += input.vy * push;
+                }
+
+                const push = this.fields.acceleration(point.x, point.y, this.time);
+                previous[i].x = point.x;
+                previous[i].y = point.y;
+                point.x += vx + push.x * dt * dt;
+                point.y += vy + (gravity + push.y) * dt * dt;
+            }
+
+            for (let pass = 0; pass < ROPE_ITERATIONS; pass++) {
+                pins.forEach((pin, i) => {
+                    points[i].x = pin.x;
+                    points[i].y = pin.y;
+                });
+
+                // Pinned masses don't move; the other end takes the whole correction
+                for (let i = 0; i < last; i++) {
+                    const a = points[i];
+                    const b = points[i + 1];
+                    const wa = pins.has(i) ? 0 : 1;
+                    const wb = pins.has(i + 1) ? 0 : 1;
+                    if (wa + wb === 0) continue;
+
+                    const dx = b.x - a.x;
+                    const dy = b.y - a.y;
+                    const distance = Math.hypot(dx, dy) || 1e-9;
+                    const share = (ropeStiffness * (distance - rest)) / (distance * (wa + wb));
+                    a.x += dx * share * wa;
+                    a.y += dy * share * wa;
+                    b.x -= dx * share * wb;
+                    b.y -= dy * share * wb;
+                }
+
+                for (let i = 1; i < last; i++) {
+                    if (pins.has(i)) continue;
+                    const point = points[i];
+                    point.x = Math.min(Math.max(point.x, margin), width - margin);
+                    point.y = Math.min(Math.max(point.y, margin), height - margin);
+                    this.fields.collide(point, null, 0);
+                }
+            }
+
+            this.fitRope(layer, dt);
+        }
+
+        // Fit each segment to its share of the masses. Grabbed handles stay
+        // with their pointers; the others take the fit and its velocity.
+        fitRope(layer, dt) {
+            const { points } = layer.rope;
+            const { curve, physics } = layer;
+            const { degree, segmentCount } = curve;
+            const controls = curve.controlPoints;
+            const grabbed = this.grabbedIn(layer);
+            const last = points.length - 1;
+
+            for (let s = 0; s < segmentCount; s++) {
+                const start = Math.round((s / segmentCount) * last);
+                const end = Math.round(((s + 1) / segmentCount) * last);
+                const fitted = fitBezier(points.slice(start, end + 1), degree);
+                if (!fitted) continue;
+
+                fitted.forEach((point, j) => {
+                    const index = s * degree + j;
+                    if (index === 0 || index === controls.length - 1) return;
+                    if (grabbed.includes(index)) return;
+
+                    const current = controls[index];
+                    const velocity = physics.velocities[index];
+                    velocity.x = (point.x - current.x) / dt;
+                    velocity.y = (point.y - current.y) / dt;
+                    current.x = point.x;
+                    current.y = point.y;
+                    if (!curve.isAnchor(index)) this.emitFromControlPoint(layer, index, current, velocity, dt);
+                });
+            }
+        }
+
+        // Handles moving faster than 30 px/s shed particles in proportion to
+        // the distance they cover
+        emitFromControlPoint(layer, index, point, velocity, dt) {
+            const particles = this.particles;
+            const emitter = particles.emitters.controlPoints;
+            const speed = Math.hypot(velocity.x, velocity.y);
+            if (!particles.enabled || !emitter.enabled || speed <= 30) return;
+
+            const carry = layer.carry.controlPoints;
+            const owed = (carry[index] || 0) + speed * dt * emitter.rate;
+            const count = Math.floor(owed);
+            carry[index] = owed - count;
+            particles.createParticles(point.x, point.y, count, emitter);
+        }
+
+        // Continuous emission at random arc-length positions
+        emitFromCurveRate(layer, dt) {
+            const particles = this.particles;
+            const emitter = particles.emitters.curve;
+            if (!particles.enabled || !emitter.enabled) return;
+
+            const owed = layer.carry.curve + emitter.rate * dt;
+            const count = Math.floor(owed);
+            layer.carry.curve = owed - count;
+            if (count === 0) return;
+
+            const total = layer.curve.getArcLength();
+            for (let i = 0; i < count; i++) {
+                if (!this.emitFromCurve(layer.curve, total, particles.random() * total)) break;
+            }
+        }
+
+        applyBoundaries(point, velocity) {
+            const { margin, width, height } = this;
+
+            if (point.x < margin) {
+                point.x = margin;
+                velocity.x *= -0.3;
+            }
+            if (point.x > width - margin) {
+                point.x = width - margin;
+                velocity.x *= -0.3;
+            }
+            if (point.y < margin) {
+                point.y = margin;
+                velocity.y *= -0.3;
+            }
+            if (point.y > height - margin) {
+                point.y = height - margin;
+                velocity.y *= -0.3;
+            }
+
+            this.fields.collide(point, velocity, 0.3);
+        }
+
+        // Only handles can be grabbed; anchors on the curve stay fixed
+        getNearestControlPoint(x, y, threshold = 25) {
+            let nearest = null;
+            let nearestDistance = threshold;
+
+            this.controlPoints.forEach((point, i) => {
+                if (this.curve.isAnchor(i)) return;
+                const distance = Math.hypot(point.x - x, point.y - y);
+                if (distance < nearestDistance) {
+                    nearest = i;
+                    nearestDistance = distance;
+                }
+            });
+            return nearest;
+        }
+
+        // Every curve back to its rest shape
+        reset() {
+            this.record('reset', []);
+            for (const layer of this.layers) {
+                layer.curve.controlPoints = clonePoints(layer.initialPoints);
+                layer.rope = null;
+                layer.physics.velocities = layer.initialPoints.map(() => ({ x: 0, y: 0 }));
+                layer.carry = { curve: 0, controlPoints: [] };
+            }
+            this.input.grabbed = [];
+            this.particles.clear();
+            this.accumulator = 0;
+        }
+    }
+
+    return {
+        INTEGRATORS,
+        evaluateBezier,
+        hodograph,
+        splitBezier,
+        flattenBezier,
+        elevateDegree,
+        fitBezier,
+        SeededRandom,
+        DEFAULT_EMITTERS,
+        PHYSICS_MODELS,
+        LAYER_COLORS,
+        FIELD_DEFAULTS,
+        FIELD_TYPES,
+        ForceFields,
+        BezierCurve,
+        ParticleSystem,
+        ReactorSimulation
+    };
+});
@@ -0,0 +1,195 @@
+// Session recording and deterministic replay.
+// A recording is the full simulation state when recording started plus every
+// external call into the simulation, tagged with the fixed step it happened
+// before. Replaying those calls on the same step boundaries reproduces the
+// control-point trajectories (and the seeded particles) exactly.
+(function (root, factory) {
+    const io = typeof module === 'object' && module.exports ? require('./scene-io.js') : root;
+    const api = factory(io);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function ({ SceneFormatError }) {
+
+    const RECORDING_VERSION = 2;
+
+    // Simulation methods that call record(); only these may appear in a recording
+    const RECORDED_ACTIONS = [
+        'setInput',
+        'setTargets',
+        'addField',
+        'updateField',
+        'removeField',
+        'setFields',
+        'addLayer',
+        'duplicateLayer',
+        'removeLayer',
+        'selectLayer',
+        'setLayer',
+        'loadLayers',
+        'grabPoint',
+        'releasePoint',
+        'moveControlPoint',
+        'dragCurve',
+        'emitParticles',
+        'emitAlongCurve',
+        'setMaxParticles',
+        'setEmitter',
+        'setPhysics',
+        'setParticlesEnabled',
+        'setParticleCollisions',
+        'setCurveType',
+        'setJoin',
+        'loadCurve',
+        'setRestPoints',
+        'insertPoint',
+        'removePoint',
+        'resize',
+        'reset'
+    ];
+
+    class SessionRecorder {
+        constructor(sim) {
+            this.sim = sim;
+            this.recording = null;
+            this.startStep = 0;
+        }
+
+        get active() {
+            return this.sim.recorder === this;
+        }
+
+        start() {
+            this.startStep = this.sim.stepCount;
+            this.recording = {
+                version: RECORDING_VERSION,
+                timestep: this.sim.timestep,
+                state: this.sim.getState(),
+                steps: 0,
+                events: []
+            };
+            this.sim.recorder = this;
+        }
+
+        capture(action, args) {
+            this.recording.events.push({
+                step: this.sim.stepCount - this.startStep,
+                time: Date.now(),
+                action,
+                args: JSON.parse(JSON.stringify(args))
+            });
+        }
+
+        stop() {
+            if (this.sim.recorder === this) {
+                this.sim.recorder = null;
+            }
+            this.recording.steps = this.sim.stepCount - this.startStep;
+            return this.recording;
+        }
+    }
+
+    function parseRecording(input) {
+        let recording = input;
+        if (typeof input === 'string') {
+            try {
+                recording = JSON.parse(input);
+            } catch (error) {
+                throw new SceneFormatError(`Invalid JSON: ${error.message}`);
+            }
+        }
+
+        if (!recording || typeof recording !== 'object') throw new SceneFormatError('A recording must be a JSON object.');
+        if (recording.version !== RECORDING_VERSION) {
+            throw new SceneFormatError(`Unsupported recording version ${recording.version}.`);
+        }
+        if (!recording.state || !(recording.state.layers || recording.state.curve)) throw new SceneFormatError('The recording has no start state.');
+        if (!Number.isInteger(recording.steps) || recording.steps < 0) {
+            throw new SceneFormatError('The recording has no step count.');
+        }
+        if (!Array.isArray(recording.events)) throw new SceneFormatError('The recording has no event list.');
+
+        let previous = 0;
+        recording.events.forEach((event, i) => {
+            if (!RECORDED_ACTIONS.includes(event.action)) {
+                throw new SceneFormatError(`events[${i}] has unknown action "${event.action}".`);
+            }
+            if (!Number.isInteger(event.step) || event.step < previous || event.step > recording.steps) {
+                throw new SceneFormatError(`events[${i}] has an out-of-order step.`);
+            }
+            if (!Array.isArray(event.args)) throw new SceneFormatError(`events[${i}] has no arguments.`);
+            previous = event.step;
+        });
+        return recording;
+    }
+
+    class SessionPlayer {
+        constructor(sim, recording) {
+            this.sim = sim;
+            this.recording = parseRecording(recording);
+            this.onAction = null;
+            this.rewind();
+        }
+
+        get finished() {
+            return this.position >= this.recording.steps &&
+                this.eventIndex >= this.recording.events.length;
+        }
+
+        get progress() {
+            return this.recording.steps === 0 ? 1 : this.position / this.recording.steps;
+        }
+
+        rewind() {
+            this.sim.recorder = null;
+            this.sim.timestep = this.recording.timestep;
+            this.sim.setState(this.recording.state);
+            this.position = 0;
+            this.eventIndex = 0;
+            this.accumulator = 0;
+        }
+
+        // Apply the calls that happened before the current step
+        applyEvents() {
+            const { events } = this.recording;
+            while (this.eventIndex < events.length && events[this.eventIndex].step === this.position) {
+                const event = events[this.eventIndex++];
+                this.sim[event.action](...JSON.parse(JSON.stringify(event.args)));
+                if (this.onAction) this.onAction(event);
+            }
+        }
+
+        stepFrame() {
+            this.applyEvents();
+            if (this.position < this.recording.steps) {
+                this.sim.step();
+                this.position++;
+            }
+        }
+
+        // Real-time playback at the recording's fixed timestep
+        advance(elapsed) {
+            this.accumulator += Math.max(0, elapsed);
+            let steps = 0;
+            while (this.accumulator >= this.recording.timestep && !this.finished && steps < this.sim.maxSubSteps) {
+                this.accumulator -= this.recording.timestep;
+                this.stepFrame();
+                steps++;
+            }
+            if (steps === this.sim.maxSubSteps) this.accumulator = 0;
+            return steps;
+        }
+
+        // Play the whole recording as fast as possible
+        run() {
+            while (!this.finished) {
+                this.stepFrame();
+            }
+            return this.sim;
+        }
+    }
+
+    return { RECORDING_VERSION, SessionRecorder, SessionPlayer, parseRecording };
+});
@@ -0,0 +1,74 @@
+// Rewind buffer: snapshots of the last few simulated seconds, oldest first,
+// one every interval seconds; due() tells the caller when to take the next.
+// Seeking back moves a cursor without dropping anything, so the same moments
+// can be stepped through again; recording from a rewound cursor drops the
+// snapshots after it, as the simulation has branched from there.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    class RewindBuffer {
+        constructor({ seconds = 5, interval = 1 / 30 } = {}) {
+            this.seconds = seconds;
+            this.interval = interval;
+            this.snapshots = [];
+            this.cursor = -1;
+        }
+
+        get length() {
+            return this.snapshots.length;
+        }
+
+        // The cursor is on an older snapshot than the last one
+        get rewound() {
+            return this.cursor < this.snapshots.length - 1;
+        }
+
+        get current() {
+            return this.snapshots[this.cursor] ?? null;
+        }
+
+        // Whether a snapshot at time should be recorded: an interval after
+        // the current one, or at once when forced, when the simulation has
+        // branched from a rewound cursor or when its time has gone backwards
+        due(time, force = false) {
+            const last = this.current;
+            if (!last || time < last.time) return true;
+            if (time === last.time) return false;
+            return force || this.rewound || time - last.time >= this.interval - 1e-9;
+        }
+
+        // state is whatever the caller needs to put the moment back; time is
+        // in simulated seconds. A time that has gone backwards (e.g. after a
+        // scene was loaded) starts the buffer over.
+        record(time, state) {
+            this.snapshots.length = this.cursor + 1;
+            const last = this.current;
+            if (last && time <= last.time) this.snapshots = [];
+
+            this.snapshots.push({ time, state });
+            const oldest = time - this.seconds;
+            while (this.snapshots[0].time < oldest) this.snapshots.shift();
+            this.cursor = this.snapshots.length - 1;
+        }
+
+        // Move the cursor, clamped to the buffer; returns the snapshot there
+        seek(index) {
+            if (this.snapshots.length === 0) return null;
+            this.cursor = Math.min(Math.max(index, 0), this.snapshots.length - 1);
+            return this.current;
+        }
+
+        clear() {
+            this.snapshots = [];
+            this.cursor = -1;
+        }
+    }
+
+    return { RewindBuffer };
+});
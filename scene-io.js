@@ -0,0 +1,537 @@
+// Curvee Reactor scene import/export.
+// Converts the simulation to and from SVG path data and JSON scenes. No DOM
+// access; the app wires these to downloads and the import box.
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const SCENE_VERSION = 2;
+
+    // Upgrades from one schema version to the next, keyed by the version they
+    // upgrade from. Add an entry here whenever SCENE_VERSION is bumped so saved
+    // scenes and shared links from older versions keep loading.
+    const MIGRATIONS = {
+        // Version 1 scenes hold a single curve and its physics
+        1: ({ curve, physics, ...rest }) => ({ ...rest, layers: [{ curve, physics }], selected: 0 })
+    };
+    const PHYSICS_NUMBERS = ['stiffness', 'damping', 'mouseInfluence', 'ropeStiffness', 'ropeSegments', 'gravity'];
+    const INTEGRATOR_NAMES = ['euler', 'verlet', 'rk4'];
+    const MODEL_NAMES = ['springs', 'rope'];
+    const FIELD_TYPES = ['attractor', 'repeller', 'wind', 'circle', 'rect'];
+    const FIELD_SIZES = ['radius', 'width', 'height'];
+    const JOIN_NAMES = ['C0', 'C1', 'G1'];
+    const EMITTER_NAMES = ['burst', 'controlPoints', 'curve'];
+    const EMITTER_RANGES = ['lifetime', 'speed', 'size'];
+    const EMITTER_NUMBERS = ['gravity', 'rate'];
+    const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+    // The particle panel's slider maximum; the pool is allocated up front
+    const MAX_PARTICLES = 5000;
+
+    // Thrown for any input we can't turn into a scene; message is user-facing
+    class SceneFormatError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'SceneFormatError';
+        }
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const formatPoint = (point) => `${round(point.x)} ${round(point.y)}`;
+
+    // SVG Export
+    // Quadratics and cubics map to Q/C commands exactly; higher degrees have no
+    // SVG equivalent and are flattened to a polyline within tolerance px.
+    function toSvgPath(curve, tolerance = 0.25) {
+        return curve.getPathCommands(tolerance)
+            .map(({ type, points }) => `${type} ${points.map(formatPoint).join(' ')}`)
+            .join(' ');
+    }
+
+    function toSvgDocument(curve, width, height) {
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `  <path d="${toSvgPath(curve)}" fill="none" stroke="#8b5cf6" stroke-width="4" stroke-linecap="round"/>`,
+            '</svg>'
+        ].join('\n');
+    }
+
+    // SVG Import
+    // Accepts M/m followed by C/c and S/s commands (one subpath), or a whole
+    // <svg> document whose first <path> has such data.
+    function parseSvgPath(input) {
+        let d = String(input).trim();
+
+        if (d.startsWith('<')) {
+            const match = d.match(/<path\b[^>]*\sd\s*=\s*(["'])([\s\S]*?)\1/i);
+            if (!match) throw new SceneFormatError('No <path d="…"> element found in the SVG.');
+            d = match[2];
+        }
+
+        const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g);
+        if (!tokens || tokens.length === 0) throw new SceneFormatError('The path data is empty.');
+
+        const leftover = d.replace(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|[\s,]/g, '');
+        if (leftover) throw new SceneFormatError(`Unexpected characters in path data: "${leftover.slice(0, 10)}".`);
+
+        const points = [];
+        let index = 0;
+        let command = null;
+        let current = null;
+        let lastControl = null;
+
+        const readNumber = () => {
+            const token = tokens[index];
+            if (token === undefined || /[a-zA-Z]/.test(token)) {
+                throw new SceneFormatError(`Command "${command}" is missing coordinates.`);
+            }
+            index++;
+            return parseFloat(token);
+        };
+
+        const readPoint = (relative) => {
+            const x = readNumber();
+            const y = readNumber();
+            return relative ? { x: current.x + x, y: current.y + y } : { x, y };
+        };
+
+        while (index < tokens.length) {
+            if (/[a-zA-Z]/.test(tokens[index])) {
+                command = tokens[index++];
+            } else if (command === null) {
+                throw new SceneFormatError('Path data must start with an M command.');
+            }
+
+            const relative = command === command.toLowerCase();
+            if (current === null && command.toUpperCase() !== 'M') {
+                throw new SceneFormatError('Path data must start with an M command.');
+            }
+
+            switch (command.toUpperCase()) {
+                case 'M':
+                    if (current !== null) throw new SceneFormatError('Only a single subpath is supported (found a second M).');
+                    current = readPoint(false);
+                    points.push(current);
+                    // Extra coordinate pairs after M are implicit line-tos
+                    command = relative ? 'l' : 'L';
+                    break;
+                case 'C': {
+                    const c1 = readPoint(relative);
+                    const c2 = readPoint(relative);
+                    const end = readPoint(relative);
+                    points.push(c1, c2, end);
+                    lastControl = c2;
+                    current = end;
+                    break;
+                }
+                case 'S': {
+                    // First control point mirrors the previous segment's second one
+                    const c1 = lastControl
+                        ? { x: 2 * current.x - lastControl.x, y: 2 * current.y - lastControl.y }
+                        : { x: current.x, y: current.y };
+                    const c2 = readPoint(relative);
+                    const end = readPoint(relative);
+                    points.push(c1, c2, end);
+                    lastControl = c2;
+                    current = end;
+                    break;
+                }
+                case 'L':
+                    throw new SceneFormatError('Straight line segments (L, or extra coordinates after M) are not supported.');
+                default:
+                    throw new SceneFormatError(`Unsupported path command "${command}"; only M, C and S are allowed.`);
+            }
+        }
+
+        if (points.length < 4) throw new SceneFormatError('The path needs at least one cubic (C) segment.');
+
+        return {
+            type: points.length === 4 ? 'bezier' : 'spline',
+            join: detectJoin(points),
+            points
+        };
+    }
+
+    // Loosest join type that every interior anchor of a spline satisfies
+    function detectJoin(points, tolerance = 0.5) {
+        let join = 'C1';
+        for (let a = 3; a < points.length - 1; a += 3) {
+            const anchor = points[a];
+            const inX = anchor.x - points[a - 1].x, inY = anchor.y - points[a - 1].y;
+            const outX = points[a + 1].x - anchor.x, outY = points[a + 1].y - anchor.y;
+
+            if (Math.hypot(outX - inX, outY - inY) <= tolerance) continue;
+
+            const cross = inX * outY - inY * outX;
+            const dot = inX * outX + inY * outY;
+            const scale = Math.hypot(inX, inY) * Math.hypot(outX, outY);
+            if (scale > 0 && dot > 0 && Math.abs(cross) / scale < 1e-3) {
+                join = 'G1';
+            } else {
+                return 'C0';
+            }
+        }
+        return join;
+    }
+
+    // JSON Scenes
+    function captureLayer({ name, colors, visible, locked, curve, initialPoints, physics }) {
+        return {
+            name,
+            colors: [...colors],
+            visible,
+            locked,
+            curve: {
+                type: curve.type,
+                join: curve.join,
+                points: JSON.parse(JSON.stringify(curve.controlPoints)),
+                initialPoints: JSON.parse(JSON.stringify(initialPoints))
+            },
+            physics: {
+                enabled: physics.enabled,
+                stiffness: physics.stiffness,
+                damping: physics.damping,
+                mouseInfluence: physics.mouseInfluence,
+                integrator: physics.integrator,
+                model: physics.model,
+                ropeStiffness: physics.ropeStiffness,
+                ropeSegments: physics.ropeSegments,
+                gravity: physics.gravity
+            }
+        };
+    }
+
+    function captureScene(sim, { effects = {} } = {}) {
+        return {
+            version: SCENE_VERSION,
+            width: sim.width,
+            height: sim.height,
+            layers: sim.layers.map(captureLayer),
+            selected: sim.selected,
+            particles: {
+                enabled: sim.particles.enabled,
+                collisions: sim.particles.collisions,
+                maxParticles: sim.particles.capacity,
+                emitters: JSON.parse(JSON.stringify(sim.particles.emitters))
+            },
+            fields: sim.fields.toJSON(),
+            effects: { ...effects }
+        };
+    }
+
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    function validatePoints(points, label) {
+        if (!Array.isArray(points)) throw new SceneFormatError(`${label} must be an array of points.`);
+        points.forEach((point, i) => {
+            if (!point || !isNumber(point.x) || !isNumber(point.y)) {
+                throw new SceneFormatError(`${label}[${i}] must have numeric x and y.`);
+            }
+        });
+    }
+
+    // Field parameters are all numbers; sizes must be positive
+    function validateFields(fields) {
+        if (!Array.isArray(fields)) throw new SceneFormatError('fields must be an array.');
+        return fields.map((field, i) => {
+            if (!field || typeof field !== 'object') throw new SceneFormatError(`fields[${i}] must be an object.`);
+            const { type, ...params } = field;
+            if (!FIELD_TYPES.includes(type)) throw new SceneFormatError(`fields[${i}] has unknown type "${type}".`);
+            if (!isNumber(field.x) || !isNumber(field.y)) {
+                throw new SceneFormatError(`fields[${i}] must have numeric x and y.`);
+            }
+            for (const key of Object.keys(params)) {
+                if (!isNumber(params[key]) || (FIELD_SIZES.includes(key) && params[key] <= 0)) {
+                    throw new SceneFormatError(`fields[${i}].${key} must be a ${FIELD_SIZES.includes(key) ? 'positive ' : ''}number.`);
+                }
+            }
+            return { type, ...params };
+        });
+    }
+
+    // Emitter options are merged over the defaults, so each key that is given
+    // must have the default's shape
+    function validateEmitters(emitters) {
+        if (!emitters || typeof emitters !== 'object' || Array.isArray(emitters)) {
+            throw new SceneFormatError('particles.emitters must be an object.');
+        }
+        for (const [name, emitter] of Object.entries(emitters)) {
+            const label = `particles.emitters.${name}`;
+            if (!EMITTER_NAMES.includes(name)) throw new SceneFormatError(`Unknown particle emitter "${name}".`);
+            if (!emitter || typeof emitter !== 'object') throw new SceneFormatError(`${label} must be an object.`);
+
+            for (const key of EMITTER_RANGES) {
+                const range = emitter[key];
+                if (range !== undefined && (!Array.isArray(range) || range.length !== 2 ||
+                    !isNumber(range[0]) || !isNumber(range[1]) || range[0] > range[1])) {
+                    throw new SceneFormatError(`${label}.${key} must be a [min, max] pair of numbers.`);
+                }
+            }
+            for (const key of EMITTER_NUMBERS) {
+                if (emitter[key] !== undefined && !isNumber(emitter[key])) {
+                    throw new SceneFormatError(`${label}.${key} must be a number.`);
+                }
+            }
+            if (emitter.colors !== undefined && (!Array.isArray(emitter.colors) || emitter.colors.length === 0 ||
+                emitter.colors.some(color => !HEX_COLOR.test(color)))) {
+                throw new SceneFormatError(`${label}.colors must be a list of #rrggbb colours.`);
+            }
+            if (emitter.enabled !== undefined && typeof emitter.enabled !== 'boolean') {
+                throw new SceneFormatError(`${label}.enabled must be true or false.`);
+            }
+        }
+    }
+
+    // Just the physics settings a scene saves; anything else, such as
+    // velocities, is left behind
+    function parsePhysics(physics = {}, label) {
+        if (!physics || typeof physics !== 'object') throw new SceneFormatError(`${label} must be an object.`);
+        const result = {};
+
+        for (const key of PHYSICS_NUMBERS) {
+            if (physics[key] === undefined) continue;
+            if (!isNumber(physics[key])) throw new SceneFormatError(`${label}.${key} must be a number.`);
+            if (physics[key] < 0 && (key === 'stiffness' || key === 'damping')) {
+                throw new SceneFormatError(`${label}.${key} can't be negative.`);
+            }
+            result[key] = physics[key];
+        }
+        if (physics.enabled !== undefined) {
+            if (typeof physics.enabled !== 'boolean') throw new SceneFormatError(`${label}.enabled must be true or false.`);
+            result.enabled = physics.enabled;
+        }
+        if (physics.integrator !== undefined) {
+            if (!INTEGRATOR_NAMES.includes(physics.integrator)) {
+                throw new SceneFormatError(`Unknown integrator "${physics.integrator}".`);
+            }
+            result.integrator = physics.integrator;
+        }
+        if (physics.model !== undefined) {
+            if (!MODEL_NAMES.includes(physics.model)) throw new SceneFormatError(`Unknown physics model "${physics.model}".`);
+            result.model = physics.model;
+        }
+        return result;
+    }
+
+    // One curve of a scene: its shape and physics, and optionally a name,
+    // three gradient colours and the visible and locked flags
+    function parseLayer(layer, label) {
+        if (!layer || typeof layer !== 'object') throw new SceneFormatError(`${label} must be an object.`);
+        const curve = layer.curve;
+        if (!curve || typeof curve !== 'object') throw new SceneFormatError(`${label} has no curve.`);
+
+        const type = curve.type === 'spline' ? 'spline' : 'bezier';
+        if (curve.type !== undefined && curve.type !== 'bezier' && curve.type !== 'spline') {
+            throw new SceneFormatError(`Unknown curve type "${curve.type}".`);
+        }
+
+        validatePoints(curve.points, `${label}.curve.points`);
+        if (curve.points.length < 3) throw new SceneFormatError('A curve needs at least 3 points.');
+        if (type === 'spline' && (curve.points.length - 1) % 3 !== 0) {
+            throw new SceneFormatError('A spline needs 3k+1 points.');
+        }
+
+        const initialPoints = curve.initialPoints === undefined ? curve.points : curve.initialPoints;
+        validatePoints(initialPoints, `${label}.curve.initialPoints`);
+        if (initialPoints.length !== curve.points.length) {
+            throw new SceneFormatError(`${label}.curve.initialPoints must have as many points as curve.points.`);
+        }
+
+        const join = curve.join === undefined ? 'C1' : curve.join;
+        if (!JOIN_NAMES.includes(join)) throw new SceneFormatError(`Unknown join type "${join}".`);
+
+        const physics = parsePhysics(layer.physics, `${label}.physics`);
+
+        if (layer.name !== undefined && typeof layer.name !== 'string') {
+            throw new SceneFormatError(`${label}.name must be a string.`);
+        }
+        if (layer.colors !== undefined && (!Array.isArray(layer.colors) || layer.colors.length !== 3 ||
+            layer.colors.some(color => !HEX_COLOR.test(color)))) {
+            throw new SceneFormatError(`${label}.colors must be three #rrggbb colours.`);
+        }
+        for (const key of ['visible', 'locked']) {
+            if (layer[key] !== undefined && typeof layer[key] !== 'boolean') {
+                throw new SceneFormatError(`${label}.${key} must be true or false.`);
+            }
+        }
+
+        return {
+            name: layer.name,
+            colors: layer.colors && [...layer.colors],
+            visible: layer.visible !== false,
+            locked: layer.locked === true,
+            curve: {
+                type,
+                join,
+                points: curve.points.map(({ x, y }) => ({ x, y })),
+                initialPoints: initialPoints.map(({ x, y }) => ({ x, y }))
+            },
+            physics
+        };
+    }
+
+    function migrateScene(scene) {
+        if (!scene || typeof scene !== 'object') throw new SceneFormatError('A scene must be a JSON object.');
+        if (!isNumber(scene.version)) throw new SceneFormatError('The scene has no version number.');
+        if (scene.version > SCENE_VERSION) {
+            throw new SceneFormatError(`Scene version ${scene.version} is newer than this app supports (${SCENE_VERSION}).`);
+        }
+
+        let migrated = scene;
+        while (migrated.version < SCENE_VERSION) {
+            const migrate = MIGRATIONS[migrated.version];
+            if (!migrate) throw new SceneFormatError(`Scene version ${migrated.version} is no longer supported.`);
+            migrated = { ...migrate(migrated), version: migrated.version + 1 };
+        }
+        return migrated;
+    }
+
+    // Validate a parsed or raw JSON scene and fill in defaults
+    function parseScene(input) {
+        let scene = input;
+        if (typeof input === 'string') {
+            try {
+                scene = JSON.parse(input);
+            } catch (error) {
+                throw new SceneFormatError(`Invalid JSON: ${error.message}`);
+            }
+        }
+
+        scene = migrateScene(scene);
+
+        if (!Array.isArray(scene.layers) || scene.layers.length === 0) {
+            throw new SceneFormatError('The scene has no curves.');
+        }
+        const layers = scene.layers.map((layer, i) => parseLayer(layer, `layers[${i}]`));
+        const selected = scene.selected === undefined ? 0 : scene.selected;
+        if (!Number.isInteger(selected) || selected < 0 || selected >= layers.length) {
+            throw new SceneFormatError('selected must be the index of one of the curves.');
+        }
+
+        const particles = scene.particles || {};
+        if (particles.maxParticles !== undefined && (!Number.isInteger(particles.maxParticles) ||
+            particles.maxParticles < 1 || particles.maxParticles > MAX_PARTICLES)) {
+            throw new SceneFormatError(`particles.maxParticles must be a whole number from 1 to ${MAX_PARTICLES}.`);
+        }
+        if (particles.emitters !== undefined) validateEmitters(particles.emitters);
+
+        return {
+            version: SCENE_VERSION,
+            width: isNumber(scene.width) ? scene.width : null,
+            height: isNumber(scene.height) ? scene.height : null,
+            layers,
+            selected,
+            particles: { ...particles },
+            fields: validateFields(scene.fields === undefined ? [] : scene.fields),
+            effects: { ...(scene.effects || {}) }
+        };
+    }
+
+    // URL Sharing
+    // Scenes travel in the URL hash as base64url-encoded UTF-8 JSON, with
+    // coordinates rounded to keep links short.
+    function encodeScene(scene) {
+        const json = JSON.stringify(scene, (key, value) =>
+            typeof value === 'number' ? Math.round(value * 100) / 100 : value);
+        const bytes = new TextEncoder().encode(json);
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function decodeScene(encoded) {
+        let json;
+        try {
+            const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            json = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            throw new SceneFormatError('The shared link is damaged and could not be decoded.');
+        }
+        return parseScene(json);
+    }
+
+    // Scale scene coordinates to the simulation's size
+    function applyScene(sim, scene) {
+        const scaleX = scene.width ? sim.width / scene.width : 1;
+        const scaleY = scene.height ? sim.height / scene.height : 1;
+        const scale = (points) => points.map(({ x, y }) => ({ x: x * scaleX, y: y * scaleY }));
+
+        sim.loadLayers(scene.layers.map(layer => ({
+            ...layer,
+            curve: {
+                ...layer.curve,
+                points: scale(layer.curve.points),
+                initialPoints: scale(layer.curve.initialPoints)
+            }
+        })), scene.selected);
+
+        // Sizes scale with the mean of the two axes
+        const scaleSize = (scaleX + scaleY) / 2;
+        sim.setFields(scene.fields.map((field) => {
+            const scaled = { ...field, x: field.x * scaleX, y: field.y * scaleY };
+            if (field.radius !== undefined) scaled.radius = field.radius * scaleSize;
+            if (field.width !== undefined) scaled.width = field.width * scaleX;
+            if (field.height !== undefined) scaled.height = field.height * scaleY;
+            return scaled;
+        }));
+        if (scene.particles.enabled !== undefined) {
+            sim.setParticlesEnabled(scene.particles.enabled);
+        }
+        if (scene.particles.collisions !== undefined) {
+            sim.setParticleCollisions(scene.particles.collisions);
+        }
+        if (scene.particles.maxParticles !== undefined) {
+            sim.setMaxParticles(scene.particles.maxParticles);
+        }
+        for (const [name, options] of Object.entries(scene.particles.emitters || {})) {
+            sim.setEmitter(name, options);
+        }
+    }
+
+    // Place imported SVG points on the canvas, fitting them inside the margins
+    // only when they don't already fit
+    function fitPoints(points, width, height, margin) {
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+
+        if (minX >= margin && maxX <= width - margin && minY >= margin && maxY <= height - margin) {
+            return points.map(({ x, y }) => ({ x, y }));
+        }
+
+        const spanX = Math.max(maxX - minX, 1e-6);
+        const spanY = Math.max(maxY - minY, 1e-6);
+        const scale = Math.min((width - 2 * margin) / spanX, (height - 2 * margin) / spanY);
+        const offsetX = (width - spanX * scale) / 2 - minX * scale;
+        const offsetY = (height - spanY * scale) / 2 - minY * scale;
+        return points.map(({ x, y }) => ({ x: x * scale + offsetX, y: y * scale + offsetY }));
+    }
+
+    function importSvgPath(sim, input) {
+        const { type, join, points } = parseSvgPath(input);
+        const fitted = fitPoints(points, sim.width, sim.height, sim.margin);
+        sim.loadCurve({ type, join, points: fitted, initialPoints: fitted });
+        return { type, join, points: fitted };
+    }
+
+    return {
+        SCENE_VERSION,
+        SceneFormatError,
+        toSvgPath,
+        toSvgDocument,
+        parseSvgPath,
+        captureScene,
+        migrateScene,
+        parseScene,
+        encodeScene,
+        decodeScene,
+        applyScene,
+        importSvgPath
+    };
+});
@@ -0,0 +1,98 @@
+// Keeps the scene in localStorage across reloads and shares it through the
+// URL hash (#scene=…). A scene in the URL wins over the saved one.
+class ScenePersistence {
+    constructor(app, { storageKey = 'curvee-reactor.scene', interval = 1000 } = {}) {
+        this.app = app;
+        this.storageKey = storageKey;
+        this.lastSaved = null;
+
+        this.saveTimer = setInterval(() => this.save(), interval);
+        this.app.listen(window, 'pagehide', () => this.save());
+        this.app.listen(window, 'hashchange', () => this.restoreFromHash());
+
+        this.app.listen(document.getElementById('copyLinkBtn'), 'click', () => this.copyLink());
+    }
+
+    // Save one last time and stop the autosave timer
+    stop() {
+        clearInterval(this.saveTimer);
+        this.save();
+    }
+
+    // The editor swaps in its own unit-square curve; persist what it replaced
+    getScene() {
+        const editor = this.app.easingEditor;
+        return editor.active ? editor.savedScene : this.app.getScene();
+    }
+
+    save() {
+        let json;
+        try {
+            json = JSON.stringify(this.getScene());
+            if (json === this.lastSaved) return;
+            localStorage.setItem(this.storageKey, json);
+            this.lastSaved = json;
+        } catch (error) {
+            // Storage can be full or disabled (private mode); persisting is best-effort
+            console.warn('Could not save scene:', error);
+        }
+    }
+
+    restore() {
+        if (this.restoreFromHash()) return true;
+
+        let json = null;
+        try {
+            json = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return false;
+        }
+        if (!json) return false;
+
+        try {
+            this.app.loadScene(parseScene(json));
+            this.lastSaved = json;
+            return true;
+        } catch (error) {
+            if (!(error instanceof SceneFormatError)) throw error;
+            console.warn('Ignoring saved scene:', error.message);
+            localStorage.removeItem(this.storageKey);
+            return false;
+        }
+    }
+
+    restoreFromHash() {
+        const match = window.location.hash.match(/^#scene=(.+)$/);
+        if (!match) return false;
+
+        try {
+            this.app.loadScene(decodeScene(match[1]));
+            this.app.showIoMessage('Scene loaded from link.');
+            return true;
+        } catch (error) {
+            if (!(error instanceof SceneFormatError)) throw error;
+            this.app.showIoMessage(error.message, true);
+            return false;
+        }
+    }
+
+    getShareUrl() {
+        const url = new URL(window.location.href);
+        url.hash = `scene=${encodeScene(this.getScene())}`;
+        return url.toString();
+    }
+
+    copyLink() {
+        const link = this.getShareUrl();
+        document.getElementById('ioText').value = link;
+
+        if (!navigator.clipboard) {
+            this.app.showIoMessage('Copy the link from the box below.');
+            return;
+        }
+        navigator.clipboard.writeText(link).then(
+            () => this.app.showIoMessage('Link copied to clipboard.'),
+            () => this.app.showIoMessage('Copy the link from the box below.')
+        );
+    }
+}
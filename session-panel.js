@@ -0,0 +1,169 @@
+// Session panel: records what the user does to the simulation and replays it
+// frame for frame. While a replay runs, canvas input and the other controls
+// are locked so nothing can change the outcome.
+class SessionPanel {
+    constructor(app) {
+        this.app = app;
+        this.recorder = new SessionRecorder(app.sim);
+        this.recording = null;
+        this.player = null;
+        this.stateBeforeReplay = null;
+        this.lockedControls = [];
+
+        this.recordBtn = document.getElementById('recordBtn');
+        this.replayBtn = document.getElementById('replayBtn');
+        this.exportBtn = document.getElementById('exportRecordingBtn');
+        this.message = document.getElementById('sessionMessage');
+
+        this.initUI();
+    }
+
+    get recordingActive() {
+        return this.recorder.active;
+    }
+
+    get replaying() {
+        return this.player !== null;
+    }
+
+    initUI() {
+        this.app.listen(this.recordBtn, 'click', () => {
+            if (this.recordingActive) this.stopRecording(); else this.startRecording();
+        });
+        this.app.listen(this.replayBtn, 'click', () => {
+            if (this.replaying) this.stopReplay(); else this.startReplay();
+        });
+        this.app.listen(this.exportBtn, 'click', () => this.exportRecording());
+        this.app.listen(document.getElementById('recordingFile'), 'change', (e) => {
+            if (e.target.files.length > 0) this.importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+    }
+
+    startRecording() {
+        if (this.replaying) return;
+        if (this.app.easingEditor.active) {
+            this.showMessage('Leave the easing editor to record a session.', true);
+            return;
+        }
+
+        this.recorder.start();
+        this.recordBtn.innerHTML = '<i class="fas fa-stop"></i> Stop';
+        this.replayBtn.disabled = true;
+        this.exportBtn.disabled = true;
+        this.showMessage('Recording…');
+    }
+
+    stopRecording() {
+        if (!this.recordingActive) return;
+
+        this.recording = this.recorder.stop();
+        this.recordBtn.innerHTML = '<i class="fas fa-circle"></i> Record';
+        this.updateButtons();
+        this.showMessage(`Recorded ${this.describe(this.recording)}.`);
+    }
+
+    describe(recording) {
+        const seconds = (recording.steps * recording.timestep).toFixed(1);
+        return `${seconds} s, ${recording.events.length} events`;
+    }
+
+    updateButtons() {
+        this.replayBtn.disabled = !this.recording;
+        this.exportBtn.disabled = !this.recording;
+    }
+
+    startReplay() {
+        if (!this.recording || this.replaying) return;
+        if (this.app.easingEditor.active) this.app.easingEditor.exit();
+
+        this.app.releaseAllPointers();
+        this.app.morph = null;
+        this.app.timeline.pause();
+        this.stateBeforeReplay = this.app.sim.getState();
+        this.player = new SessionPlayer(this.app.sim, this.recording);
+        this.player.onAction = (event) => {
+            if (!['setInput', 'setTargets', 'moveControlPoint', 'updateField', 'emitParticles'].includes(event.action)) {
+                this.app.syncControls();
+                this.lockControls();
+            }
+        };
+        this.app.syncControls();
+        this.lockControls();
+        this.replayBtn.innerHTML = '<i class="fas fa-stop"></i> Stop';
+        this.showMessage('Replaying…');
+    }
+
+    stopReplay() {
+        if (!this.replaying) return;
+
+        const finished = this.player.finished;
+        this.player = null;
+        this.unlockControls();
+        this.replayBtn.innerHTML = '<i class="fas fa-play"></i> Replay';
+
+        // Put back what was on screen before the replay
+        this.app.sim.setState(this.stateBeforeReplay);
+        this.stateBeforeReplay = null;
+        this.app.resizeCanvas();
+        this.app.syncControls();
+        this.updateButtons();
+        this.showMessage(finished ? 'Replay finished.' : 'Replay stopped.');
+    }
+
+    // Driven by the animation loop instead of sim.advance()
+    // Returns the number of steps played
+    update(elapsed) {
+        const steps = this.player.advance(elapsed);
+        if (this.player.finished) {
+            this.stopReplay();
+        }
+        return steps;
+    }
+
+    // Disable every enabled control but keep (the replay button, or capture's
+    // cancel button); syncControls() can re-enable some mid-replay, so this
+    // runs again after each sync
+    lockControls(keep = this.replayBtn) {
+        const panel = document.querySelector('.controls-panel');
+        for (const el of panel.querySelectorAll('button, input, select, textarea')) {
+            if (el === keep || el.disabled) continue;
+            el.disabled = true;
+            this.lockedControls.push(el);
+        }
+    }
+
+    unlockControls() {
+        this.lockedControls.forEach(el => { el.disabled = false; });
+        this.lockedControls = [];
+    }
+
+    exportRecording() {
+        if (!this.recording) return;
+        this.app.downloadFile('curvee-session.json', JSON.stringify(this.recording), 'application/json');
+        this.showMessage('Recording saved.');
+    }
+
+    importFile(file) {
+        this.stopRecording();
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.recording = parseRecording(String(reader.result));
+                this.updateButtons();
+                this.showMessage(`Loaded ${this.describe(this.recording)}.`);
+            } catch (error) {
+                if (!(error instanceof SceneFormatError)) throw error;
+                this.showMessage(error.message, true);
+            }
+        };
+        reader.onerror = () => this.showMessage(`Could not read ${file.name}.`, true);
+        reader.readAsText(file);
+    }
+
+    showMessage(message, isError = false) {
+        this.message.textContent = message;
+        this.message.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,348 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// The app's scripts, in the order index.html loads them
+const SCRIPTS = [...fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+    .matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+
+// A 2D context that accepts any drawing call
+const context2d = () => new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : () => ({ width: 0, addColorStop() {} }))
+});
+
+const element = (id) => Object.assign(new EventTarget(), {
+    id,
+    value: '',
+    textContent: '',
+    hidden: false,
+    style: {},
+    classList: { toggle() {}, add() {}, remove() {} }
+});
+
+// Runs the scripts in a context of their own with just enough of a browser:
+// elements are created on first lookup, storage is a Map and animation
+// frames only run when frame() is called. Values made in the context have
+// its own prototypes, so compare them through JSON.
+function loadScripts({ hash = '', storage = new Map() } = {}) {
+    const window = new EventTarget();
+    const document = new EventTarget();
+    const elements = new Map();
+    document.getElementById = (id) => {
+        if (!elements.has(id)) elements.set(id, element(id));
+        return elements.get(id);
+    };
+
+    const warnings = [];
+    let frameCallback = null;
+    Object.assign(window, {
+        window,
+        document,
+        navigator: {},
+        location: { hash, href: `http://localhost/index.html${hash}` },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        devicePixelRatio: 1,
+        requestAnimationFrame: (callback) => {
+            frameCallback = callback;
+            return 1;
+        },
+        cancelAnimationFrame: () => {
+            frameCallback = null;
+        },
+        console: { ...console, warn: (...args) => warnings.push(args.join(' ')) },
+        performance,
+        AbortController,
+        EventTarget,
+        Event,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        atob,
+        btoa,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval
+    });
+    vm.createContext(window);
+    for (const script of SCRIPTS) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), window, { filename: script });
+    }
+
+    return {
+        window,
+        storage,
+        warnings,
+        // A top-level class or function of the scripts
+        get: name => vm.runInContext(name, window),
+        // One animation frame at the given time in ms
+        frame(time) {
+            const callback = frameCallback;
+            frameCallback = null;
+            callback(time);
+        }
+    };
+}
+
+// The app on a stand-in canvas, with { ui: false }. pointer() dispatches
+// pointer events on the canvas, key() a keydown and returns it.
+function createApp(options = {}) {
+    const browser = loadScripts();
+    const canvas = new EventTarget();
+    const ctx = context2d();
+    Object.assign(canvas, {
+        style: {},
+        parentElement: { clientWidth: 800 },
+        getContext: () => ctx,
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 800, height: 600 }),
+        setPointerCapture() {},
+        releasePointerCapture() {},
+        hasPointerCapture: () => false
+    });
+
+    const CurveeReactor = browser.get('CurveeReactor');
+    const app = new CurveeReactor(canvas, { ui: false, width: 800, height: 600, seed: 7, ...options });
+
+    return {
+        ...browser,
+        app,
+        canvas,
+        pointer(type, { id = 1, x = 0, y = 0, button = 0 } = {}) {
+            const event = new Event(type);
+            Object.assign(event, {
+                pointerId: id,
+                pointerType: 'touch',
+                isPrimary: id === 1,
+                button,
+                clientX: x,
+                clientY: y
+            });
+            canvas.dispatchEvent(event);
+        },
+        key(key, { shiftKey = false } = {}) {
+            const event = new Event('keydown', { cancelable: true });
+            Object.assign(event, { key, shiftKey, ctrlKey: false, metaKey: false, altKey: false });
+            canvas.dispatchEvent(event);
+            return event;
+        }
+    };
+}
+
+// Enough of the app for ScenePersistence
+const persistenceHost = (browser) => {
+    const sim = new (browser.get('ReactorSimulation'))();
+    return {
+        sim,
+        easingEditor: { active: false },
+        loaded: [],
+        messages: [],
+        listen: (target, type, handler) => target.addEventListener(type, handler),
+        getScene: () => browser.get('captureScene')(sim),
+        loadScene(scene) {
+            this.loaded.push(JSON.parse(JSON.stringify(scene)));
+        },
+        showIoMessage(message, isError = false) {
+            this.messages.push({ message, isError });
+        }
+    };
+};
+
+test('scenes are saved to storage and restored on the next visit', () => {
+    const browser = loadScripts();
+    const ScenePersistence = browser.get('ScenePersistence');
+    const app = persistenceHost(browser);
+    const persistence = new ScenePersistence(app, { interval: 1e6 });
+    app.sim.moveControlPoint(1, 123, 45);
+    persistence.stop();
+
+    const saved = browser.storage.get('curvee-reactor.scene');
+    assert.equal(JSON.parse(saved).layers[0].curve.points[1].x, 123);
+
+    const next = loadScripts({ storage: browser.storage });
+    const restored = persistenceHost(next);
+    const again = new (next.get('ScenePersistence'))(restored, { interval: 1e6 });
+    assert.equal(again.restore(), true);
+    again.stop();
+    assert.equal(restored.loaded.length, 1);
+    assert.equal(restored.loaded[0].layers[0].curve.points[1].x, 123);
+});
+
+test('a damaged saved scene is dropped', () => {
+    const browser = loadScripts({ storage: new Map([['curvee-reactor.scene', '{"version": 2, "layers": []}']]) });
+    const app = persistenceHost(browser);
+    const persistence = new (browser.get('ScenePersistence'))(app, { interval: 1e6 });
+    assert.equal(persistence.restore(), false);
+    clearInterval(persistence.saveTimer);
+    assert.equal(app.loaded.length, 0);
+    assert.equal(browser.storage.has('curvee-reactor.scene'), false);
+    assert.match(browser.warnings[0], /Ignoring saved scene/);
+});
+
+test('a shared link round-trips the scene and wins over the saved one', () => {
+    const browser = loadScripts();
+    const app = persistenceHost(browser);
+    app.sim.moveControlPoint(2, 321, 54);
+    const persistence = new (browser.get('ScenePersistence'))(app, { interval: 1e6 });
+    const link = new URL(persistence.getShareUrl());
+    clearInterval(persistence.saveTimer);
+    assert.match(link.hash, /^#scene=[\w-]+$/);
+
+    app.sim.moveControlPoint(2, 0, 0);
+    const saved = new Map([['curvee-reactor.scene', JSON.stringify(app.getScene())]]);
+    const next = loadScripts({ hash: link.hash, storage: saved });
+    const opened = persistenceHost(next);
+    const restored = new (next.get('ScenePersistence'))(opened, { interval: 1e6 });
+    assert.equal(restored.restore(), true);
+    clearInterval(restored.saveTimer);
+    assert.equal(opened.loaded.length, 1);
+    assert.deepEqual(opened.loaded[0].layers[0].curve.points[2], { x: 321, y: 54 });
+    assert.deepEqual(opened.messages, [{ message: 'Scene loaded from link.', isError: false }]);
+});
+
+test('a malformed link is reported and loads nothing', () => {
+    for (const hash of ['#scene=%%%', '#scene=bm90IGpzb24', '#scene=e30']) {
+        const browser = loadScripts({ hash });
+        const app = persistenceHost(browser);
+        const persistence = new (browser.get('ScenePersistence'))(app, { interval: 1e6 });
+        assert.equal(persistence.restoreFromHash(), false, hash);
+        clearInterval(persistence.saveTimer);
+        assert.equal(app.loaded.length, 0);
+        assert.equal(app.messages.length, 1);
+        assert.equal(app.messages[0].isError, true);
+    }
+});
+
+test('the app runs headless with ui: false', () => {
+    const { app, frame } = createApp();
+    frame(0);
+    frame(1000 / 60);
+    assert.equal(app.sim.stepCount, 1);
+    app.destroy();
+});
+
+test('step() runs whole frames, like the animation loop', () => {
+    const { app } = createApp();
+    const frames = [];
+    app.on('frame', ({ steps }) => frames.push(steps));
+    const points = app.getPoints();
+    app.timeline.setKeyframe(0, { points, easing: 'linear' });
+    app.timeline.setKeyframe(1, { points: points.map(({ x, y }) => ({ x, y: y + 60 })) });
+    app.timeline.play();
+    app.pause();
+
+    assert.equal(app.step(30), 30);
+    assert.deepEqual(frames, new Array(30).fill(1));
+    assert.equal(app.sim.stepCount, 30);
+    assert.ok(Math.abs(app.timeline.time - 0.5) < 1e-9);
+    assert.equal(app.rewind.current.time, app.sim.time);
+
+    // Nothing moves while a replay has the clock
+    app.session = { replaying: true };
+    assert.equal(app.step(5), 0);
+    assert.equal(frames.length, 30);
+    app.destroy();
+});
+
+test('each pointer drags its own handle', () => {
+    const { app, pointer } = createApp();
+    const [, first, second] = app.getPoints();
+
+    pointer('pointerdown', { id: 1, ...first });
+    pointer('pointerdown', { id: 2, ...second });
+    assert.deepEqual([...app.sim.input.grabbed], [1, 2]);
+
+    pointer('pointermove', { id: 1, x: first.x - 50, y: first.y + 20 });
+    pointer('pointermove', { id: 2, x: second.x + 30, y: second.y + 60 });
+    const points = app.getPoints();
+    assert.deepEqual({ ...points[1] }, { x: first.x - 50, y: first.y + 20 });
+    assert.deepEqual({ ...points[2] }, { x: second.x + 30, y: second.y + 60 });
+
+    // Lifting one finger leaves the other holding on; a cancel lets go too
+    pointer('pointerup', { id: 1 });
+    assert.deepEqual([...app.sim.input.grabbed], [2]);
+    pointer('pointermove', { id: 2, x: 400, y: 300 });
+    assert.deepEqual({ ...app.getPoints()[2] }, { x: 400, y: 300 });
+    pointer('pointercancel', { id: 2 });
+    assert.deepEqual([...app.sim.input.grabbed], []);
+    assert.equal(app.pointers.size, 0);
+
+    // Each drag is a history entry of its own
+    assert.equal(app.history.undoStack.map(entry => entry.label).join(), 'point move,point move');
+    app.destroy();
+});
+
+test('handles are focused, nudged and let go from the keyboard', () => {
+    const { app, key, get, window } = createApp();
+    const a11y = new (get('AccessibilityControls'))(app);
+    const status = window.document.getElementById('a11yStatus');
+    const start = { ...app.getPoints()[1] };
+
+    assert.equal(key('ArrowRight').defaultPrevented, true);
+    assert.equal(a11y.focusIndex, 1);
+    assert.equal(app.selectedIndex, 1);
+    assert.equal(status.textContent, `P1 focused, x ${start.x}, y ${start.y}`);
+
+    key('ArrowRight');
+    key('ArrowDown', { shiftKey: true });
+    assert.deepEqual({ ...app.getPoints()[1] }, { x: start.x + 1, y: start.y + 10 });
+    assert.deepEqual([...app.sim.input.grabbed], [1]);
+    // Nudges in a row are one history entry
+    assert.equal(app.history.undoStack.length, 1);
+
+    // Tab moves on and lets go; past the last handle focus leaves the canvas
+    assert.equal(key('Tab').defaultPrevented, true);
+    assert.equal(a11y.focusIndex, 2);
+    assert.deepEqual([...app.sim.input.grabbed], []);
+    assert.equal(key('Tab').defaultPrevented, false);
+    assert.equal(a11y.focusIndex, null);
+    key('Tab', { shiftKey: true });
+    assert.equal(a11y.focusIndex, 2);
+
+    key(' ');
+    assert.equal(app.physics.enabled, false);
+    assert.equal(status.textContent, 'Physics paused.');
+    key('Escape');
+    assert.equal(a11y.focusIndex, null);
+
+    // A locked curve has nothing to focus
+    app.sim.setLayer(app.sim.layer.id, { locked: true });
+    key('Tab');
+    assert.equal(a11y.focusIndex, null);
+    app.destroy();
+});
+
+test('the overlay marks crossings with the rest shape and the other curves', () => {
+    const { app, get } = createApp();
+    const overlay = app.analysis;
+    const rest = () => new (get('BezierCurve'))(app.sim.initialPoints);
+    const labels = () => Array.from(overlay.getCrossings(app.sim.curve, rest()), ({ label }) => label);
+
+    // At rest the curve lies on its rest shape and crosses nothing
+    assert.deepEqual(labels(), []);
+    const first = overlay.getCrossings(app.sim.curve, rest());
+    assert.equal(overlay.getCrossings(app.sim.curve, rest()), first);
+
+    app.sim.moveControlPoint(1, 280, 560);
+    assert.ok(labels().length > 0);
+    assert.ok(labels().every(label => / · rest /.test(label)));
+
+    const bottom = app.sim.layer;
+    const { x, y } = app.sim.initialPoints[1];
+    app.sim.moveControlPoint(1, x, y);
+    const top = app.sim.addLayer({ name: 'Top' });
+    app.sim.selectLayer(bottom.id);
+    assert.ok(labels().length > 0);
+    assert.ok(labels().every(label => / · Top$/.test(label)));
+
+    app.sim.setLayer(top.id, { visible: false });
+    assert.deepEqual(labels(), []);
+    app.destroy();
+});
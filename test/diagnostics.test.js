@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReactorSimulation } = require('../reactor-core.js');
+const {
+    stepGrowth,
+    analyzeSprings,
+    measureEnergy,
+    findWarnings,
+    formatEnergy,
+    DiagnosticsLog,
+    TrajectoryTrace
+} = require('../diagnostics.js');
+
+const near = (actual, expected, tolerance = 1e-9) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('step growth of the integrators', () => {
+    // Semi-implicit Euler keeps an undamped spring's energy until k dt² > 4
+    near(stepGrowth(100, 0, 'euler', 1 / 60), 1, 1e-12);
+    assert.ok(stepGrowth(4 * 3600 * 1.1, 0, 'euler', 1 / 60) > 1);
+    assert.ok(stepGrowth(100, 20, 'rk4', 1 / 60) < 1);
+    assert.ok(stepGrowth(100, 20, 'verlet', 1 / 60) < 1);
+    // Far too stiff for the timestep
+    assert.ok(stepGrowth(40000, 0, 'rk4', 1 / 60) > 1);
+});
+
+test('damping ratio, frequency and regime', () => {
+    const critical = analyzeSprings({ stiffness: 100, damping: 20, integrator: 'rk4' });
+    near(critical.omega, 10);
+    near(critical.frequency, 10 / (2 * Math.PI));
+    near(critical.zeta, 1);
+    assert.equal(critical.regime, 'critically damped');
+
+    const light = analyzeSprings({ stiffness: 100, damping: 2, integrator: 'rk4' });
+    assert.equal(light.regime, 'underdamped');
+    near(light.settleTime, 4);
+
+    assert.equal(analyzeSprings({ stiffness: 100, damping: 80, integrator: 'rk4' }).regime, 'overdamped');
+    const free = analyzeSprings({ stiffness: 100, damping: 0, integrator: 'rk4' });
+    assert.equal(free.regime, 'undamped');
+    assert.equal(free.settleTime, Infinity);
+});
+
+test('energy of displaced and moving handles', () => {
+    const sim = new ReactorSimulation();
+    assert.deepEqual({ ...measureEnergy(sim), speeds: null }, { kinetic: 0, potential: 0, speeds: null, finite: true });
+
+    const { stiffness } = sim.physics;
+    sim.controlPoints[1].x += 3;
+    sim.controlPoints[1].y += 4;
+    sim.physics.velocities[2] = { x: 6, y: 8 };
+    const energy = measureEnergy(sim);
+    near(energy.potential, stiffness * 25 / 2);
+    near(energy.kinetic, 50);
+    assert.deepEqual(energy.speeds.map(s => s.index), [1, 2]);
+    assert.equal(energy.speeds[1].speed, 10);
+
+    sim.controlPoints[1].x = NaN;
+    assert.equal(measureEnergy(sim).finite, false);
+});
+
+test('warnings, worst first', () => {
+    const springs = (integrator, stiffness, damping) => {
+        const physics = { model: 'springs', integrator, stiffness, damping };
+        return findWarnings(physics, analyzeSprings(physics), { finite: true });
+    };
+
+    const [unstable] = springs('euler', 20000, 0);
+    assert.match(unstable, /^Unstable: Euler/);
+    assert.match(unstable, /switch to RK4/);
+    assert.doesNotMatch(springs('rk4', 40000, 0)[0], /switch to RK4/);
+    assert.match(springs('rk4', 100, 0.5)[0], /^Barely damped/);
+    assert.match(springs('rk4', 100, 150)[0], /^Heavily overdamped/);
+    assert.deepEqual(springs('rk4', 100, 20), []);
+
+    const rope = { model: 'rope', integrator: 'euler', stiffness: 400, damping: 0 };
+    assert.deepEqual(findWarnings(rope, analyzeSprings(rope), { finite: true }), []);
+    assert.match(findWarnings(rope, analyzeSprings(rope), { finite: false })[0], /blown up/);
+});
+
+test('energies are formatted compactly', () => {
+    assert.equal(formatEnergy(12.4), '12');
+    assert.equal(formatEnergy(2500), '2.5k');
+    assert.equal(formatEnergy(3.21e7), '32.1M');
+    assert.equal(formatEnergy(Infinity), '∞');
+});
+
+test('the diagnostics log keeps a rolling window', () => {
+    const log = new DiagnosticsLog(3);
+    for (let i = 1; i <= 5; i++) log.push({ energy: i });
+    assert.deepEqual(log.samples.map(s => s.energy), [3, 4, 5]);
+    assert.equal(log.max(s => s.energy), 5);
+    assert.equal(log.max(s => s.energy, 10), 10);
+    log.clear();
+    assert.equal(log.max(s => s.energy), 0);
+});
+
+test('trajectory traces keep the latest positions of each handle', () => {
+    const trace = new TrajectoryTrace(2);
+    trace.record([{ x: 0, y: 0 }, { x: 5, y: 5 }]);
+    trace.record([{ x: 1, y: 0 }, { x: 6, y: 5 }]);
+    trace.record([{ x: 2, y: 0 }, { x: 7, y: 5 }]);
+    assert.deepEqual(trace.paths[0], [{ x: 1, y: 0 }, { x: 2, y: 0 }]);
+
+    // A different number of handles starts over
+    trace.record([{ x: 9, y: 9 }]);
+    assert.deepEqual(trace.paths, [[{ x: 9, y: 9 }]]);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EASING_PRESETS, CubicBezierEasing } = require('../easing.js');
+
+const near = (actual, expected, tolerance = 1e-5) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('linear maps time straight to progress', () => {
+    const linear = CubicBezierEasing.fromPreset('linear');
+    for (const x of [0.1, 0.33, 0.8]) near(linear.evaluate(x), x);
+});
+
+test('ease matches the browser curve', () => {
+    // Reference values from cubic-bezier(0.25, 0.1, 0.25, 1)
+    const ease = CubicBezierEasing.fromPreset('ease');
+    near(ease.evaluate(0.25), 0.4085, 1e-4);
+    near(ease.evaluate(0.5), 0.8024, 1e-4);
+});
+
+test('ease-in-out is symmetric about the middle', () => {
+    const easing = CubicBezierEasing.fromPreset('ease-in-out');
+    near(easing.evaluate(0.5), 0.5);
+    for (const x of [0.1, 0.3, 0.45]) near(easing.evaluate(x) + easing.evaluate(1 - x), 1);
+});
+
+test('solveT inverts x(t), including where the slope is flat', () => {
+    for (const values of Object.values(EASING_PRESETS).concat([[1, 0, 0, 1], [0, 1.5, 1, -0.5]])) {
+        const easing = new CubicBezierEasing(...values);
+        for (const x of [0.01, 0.2, 0.5, 0.77, 0.99]) {
+            near(easing.curve.calculateBezierPoint(easing.solveT(x)).x, x, 1e-6);
+        }
+    }
+});
+
+test('time outside [0, 1] is clamped and overshoot is kept', () => {
+    const back = new CubicBezierEasing(0.5, -0.5, 0.5, 1.5);
+    assert.equal(back.evaluate(-1), 0);
+    assert.equal(back.evaluate(2), 1);
+    assert.ok(back.evaluate(0.1) < 0);
+    assert.ok(back.evaluate(0.9) > 1);
+});
+
+test('x handles are clamped and values print as CSS', () => {
+    const easing = new CubicBezierEasing(-0.2, 0.3, 1.4, 0.123456);
+    assert.deepEqual(easing.values, [0, 0.3, 1, 0.123456]);
+    assert.equal(easing.toCSS(), 'cubic-bezier(0, 0.3, 1, 0.123)');
+    assert.throws(() => CubicBezierEasing.fromPreset('bounce'), /Unknown easing preset/);
+});
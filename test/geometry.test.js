@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BezierCurve } = require('../reactor-core.js');
+const {
+    evaluate1D,
+    findRoots,
+    splitCurve,
+    getExtrema,
+    getBoundingBox,
+    fitsInside,
+    getInflections,
+    classifyCubic,
+    getSingularities,
+    intersectLine,
+    intersectCurves,
+    getSelfIntersections
+} = require('../geometry.js');
+
+const near = (actual, expected, tolerance = 1e-6) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+const nearPoint = (actual, expected, tolerance) => {
+    near(actual.x, expected.x, tolerance);
+    near(actual.y, expected.y, tolerance);
+};
+
+const line = (x0, y0, x1, y1) => new BezierCurve([
+    { x: x0, y: y0 },
+    { x: x0 + (x1 - x0) / 3, y: y0 + (y1 - y0) / 3 },
+    { x: x0 + 2 * (x1 - x0) / 3, y: y0 + 2 * (y1 - y0) / 3 },
+    { x: x1, y: y1 }
+]);
+const arch = () => new BezierCurve([{ x: 10, y: 20 }, { x: 30, y: 5 }, { x: 70, y: 5 }, { x: 90, y: 20 }]);
+// Point-symmetric about (50, 0), so the inflection is at t = 0.5
+const wave = () => new BezierCurve([{ x: 0, y: 0 }, { x: 50, y: 100 }, { x: 50, y: -100 }, { x: 100, y: 0 }]);
+const cusp = () => new BezierCurve([{ x: 0, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }, { x: 100, y: 0 }]);
+const loop = () => new BezierCurve([{ x: 0, y: 0 }, { x: 300, y: 200 }, { x: -100, y: 200 }, { x: 200, y: 0 }]);
+
+test('evaluate1D and findRoots', () => {
+    assert.equal(evaluate1D([0, 1, 1, 0], 0.5), 0.75);
+    const roots = findRoots(t => (t - 0.2) * (t - 0.7), 16);
+    assert.equal(roots.length, 2);
+    near(roots[0], 0.2, 1e-12);
+    near(roots[1], 0.7, 1e-12);
+    // A double root doesn't change sign
+    assert.deepEqual(findRoots(t => (t - 0.53) ** 2, 16), []);
+});
+
+test('splitting a cubic gives two halves that trace it', () => {
+    const curve = arch();
+    const { left, right } = splitCurve(curve, 0.3);
+    const first = new BezierCurve(left);
+    const second = new BezierCurve(right);
+    for (const u of [0, 0.4, 1]) {
+        nearPoint(first.calculateBezierPoint(u), curve.calculateBezierPoint(0.3 * u));
+        nearPoint(second.calculateBezierPoint(u), curve.calculateBezierPoint(0.3 + 0.7 * u));
+    }
+});
+
+test('splitting a spline splits the segment under t', () => {
+    const points = [...arch().controlPoints, { x: 110, y: 35 }, { x: 150, y: 35 }, { x: 170, y: 20 }];
+    const spline = new BezierCurve(points, { type: 'spline' });
+    const { left, right } = splitCurve(spline, 0.75);
+    assert.equal(left.length, 7);
+    assert.equal(right.length, 4);
+    assert.deepEqual(left.slice(0, 4), points.slice(0, 4));
+    nearPoint(left[6], spline.calculateBezierPoint(0.75));
+});
+
+test('extrema and tight bounds', () => {
+    const extrema = getExtrema(arch());
+    assert.deepEqual(extrema.x, []);
+    assert.equal(extrema.y.length, 1);
+    near(extrema.y[0], 0.5);
+
+    // The control points reach y = 5 but the curve only 8.75
+    const box = getBoundingBox(arch());
+    assert.deepEqual({ ...box, minY: Math.round(box.minY * 1e6) / 1e6 }, { minX: 10, minY: 8.75, maxX: 90, maxY: 20 });
+    assert.equal(fitsInside(arch(), { x: 0, y: 8, width: 100, height: 20 }), true);
+    assert.equal(fitsInside(arch(), { x: 0, y: 9, width: 100, height: 20 }), false);
+});
+
+test('inflections', () => {
+    const inflections = getInflections(wave());
+    assert.equal(inflections.length, 1);
+    near(inflections[0], 0.5);
+    assert.deepEqual(getInflections(arch()), []);
+});
+
+test('classifying cubics', () => {
+    const { type, t: [t1, t2] } = classifyCubic(loop().controlPoints);
+    assert.equal(type, 'loop');
+    assert.ok(t1 < t2);
+    nearPoint(loop().calculateBezierPoint(t1), loop().calculateBezierPoint(t2));
+
+    assert.equal(classifyCubic(cusp().controlPoints).type, 'cusp');
+    assert.equal(classifyCubic(arch().controlPoints), null);
+    assert.equal(classifyCubic(wave().controlPoints), null);
+    // Collinear points have no loop or cusp to find
+    assert.equal(classifyCubic(line(0, 0, 100, 100).controlPoints), null);
+});
+
+test('cusps and loops', () => {
+    const [found] = getSingularities(cusp());
+    assert.equal(found.type, 'cusp');
+    near(found.t[0], 0.5, 1e-3);
+
+    const [crossing] = getSingularities(loop());
+    assert.equal(crossing.type, 'loop');
+    const [t1, t2] = crossing.t;
+    nearPoint(loop().calculateBezierPoint(t1), loop().calculateBezierPoint(t2));
+
+    assert.deepEqual(getSingularities(arch()), []);
+});
+
+test('line crossings carry t, u and the point', () => {
+    const hits = intersectLine(arch(), { x: 0, y: 15 }, { x: 100, y: 15 });
+    assert.equal(hits.length, 2);
+    for (const { t, u, point } of hits) {
+        near(point.y, 15);
+        nearPoint(arch().calculateBezierPoint(t), point);
+        near(u, point.x / 100);
+    }
+    near(hits[0].t + hits[1].t, 1);
+
+    // Outside the segment a-b there is no hit
+    assert.deepEqual(intersectLine(arch(), { x: 0, y: 15 }, { x: 5, y: 15 }), []);
+    assert.deepEqual(intersectLine(arch(), { x: 50, y: 0 }, { x: 50, y: 0 }), []);
+
+    // Each segment of a spline is crossed, with t global
+    const spline = new BezierCurve([...arch().controlPoints, { x: 110, y: 35 }, { x: 130, y: -10 }, { x: 170, y: 20 }], { type: 'spline' });
+    const crossings = intersectLine(spline, { x: 0, y: 15 }, { x: 200, y: 15 });
+    assert.equal(crossings.length, 4);
+    assert.ok(crossings[1].t < 0.5 && crossings[2].t > 0.5);
+});
+
+test('curve crossings', () => {
+    const hits = intersectCurves(line(0, 0, 100, 100), line(0, 100, 100, 0));
+    assert.equal(hits.length, 1);
+    near(hits[0].t, 0.5);
+    near(hits[0].u, 0.5);
+    nearPoint(hits[0].point, { x: 50, y: 50 });
+
+    assert.deepEqual(intersectCurves(arch(), line(0, 50, 100, 50)), []);
+
+    // A shallow crossing is still found
+    const shallow = intersectCurves(line(0, 0, 100, 2), line(0, 2, 100, 0));
+    assert.equal(shallow.length, 1);
+    nearPoint(shallow[0].point, { x: 50, y: 1 });
+});
+
+test('overlapping curves have no crossings', () => {
+    const shifted = (curve, dx, dy) => new BezierCurve(curve.controlPoints.map(p => ({ x: p.x + dx, y: p.y + dy })));
+    assert.deepEqual(intersectCurves(loop(), loop()), []);
+    assert.deepEqual(intersectCurves(loop(), shifted(loop(), 0.18, 0.24)), []);
+    assert.deepEqual(intersectCurves(arch(), new BezierCurve([...arch().controlPoints].reverse())), []);
+
+    // A spline on its rest shape but for one handle: the untouched segment
+    // gives nothing, and the moved one only meets its rest shape at the far
+    // end, where it comes in at another angle
+    const rest = [...arch().controlPoints, { x: 110, y: 35 }, { x: 150, y: 35 }, { x: 170, y: 20 }];
+    const moved = rest.map(p => ({ ...p }));
+    moved[5] = { x: 150, y: 0 };
+    const hits = intersectCurves(new BezierCurve(moved, { type: 'spline' }), new BezierCurve(rest, { type: 'spline' }));
+    assert.deepEqual(hits.map(({ t, u }) => [t, u]), [[1, 1]]);
+});
+
+test('self-intersections', () => {
+    const [hit] = getSelfIntersections(loop());
+    assert.ok(hit.t < hit.u);
+    nearPoint(loop().calculateBezierPoint(hit.t), loop().calculateBezierPoint(hit.u), 1e-6);
+    assert.deepEqual(getSelfIntersections(arch()), []);
+
+    // Across segments of a spline
+    const figure = new BezierCurve([
+        { x: 0, y: 0 }, { x: 50, y: 50 }, { x: 100, y: 50 }, { x: 100, y: 0 },
+        { x: 100, y: -50 }, { x: 50, y: -50 }, { x: 50, y: 50 }
+    ], { type: 'spline' });
+    const crossings = getSelfIntersections(figure);
+    assert.equal(crossings.length, 1);
+    assert.ok(crossings[0].t < 0.5 && crossings[0].u > 0.5);
+    nearPoint(figure.calculateBezierPoint(crossings[0].t), figure.calculateBezierPoint(crossings[0].u), 1e-6);
+});
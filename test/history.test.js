@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CommandHistory } = require('../history.js');
+
+// A value with history: set() changes it and pushes the matching command
+function tracked(history, initial = 0) {
+    const target = {
+        value: initial,
+        set(value, mergeKey) {
+            const before = target.value;
+            target.value = value;
+            history.push({
+                label: `Set ${value}`,
+                undo: () => { target.value = before; },
+                redo: () => { target.value = value; },
+                mergeKey
+            });
+        }
+    };
+    return target;
+}
+
+test('undo and redo walk the changes back and forth', () => {
+    const history = new CommandHistory();
+    const target = tracked(history);
+    target.set(1);
+    target.set(2);
+    assert.equal(history.undoLabel, 'Set 2');
+
+    assert.equal(history.undo().label, 'Set 2');
+    assert.equal(target.value, 1);
+    history.undo();
+    assert.equal(target.value, 0);
+    assert.equal(history.undo(), null);
+    assert.equal(history.canUndo, false);
+
+    history.redo();
+    assert.equal(target.value, 1);
+    assert.equal(history.redoLabel, 'Set 2');
+});
+
+test('a new change drops the redo stack', () => {
+    const history = new CommandHistory();
+    const target = tracked(history);
+    target.set(1);
+    history.undo();
+    target.set(5);
+    assert.equal(history.canRedo, false);
+    assert.equal(history.redo(), null);
+});
+
+test('changes with the same key inside the window merge', () => {
+    let time = 0;
+    const history = new CommandHistory({ mergeWindow: 100, now: () => time });
+    const target = tracked(history);
+
+    for (const value of [1, 2, 3]) {
+        time += 50;
+        target.set(value, 'slider');
+    }
+    assert.equal(history.undoStack.length, 1);
+    history.undo();
+    assert.equal(target.value, 0);
+    history.redo();
+    assert.equal(target.value, 3);
+
+    // Too late, a different key, or after an undo: separate entries
+    target.set(4, 'slider');
+    time += 500;
+    target.set(5, 'slider');
+    target.set(6, 'other');
+    assert.equal(history.undoStack.length, 4);
+});
+
+test('the oldest entries are dropped beyond the limit', () => {
+    const history = new CommandHistory({ limit: 3 });
+    const target = tracked(history);
+    for (let value = 1; value <= 5; value++) target.set(value);
+    while (history.undo());
+    assert.equal(target.value, 2);
+});
+
+test('onChange fires for every change to the stacks', () => {
+    const history = new CommandHistory();
+    let changes = 0;
+    history.onChange = () => changes++;
+    const target = tracked(history);
+    target.set(1);
+    history.undo();
+    history.redo();
+    history.clear();
+    assert.equal(changes, 4);
+    assert.equal(history.canUndo || history.canRedo, false);
+});
+
+test('a snapshot puts both stacks back after a clear', () => {
+    const history = new CommandHistory();
+    const target = tracked(history);
+    target.set(1);
+    target.set(2);
+    history.undo();
+    const saved = history.snapshot();
+
+    history.clear();
+    target.set(9);
+    history.restore(saved);
+    assert.deepEqual([history.undoLabel, history.redoLabel], ['Set 1', 'Set 2']);
+    history.redo();
+    assert.equal(target.value, 2);
+
+    // The snapshot isn't changed by what happens after it
+    history.restore(saved);
+    assert.equal(history.redoLabel, 'Set 2');
+});
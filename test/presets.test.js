@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SceneFormatError } = require('../scene-io.js');
+const { CubicBezierEasing } = require('../easing.js');
+const {
+    PRESETS_VERSION,
+    BUILT_IN_PRESETS,
+    pickPhysics,
+    PresetLibrary,
+    blendPhysics,
+    PhysicsMorph
+} = require('../presets.js');
+
+test('pickPhysics keeps only valid preset keys', () => {
+    assert.deepEqual(pickPhysics({ stiffness: 50, integrator: 'rk4', colour: 'red' }, 'p'), { stiffness: 50, integrator: 'rk4' });
+    for (const physics of [null, {}, { stiffness: NaN }, { integrator: 'leapfrog' }, { model: 'cloth' }]) {
+        assert.throws(() => pickPhysics(physics, 'p'), SceneFormatError);
+    }
+});
+
+test('user presets are saved, overwritten, renamed and removed', () => {
+    const library = new PresetLibrary();
+    let changes = 0;
+    library.onChange = () => changes++;
+
+    library.save(' Wobbly ', { stiffness: 20 });
+    assert.equal(library.find('wobbly').name, 'Wobbly');
+    library.save('WOBBLY', { stiffness: 30 });
+    assert.equal(library.custom.length, 1);
+    assert.deepEqual(library.find('Wobbly').physics, { stiffness: 30 });
+
+    library.save('Tight', { stiffness: 400 });
+    library.rename('wobbly', 'Loose');
+    assert.equal(library.find('Wobbly'), null);
+    assert.throws(() => library.rename('Loose', 'tight'), SceneFormatError);
+
+    library.remove('loose');
+    assert.deepEqual(library.custom.map(p => p.name), ['Tight']);
+    assert.equal(library.all.length, BUILT_IN_PRESETS.length + 1);
+    assert.equal(changes, 5);
+});
+
+test('built-in presets cannot be changed', () => {
+    const library = new PresetLibrary();
+    assert.throws(() => library.save('bouncy', { stiffness: 1 }), SceneFormatError);
+    assert.throws(() => library.rename('Stiff', 'Rigid'), SceneFormatError);
+    assert.throws(() => library.remove('fluid'), SceneFormatError);
+    assert.throws(() => library.remove('missing'), SceneFormatError);
+    assert.throws(() => library.save('  ', { stiffness: 1 }), SceneFormatError);
+});
+
+test('preset files round-trip, and a bad file adds nothing', () => {
+    const library = new PresetLibrary([{ name: 'Soft', physics: { stiffness: 10, model: 'rope' } }]);
+    const copy = new PresetLibrary();
+    assert.equal(copy.import(library.export()), 1);
+    assert.deepEqual(copy.custom, library.custom);
+
+    const bad = [
+        'not json',
+        { presets: [] },
+        { version: PRESETS_VERSION },
+        { version: PRESETS_VERSION, presets: [{ name: 'Fine', physics: { damping: 3 } }, { name: 'Heavy', physics: { damping: 3 } }] },
+        { version: PRESETS_VERSION, presets: [{ name: 'Fine', physics: { damping: 3 } }, { name: 'Broken', physics: {} }] }
+    ];
+    for (const input of bad) {
+        assert.throws(() => copy.import(input), SceneFormatError, JSON.stringify(input));
+    }
+    assert.equal(copy.find('Fine'), null);
+});
+
+test('blending interpolates numbers and switches choices at the end', () => {
+    const from = { stiffness: 100, damping: 10, integrator: 'euler' };
+    const to = { stiffness: 200, integrator: 'rk4' };
+    assert.deepEqual(blendPhysics(from, to, 0.25), { stiffness: 125 });
+    assert.deepEqual(blendPhysics(from, to, 1), { stiffness: 200, integrator: 'rk4' });
+});
+
+test('a morph eases over its duration and then finishes', () => {
+    const linear = CubicBezierEasing.fromPreset('linear');
+    const morph = new PhysicsMorph({ stiffness: 0 }, { stiffness: 100, model: 'rope' }, 2, linear);
+    assert.equal(Math.round(morph.advance(0.5).stiffness), 25);
+    assert.equal(morph.finished, false);
+    assert.deepEqual(morph.advance(5), { stiffness: 100, model: 'rope' });
+    assert.equal(morph.finished, true);
+
+    // The default ease-in-out is halfway at the midpoint
+    const eased = new PhysicsMorph({ damping: 0 }, { damping: 10 }, 1);
+    assert.ok(Math.abs(eased.advance(0.5).damping - 5) < 1e-4);
+    assert.ok(eased.advance(-1).damping < 10);
+    assert.deepEqual(new PhysicsMorph({}, { damping: 4 }, 0).advance(0), { damping: 4 });
+});
@@ -0,0 +1,624 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    INTEGRATORS,
+    elevateDegree,
+    fitBezier,
+    BezierCurve,
+    ForceFields,
+    ParticleSystem,
+    ReactorSimulation,
+    SeededRandom
+} = require('../reactor-core.js');
+
+const near = (actual, expected, tolerance = 1e-9) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+// A cubic with evenly spaced collinear points moves at constant speed
+const straight = () => new BezierCurve([
+    { x: 0, y: 0 }, { x: 100, y: 0 }, { x: 200, y: 0 }, { x: 300, y: 0 }
+]);
+
+// Standard cubic approximation of a quarter circle of radius 100
+const quarter = () => {
+    const k = 100 * 0.5522847498;
+    return new BezierCurve([{ x: 100, y: 0 }, { x: 100, y: k }, { x: k, y: 100 }, { x: 0, y: 100 }]);
+};
+
+test('points and tangents of a cubic', () => {
+    const curve = straight();
+    assert.deepEqual(curve.calculateBezierPoint(0), { x: 0, y: 0 });
+    assert.deepEqual(curve.calculateBezierPoint(1), { x: 300, y: 0 });
+    near(curve.calculateBezierPoint(0.25).x, 75);
+
+    const tangent = curve.calculateBezierTangent(0.7);
+    near(tangent.x, 300);
+    near(tangent.y, 0);
+
+    // Curve of the quarter circle: tangent at the start points straight down
+    const arc = quarter().calculateBezierTangent(0);
+    near(arc.x, 0);
+    assert.ok(arc.y > 0);
+});
+
+test('spline tangents are with respect to the global t', () => {
+    const spline = new BezierCurve([
+        { x: 0, y: 0 }, { x: 100, y: 0 }, { x: 200, y: 0 }, { x: 300, y: 0 },
+        { x: 400, y: 0 }, { x: 500, y: 0 }, { x: 600, y: 0 }
+    ], { type: 'spline' });
+    near(spline.calculateBezierPoint(0.5).x, 300);
+    near(spline.calculateBezierPoint(0.75).x, 450);
+    near(spline.calculateBezierTangent(0.25).x, 600);
+});
+
+// Points along the curve, to compare shapes
+const trace = (curve, count = 20) => {
+    const points = [];
+    for (let i = 0; i <= count; i++) points.push(curve.calculateBezierPoint(i / count));
+    return points;
+};
+
+const nearPoints = (actual, expected, tolerance = 1e-9) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((p, i) => {
+        near(p.x, expected[i].x, tolerance);
+        near(p.y, expected[i].y, tolerance);
+    });
+};
+
+test('Béziers of any degree pass through their end points', () => {
+    const quintic = new BezierCurve([
+        { x: 0, y: 0 }, { x: 50, y: 200 }, { x: 100, y: -100 }, { x: 150, y: 250 }, { x: 200, y: 0 }, { x: 250, y: 80 }
+    ]);
+    assert.equal(quintic.degree, 5);
+    assert.deepEqual(quintic.calculateBezierPoint(0), { x: 0, y: 0 });
+    assert.deepEqual(quintic.calculateBezierPoint(1), { x: 250, y: 80 });
+    assert.deepEqual(quintic.getHandleIndices(0.5), [1, 2, 3, 4]);
+
+    // Raising the degree keeps the shape
+    const raised = new BezierCurve(elevateDegree(quintic.controlPoints));
+    assert.equal(raised.degree, 6);
+    nearPoints(trace(raised), trace(quintic));
+});
+
+test('inserting and removing points keeps the shape', () => {
+    // Raising the degree keeps the parameterisation too
+    const sim = new ReactorSimulation();
+    const before = trace(sim.curve);
+    assert.equal(sim.insertPoint(0.3), true);
+    assert.equal(sim.controlPoints.length, 5);
+    assert.equal(sim.initialPoints.length, 5);
+    assert.equal(sim.physics.velocities.length, 5);
+    nearPoints(trace(sim.curve), before);
+    assert.equal(sim.removePoint(0), false);
+    assert.equal(sim.removePoint(2), true);
+    assert.equal(sim.controlPoints.length, 4);
+
+    // A spline gains an anchor at t: the segment under it is split in two
+    // and the first part traces it up to t
+    const spline = new ReactorSimulation();
+    spline.setCurveType('spline', 2);
+    const original = new BezierCurve(spline.controlPoints.map(p => ({ ...p })), { type: 'spline' });
+    assert.equal(spline.insertPoint(0.3), true);
+    assert.equal(spline.controlPoints.length, 10);
+    for (let i = 0; i <= 10; i++) {
+        const point = spline.curve.calculateBezierPoint(i / 30);
+        const expected = original.calculateBezierPoint(0.03 * i);
+        near(point.x, expected.x, 1e-9);
+        near(point.y, expected.y, 1e-9);
+    }
+    nearPoints(spline.controlPoints.slice(6), original.controlPoints.slice(3));
+
+    // Removing merges the segments around the nearest interior anchor
+    assert.equal(spline.removePoint(4), true);
+    assert.equal(spline.controlPoints.length, 7);
+    spline.setCurveType('spline', 1);
+    assert.equal(spline.removePoint(1), false);
+});
+
+test('spline joins keep the handles around each anchor in line', () => {
+    const sim = new ReactorSimulation();
+    sim.setCurveType('spline', 2);
+    const [before, anchor, after] = sim.controlPoints.slice(2, 5);
+
+    // C1 mirrors the other handle
+    sim.moveControlPoint(2, anchor.x - 40, anchor.y - 30);
+    near(after.x, anchor.x + 40);
+    near(after.y, anchor.y + 30);
+
+    // G1 keeps its length and only turns it
+    sim.setJoin('G1');
+    sim.moveControlPoint(4, anchor.x, anchor.y + 20);
+    near(before.x, anchor.x);
+    near(before.y, anchor.y - 50);
+
+    // C0 leaves it alone
+    sim.setJoin('C0');
+    sim.moveControlPoint(4, anchor.x + 10, anchor.y);
+    near(before.y, anchor.y - 50);
+});
+
+test('arc length', () => {
+    near(straight().getArcLength(), 300, 1e-9);
+    near(straight().getArcLength(0.2, 0.6), 120, 1e-9);
+    near(straight().getArcLength(0.6, 0.2), -120, 1e-9);
+    // The cubic quarter circle is within 0.03% of the true arc
+    near(quarter().getArcLength(), Math.PI * 50, 0.05);
+});
+
+test('getTAtArcLength inverts getArcLength', () => {
+    const curve = quarter();
+    const total = curve.getArcLength();
+    for (const fraction of [0.1, 0.5, 0.9]) {
+        const t = curve.getTAtArcLength(total * fraction, total);
+        near(curve.getArcLength(0, t), total * fraction, 1e-3);
+    }
+    assert.equal(curve.getTAtArcLength(-1, total), 0);
+    assert.equal(curve.getTAtArcLength(total + 1, total), 1);
+});
+
+test('curvature of a line and a circle', () => {
+    assert.equal(straight().calculateCurvature(0.3), 0);
+    assert.equal(straight().calculateRadiusOfCurvature(0.3), Infinity);
+
+    // The cubic's radius strays up to 2.2% from the circle's; it turns
+    // clockwise on screen
+    const arc = quarter();
+    for (const t of [0, 0.25, 0.5, 0.75, 1]) {
+        near(arc.calculateRadiusOfCurvature(t), 100, 2.5);
+        assert.ok(arc.calculateCurvature(t) > 0);
+    }
+
+    // No tangent, no curvature
+    const cusp = new BezierCurve([{ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 100, y: 0 }]);
+    assert.ok(Number.isNaN(cusp.calculateCurvature(0)));
+});
+
+// Distance from p to the polyline through vertices
+const distanceToPolyline = (p, vertices) => {
+    let best = Infinity;
+    for (let i = 1; i < vertices.length; i++) {
+        const a = vertices[i - 1];
+        const b = vertices[i];
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const u = lengthSquared > 0 ? Math.min(Math.max(((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared, 0), 1) : 0;
+        best = Math.min(best, Math.hypot(p.x - a.x - u * dx, p.y - a.y - u * dy));
+    }
+    return best;
+};
+
+test('flatten stays within tolerance, even when handles overshoot the ends', () => {
+    // Collinear, but the curve runs past both end points
+    const overshoot = new BezierCurve([{ x: 0, y: 0 }, { x: 400, y: 0 }, { x: -300, y: 0 }, { x: 100, y: 0 }]);
+    for (const curve of [overshoot, quarter(), straight()]) {
+        const vertices = curve.flatten(1);
+        assert.equal(vertices[0].t, 0);
+        assert.equal(vertices[vertices.length - 1].t, 1);
+        for (let i = 0; i <= 200; i++) {
+            assert.ok(distanceToPolyline(curve.calculateBezierPoint(i / 200), vertices) <= 1);
+        }
+    }
+    assert.equal(straight().flatten(1).length, 2);
+});
+
+test('projectPoint finds the nearest point', () => {
+    const hit = straight().projectPoint(120, 50);
+    near(hit.t, 0.4, 1e-6);
+    near(hit.distance, 50, 1e-6);
+
+    // Beyond the end the nearest point is the end itself
+    const end = straight().projectPoint(400, 0);
+    assert.equal(end.t, 1);
+    near(end.distance, 100, 1e-9);
+
+    // On the quarter circle every outward point projects onto the radius
+    const arc = quarter().projectPoint(150 * Math.SQRT1_2, 150 * Math.SQRT1_2);
+    near(arc.distance, 50, 0.05);
+    near(arc.t, 0.5, 1e-6);
+});
+
+test('projectPoint finds the global minimum among several', () => {
+    const curves = [
+        quarter(),
+        new BezierCurve([{ x: 0, y: 0 }, { x: 300, y: 200 }, { x: -100, y: 200 }, { x: 200, y: 0 }]),
+        new BezierCurve([{ x: 0, y: 0 }, { x: 400, y: 0 }, { x: -300, y: 0 }, { x: 100, y: 0 }]),
+        new BezierCurve([{ x: 0, y: 0 }, { x: 80, y: 300 }, { x: 160, y: -200 }, { x: 240, y: 250 }, { x: 320, y: 0 }]),
+        new BezierCurve([
+            { x: 0, y: 100 }, { x: 50, y: 0 }, { x: 100, y: 200 }, { x: 150, y: 100 },
+            { x: 200, y: 0 }, { x: 250, y: 200 }, { x: 300, y: 100 }
+        ], { type: 'spline' })
+    ];
+    for (const curve of curves) {
+        for (const [x, y] of [[0, 0], [50, 60], [100, 100], [150, -40], [260, 120], [-50, 300]]) {
+            let closest = Infinity;
+            for (let i = 0; i <= 20000; i++) {
+                const point = curve.calculateBezierPoint(i / 20000);
+                closest = Math.min(closest, Math.hypot(point.x - x, point.y - y));
+            }
+            near(curve.projectPoint(x, y).distance, closest, 1e-3);
+        }
+    }
+});
+
+test('dragCurve puts the point at t on the target and leaves the anchors', () => {
+    for (const [type, size] of [['bezier', 3], ['bezier', 5], ['spline', 3]]) {
+        const sim = new ReactorSimulation();
+        sim.setCurveType(type, size);
+        const anchors = sim.controlPoints.filter((_, i) => sim.curve.isAnchor(i)).map(p => ({ ...p }));
+        const t = 0.4;
+        const target = sim.curve.calculateBezierPoint(t);
+        target.x += 25;
+        target.y -= 40;
+
+        const moved = sim.dragCurve(t, target.x, target.y);
+        assert.deepEqual(moved, sim.curve.getHandleIndices(t));
+        const point = sim.curve.calculateBezierPoint(t);
+        near(point.x, target.x);
+        near(point.y, target.y);
+        assert.deepEqual(sim.controlPoints.filter((_, i) => sim.curve.isAnchor(i)), anchors);
+    }
+
+    // At an end the handles carry no weight
+    const sim = new ReactorSimulation();
+    assert.deepEqual(sim.dragCurve(0, 10, 10), []);
+});
+
+// Unit harmonic oscillator x'' = -x from x = 1: exactly cos(t)
+const oscillate = (name, dt, seconds = 1) => {
+    const point = { x: 1, y: 0 };
+    const velocity = { x: 0, y: 0 };
+    const acceleration = (x, y) => ({ x: -x, y: -y });
+    for (let i = 0; i < Math.round(seconds / dt); i++) {
+        INTEGRATORS[name](point, velocity, acceleration, dt);
+    }
+    return Math.abs(point.x - Math.cos(seconds));
+};
+
+test('integrators converge at their order', () => {
+    for (const [name, order] of [['euler', 1], ['verlet', 2], ['rk4', 4]]) {
+        const coarse = oscillate(name, 0.02);
+        const fine = oscillate(name, 0.01);
+        const observed = Math.log2(coarse / fine);
+        assert.ok(Math.abs(observed - order) < 0.3, `${name}: order ${observed}`);
+    }
+    assert.ok(oscillate('rk4', 1 / 60) < 1e-8);
+});
+
+test('damping takes energy out under every integrator', () => {
+    for (const name of Object.keys(INTEGRATORS)) {
+        const point = { x: 100, y: 0 };
+        const velocity = { x: 0, y: 0 };
+        const acceleration = (x, y, vx, vy) => ({ x: -180 * x - 20 * vx, y: -180 * y - 20 * vy });
+        for (let i = 0; i < 600; i++) INTEGRATORS[name](point, velocity, acceleration, 1 / 60);
+        assert.ok(Math.abs(point.x) < 1e-3, `${name} left ${point.x}`);
+    }
+});
+
+test('the fixed-timestep accumulator takes whole steps', () => {
+    const sim = new ReactorSimulation();
+    assert.equal(sim.advance(1 / 120), 0);
+    assert.equal(sim.advance(1 / 120), 1);
+    assert.equal(sim.advance(0.05), 3);
+    near(sim.accumulator, 0, 1e-12);
+    assert.equal(sim.stepCount, 4);
+
+    // A long stall is cut to maxSubSteps and the rest dropped
+    assert.equal(sim.advance(10), sim.maxSubSteps);
+    assert.equal(sim.accumulator, 0);
+    assert.equal(sim.advance(-1), 0);
+
+    // Aligning drops a part step
+    sim.advance(1 / 120);
+    sim.alignToStep();
+    assert.equal(sim.advance(1 / 120), 0);
+});
+
+test('the same elapsed time gives the same steps however it is split', () => {
+    const whole = new ReactorSimulation();
+    const split = new ReactorSimulation();
+    whole.controlPoints[1].x += 80;
+    split.controlPoints[1].x += 80;
+
+    whole.advance(0.05);
+    for (let i = 0; i < 10; i++) split.advance(0.005);
+    // Only rounding in the leftover phase differs
+    near(split.accumulator, whole.accumulator, 1e-12);
+    assert.deepEqual(split.controlPoints, whole.controlPoints);
+    assert.deepEqual(split.physics.velocities, whole.physics.velocities);
+});
+
+test('springs return the handles to their rest shape', () => {
+    for (const integrator of Object.keys(INTEGRATORS)) {
+        const sim = new ReactorSimulation();
+        sim.setPhysics({ integrator });
+        const rest = { ...sim.initialPoints[1] };
+        sim.controlPoints[1].x += 60;
+        for (let i = 0; i < 300; i++) sim.step();
+        near(sim.controlPoints[1].x, rest.x, 0.01);
+        near(sim.controlPoints[1].y, rest.y, 0.01);
+    }
+});
+
+test('boundaries clamp points and bounce velocities back', () => {
+    const sim = new ReactorSimulation({ width: 400, height: 300 });
+    const point = { x: -10, y: 500 };
+    const velocity = { x: -100, y: 50 };
+    sim.applyBoundaries(point, velocity);
+    assert.deepEqual(point, { x: sim.margin, y: 300 - sim.margin });
+    near(velocity.x, 30);
+    near(velocity.y, -15);
+
+    const inside = { x: 200, y: 150 };
+    const still = { x: 5, y: 5 };
+    sim.applyBoundaries(inside, still);
+    assert.deepEqual(inside, { x: 200, y: 150 });
+    assert.deepEqual(still, { x: 5, y: 5 });
+});
+
+test('only handles can be grabbed', () => {
+    const sim = new ReactorSimulation();
+    sim.setCurveType('spline', 2);
+    const [start, first, second, anchor] = sim.controlPoints;
+    assert.equal(sim.getNearestControlPoint(first.x + 5, first.y), 1);
+    assert.equal(sim.getNearestControlPoint(second.x, second.y - 5), 2);
+    assert.equal(sim.getNearestControlPoint(start.x, start.y), null);
+    assert.equal(sim.getNearestControlPoint(anchor.x, anchor.y), null);
+});
+
+test('grabbed handles stay put until they are let go', () => {
+    const sim = new ReactorSimulation();
+    sim.controlPoints[1].x += 60;
+    sim.controlPoints[2].y -= 40;
+    const held = sim.controlPoints.slice(1, 3).map(point => ({ ...point }));
+    sim.grabPoint(1);
+    sim.grabPoint(2);
+    sim.grabPoint(1);
+    assert.deepEqual(sim.input.grabbed, [1, 2]);
+
+    for (let i = 0; i < 60; i++) sim.updatePhysics();
+    assert.deepEqual(sim.controlPoints.slice(1, 3), held);
+
+    sim.releasePoint(2);
+    assert.deepEqual(sim.input.grabbed, [1]);
+    sim.releasePoint(1);
+    for (let i = 0; i < 300; i++) sim.updatePhysics();
+    near(sim.controlPoints[1].x, sim.initialPoints[1].x, 0.01);
+    near(sim.controlPoints[2].y, sim.initialPoints[2].y, 0.01);
+});
+
+test('the particle pool stops at capacity and packs removals', () => {
+    const random = new SeededRandom(5);
+    const particles = new ParticleSystem(() => random.next(), { maxParticles: 10 });
+    particles.createParticles(100, 100, 25);
+    assert.equal(particles.count, 10);
+    assert.equal(particles.spawn(0, 0, particles.emitters.burst), false);
+
+    const last = particles.getParticles()[9];
+    particles.remove(2);
+    assert.equal(particles.count, 9);
+    assert.deepEqual(particles.getParticles()[2], last);
+
+    // Shrinking keeps the first particles; growing keeps them all
+    particles.allocate(4);
+    assert.equal(particles.count, 4);
+    particles.allocate(50);
+    assert.equal(particles.count, 4);
+    assert.equal(particles.capacity, 50);
+});
+
+test('particles die when their life runs out', () => {
+    const random = new SeededRandom(9);
+    const particles = new ParticleSystem(() => random.next());
+    particles.setEmitter('burst', { lifetime: [0.5, 0.5] });
+    particles.createParticles(0, 0, 20);
+    assert.equal(particles.count, 20);
+
+    // Half a second is 30 frames; life is single precision, so allow one either way
+    for (let i = 0; i < 29; i++) particles.updateParticles(1 / 60);
+    assert.equal(particles.count, 20);
+    for (let i = 0; i < 2; i++) particles.updateParticles(1 / 60);
+    assert.equal(particles.count, 0);
+});
+
+test('disabled particles and emitters spawn nothing', () => {
+    const particles = new ParticleSystem();
+    particles.enabled = false;
+    particles.createParticles(0, 0, 5);
+    assert.equal(particles.count, 0);
+
+    particles.enabled = true;
+    particles.setEmitter('burst', { enabled: false });
+    particles.createParticles(0, 0, 5);
+    assert.equal(particles.count, 0);
+});
+
+test('a seeded simulation is deterministic through getState and setState', () => {
+    const run = (sim) => {
+        sim.setInput({ x: 300, y: 250, vx: 400, vy: -200 });
+        sim.emitParticles(200, 200, 30);
+        for (let i = 0; i < 90; i++) sim.step();
+        return sim.getState();
+    };
+    const first = run(new ReactorSimulation({ seed: 42 }));
+    assert.deepEqual(run(new ReactorSimulation({ seed: 42 })), first);
+
+    const restored = new ReactorSimulation({ seed: 1 });
+    restored.setState(first);
+    const original = new ReactorSimulation({ seed: 1 });
+    original.setState(first);
+    for (let i = 0; i < 30; i++) {
+        restored.step();
+        original.step();
+    }
+    assert.deepEqual(restored.getState(), original.getState());
+});
+
+test('the rope keeps its segment lengths and its ends on the anchors', () => {
+    const sim = new ReactorSimulation();
+    sim.setPhysics({ model: 'rope', ropeSegments: 16 });
+    for (let i = 0; i < 120; i++) sim.step();
+
+    const { points, rest } = sim.layer.rope;
+    assert.equal(points.length, 17);
+    for (let i = 1; i < points.length; i++) {
+        const length = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        near(length, rest, rest * 0.02);
+    }
+    assert.deepEqual(points[0], sim.controlPoints[0]);
+    assert.deepEqual(points[16], sim.controlPoints[3]);
+    assert.deepEqual(sim.controlPoints[0], sim.initialPoints[0]);
+    assert.deepEqual(sim.controlPoints[3], sim.initialPoints[3]);
+
+    // Hanging under gravity, the fitted handles sit below the anchors
+    assert.ok(sim.controlPoints[1].y > sim.initialPoints[0].y);
+
+    // A grabbed handle pins the mass nearest it
+    sim.grabPoint(1);
+    sim.moveControlPoint(1, 300, 200);
+    sim.step();
+    assert.deepEqual(points[Math.round(16 / 3)], { x: 300, y: 200 });
+    assert.deepEqual(sim.controlPoints[1], { x: 300, y: 200 });
+});
+
+test('fitBezier reproduces lines and cubics', () => {
+    const line = [];
+    for (let i = 0; i <= 10; i++) line.push({ x: i * 30, y: i * 10 });
+    const fitted = fitBezier(line, 3);
+    near(fitted[1].x, 100, 1e-9);
+    near(fitted[1].y, 100 / 3, 1e-9);
+    near(fitted[2].x, 200, 1e-9);
+    assert.deepEqual(fitted[3], { x: 300, y: 100 });
+
+    const cubic = new BezierCurve([{ x: 0, y: 0 }, { x: 80, y: 200 }, { x: 220, y: -120 }, { x: 300, y: 60 }]);
+    const samples = trace(cubic, 40);
+    const close = new BezierCurve(fitBezier(samples, 3));
+    for (const { x, y } of samples) assert.ok(close.projectPoint(x, y).distance < 2.5);
+
+    // More passes converge on the original handles
+    nearPoints(fitBezier(samples, 3, 60), cubic.controlPoints, 0.05);
+    assert.equal(fitBezier([{ x: 1, y: 1 }, { x: 1, y: 1 }], 3), null);
+});
+
+test('attractors, repellers and wind push the right way and fade out', () => {
+    const fields = new ForceFields();
+    const attractor = fields.add('attractor', 0, 0, { strength: 2400, radius: 160, falloff: 2 });
+    let push = fields.acceleration(80, 0, 0);
+    near(push.x, -600);
+    near(push.y, 0);
+    near(fields.acceleration(0, 120, 0).y, -2400 / 16);
+    assert.deepEqual(fields.acceleration(200, 0, 0), { x: 0, y: 0 });
+
+    fields.update(attractor.id, { falloff: 1 });
+    near(fields.acceleration(80, 0, 0).x, -1200);
+
+    fields.load([{ type: 'repeller', x: 0, y: 0 }]);
+    push = fields.acceleration(-40, 30, 0);
+    assert.ok(push.x < 0 && push.y > 0);
+    near(push.x / push.y, -4 / 3);
+
+    // Steady wind at 90° blows down the screen, fading over the outer quarter
+    fields.load([{ type: 'wind', x: 0, y: 0, strength: 900, radius: 200, angle: 90, turbulence: 0 }]);
+    push = fields.acceleration(50, 0, 3);
+    near(push.x, 0, 1e-9);
+    near(push.y, 900);
+    near(fields.acceleration(0, 180, 0).y, 900 * 0.4);
+    assert.deepEqual(fields.acceleration(0, 250, 0), { x: 0, y: 0 });
+});
+
+test('obstacles push points out and bounce them off', () => {
+    const fields = new ForceFields();
+    fields.add('circle', 100, 100, { radius: 50 });
+    fields.add('rect', 300, 100, { width: 100, height: 40 });
+
+    const point = { x: 130, y: 100 };
+    const velocity = { x: -60, y: 10 };
+    fields.collide(point, velocity, 0.5);
+    assert.deepEqual(point, { x: 150, y: 100 });
+    assert.deepEqual(velocity, { x: 30, y: 10 });
+
+    // Out through the nearest side of a rect
+    const inRect = { x: 320, y: 115 };
+    const falling = { x: 0, y: 40 };
+    fields.collide(inRect, falling, 0);
+    assert.deepEqual(inRect, { x: 320, y: 120 });
+    assert.deepEqual(falling, { x: 0, y: 40 });
+
+    for (let i = 0; i < 200; i++) {
+        const p = { x: 40 + (i % 20) * 14, y: 70 + Math.floor(i / 20) * 6 };
+        fields.collide(p, null, 0);
+        assert.ok(Math.hypot(p.x - 100, p.y - 100) >= 50 - 1e-9);
+        assert.ok(Math.abs(p.x - 300) >= 50 || Math.abs(p.y - 100) >= 20);
+    }
+});
+
+test('fields keep known parameters and reject unknown types', () => {
+    const fields = new ForceFields();
+    const field = fields.add('circle', 10, 20, { radius: 30, strength: 5, width: NaN });
+    assert.deepEqual(field, { id: 1, type: 'circle', x: 10, y: 20, radius: 30 });
+    assert.throws(() => fields.add('vortex', 0, 0), RangeError);
+
+    fields.load([{ id: 7, type: 'attractor', x: 0, y: 0 }, { id: 7, type: 'rect', x: 5, y: 5 }]);
+    assert.deepEqual(fields.list.map(f => f.id), [7, 8]);
+    assert.equal(fields.add('wind', 0, 0).id, 9);
+    // A bad entry leaves the fields as they were
+    assert.throws(() => fields.load([{ type: 'wind', x: 0, y: 0 }, { type: 'vortex', x: 0, y: 0 }]), RangeError);
+    assert.equal(fields.remove(8), true);
+    assert.equal(fields.remove(8), false);
+});
+
+test('layers are added, copied and removed around the selection', () => {
+    const sim = new ReactorSimulation();
+    const first = sim.layer;
+    const second = sim.addLayer({ name: 'Second' });
+    assert.equal(sim.layer, second);
+    assert.deepEqual(sim.layers.map(layer => layer.name), [first.name, 'Second']);
+    assert.notEqual(second.id, first.id);
+    assert.equal(second.physics.velocities.length, second.curve.controlPoints.length);
+
+    // A copy goes just above its source, shifted, with physics of its own
+    sim.setPhysics({ stiffness: 42 });
+    second.physics.velocities[1] = { x: 5, y: 5 };
+    const copy = sim.duplicateLayer(first.id);
+    assert.deepEqual(sim.layers, [first, copy, second]);
+    assert.equal(sim.layer, copy);
+    assert.equal(copy.name, `${first.name} copy`);
+    assert.deepEqual(copy.curve.controlPoints[1], {
+        x: first.curve.controlPoints[1].x + 30,
+        y: first.curve.controlPoints[1].y + 30
+    });
+    assert.equal(copy.physics.stiffness, first.physics.stiffness);
+    assert.notEqual(copy.physics, first.physics);
+    assert.deepEqual(copy.physics.velocities[1], { x: 0, y: 0 });
+    assert.equal(sim.duplicateLayer(999), null);
+
+    // Removing one below the selection keeps the same curve selected
+    sim.selectLayer(second.id);
+    assert.equal(sim.removeLayer(first.id), true);
+    assert.equal(sim.layer, second);
+    assert.equal(sim.removeLayer(second.id), true);
+    assert.equal(sim.layer, copy);
+    assert.equal(sim.removeLayer(copy.id), false);
+    assert.equal(sim.removeLayer(999), false);
+});
+
+test('loadLayers replaces every curve from layer state', () => {
+    const sim = new ReactorSimulation();
+    sim.addLayer({ name: 'Hidden', visible: false });
+    sim.setCurveType('spline', 2);
+    sim.grabPoint(1);
+    const { layers } = sim.getState();
+
+    const copy = new ReactorSimulation();
+    copy.loadLayers(layers, 5);
+    assert.equal(copy.selected, 1);
+    assert.deepEqual(copy.getState().layers, layers);
+    assert.deepEqual(copy.input.grabbed, []);
+    assert.equal(copy.layers[1].visible, false);
+    assert.equal(copy.curve.type, 'spline');
+
+    // The data is copied, not shared
+    layers[1].curve.points[0].x = -1;
+    assert.notEqual(copy.controlPoints[0].x, -1);
+});
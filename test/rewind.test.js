@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReactorSimulation } = require('../reactor-core.js');
+const { RewindBuffer } = require('../rewind.js');
+
+const STEP = 1 / 60;
+
+// Record one snapshot per step for count steps, numbered by step
+function fill(buffer, count, from = 0) {
+    for (let i = from; i < from + count; i++) buffer.record(i * STEP, i);
+}
+
+test('only the last few seconds are kept', () => {
+    const buffer = new RewindBuffer({ seconds: 1 });
+    fill(buffer, 180);
+    assert.equal(buffer.length, 61);
+    assert.equal(buffer.snapshots[0].state, 119);
+    assert.equal(buffer.current.state, 179);
+    assert.equal(buffer.rewound, false);
+});
+
+test('seeking moves the cursor and keeps the snapshots', () => {
+    const buffer = new RewindBuffer();
+    assert.equal(buffer.seek(0), null);
+    fill(buffer, 10);
+    assert.equal(buffer.seek(3).state, 3);
+    assert.equal(buffer.rewound, true);
+    assert.equal(buffer.seek(-5).state, 0);
+    assert.equal(buffer.seek(50).state, 9);
+    assert.equal(buffer.length, 10);
+});
+
+test('recording from a rewound cursor drops what came after it', () => {
+    const buffer = new RewindBuffer();
+    fill(buffer, 10);
+    buffer.seek(4);
+    buffer.record(4.5 * STEP, 'branch');
+    assert.deepEqual(buffer.snapshots.map(s => s.state), [0, 1, 2, 3, 4, 'branch']);
+    assert.equal(buffer.rewound, false);
+
+    // Time going backwards (a scene load) starts over
+    buffer.record(0, 'new');
+    assert.deepEqual(buffer.snapshots.map(s => s.state), ['new']);
+    buffer.clear();
+    assert.equal(buffer.current, null);
+});
+
+test('snapshots are due an interval apart, or at once when forced or branching', () => {
+    const buffer = new RewindBuffer({ interval: 1 / 30 });
+    assert.equal(buffer.due(0), true);
+    buffer.record(5 * STEP, 5);
+
+    // Two steps make the interval, whatever the rounding of the times
+    assert.equal(buffer.due(6 * STEP), false);
+    assert.equal(buffer.due(7 * STEP), true);
+    assert.equal(buffer.due(6 * STEP, true), true);
+    assert.equal(buffer.due(5 * STEP, true), false);
+    assert.equal(buffer.due(0), true);
+
+    fill(buffer, 4, 6);
+    buffer.seek(1);
+    assert.equal(buffer.due(6.5 * STEP), true);
+    assert.equal(buffer.due(6 * STEP), false);
+});
+
+test('motion snapshots put back points, particles and the clock exactly', () => {
+    const sim = new ReactorSimulation({ seed: 11 });
+    sim.setInput({ x: 300, y: 250, vx: 500, vy: -100 });
+    sim.emitParticles(300, 200, 40);
+    for (let i = 0; i < 20; i++) sim.step();
+
+    const motion = sim.getMotion();
+    assert.ok(motion.particles.arrays.x instanceof Float64Array);
+    for (let i = 0; i < 60; i++) sim.step();
+    const ahead = sim.getState();
+
+    // Later changes don't leak into the snapshot, and it can be used twice
+    sim.emitParticles(100, 100, 5);
+    sim.setMotion(motion);
+    for (let i = 0; i < 60; i++) sim.step();
+    assert.deepEqual(sim.getState(), ahead);
+
+    sim.setMotion(motion);
+    assert.equal(sim.stepCount, 20);
+    for (let i = 0; i < 60; i++) sim.step();
+    assert.deepEqual(sim.getState(), ahead);
+});
+
+test('motion snapshots fit a smaller particle pool', () => {
+    const sim = new ReactorSimulation({ seed: 2 });
+    sim.emitParticles(300, 200, 50);
+    const motion = sim.getMotion();
+    sim.setMaxParticles(20);
+    sim.setMotion(motion);
+    assert.equal(sim.particles.count, 20);
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BezierCurve, ReactorSimulation } = require('../reactor-core.js');
+const {
+    SCENE_VERSION,
+    SceneFormatError,
+    toSvgPath,
+    parseSvgPath,
+    captureScene,
+    migrateScene,
+    parseScene,
+    encodeScene,
+    decodeScene,
+    applyScene
+} = require('../scene-io.js');
+
+const CUBIC = [{ x: 10, y: 20 }, { x: 30, y: 5 }, { x: 70, y: 5 }, { x: 90, y: 20 }];
+
+const scene = (extra = {}) => ({
+    version: SCENE_VERSION,
+    layers: [{ curve: { points: CUBIC } }],
+    ...extra
+});
+
+test('cubics export to and import from SVG path data', () => {
+    const d = toSvgPath(new BezierCurve(CUBIC));
+    assert.equal(d, 'M 10 20 C 30 5 70 5 90 20');
+    assert.deepEqual(parseSvgPath(d), { type: 'bezier', join: 'C1', points: CUBIC });
+});
+
+test('relative and smooth commands become absolute spline points', () => {
+    const parsed = parseSvgPath('m10,20 c20-15 60-15 80,0 s60,15 80,0');
+    assert.equal(parsed.type, 'spline');
+    assert.equal(parsed.join, 'C1');
+    assert.deepEqual(parsed.points.slice(3), [
+        { x: 90, y: 20 }, { x: 110, y: 35 }, { x: 150, y: 35 }, { x: 170, y: 20 }
+    ]);
+});
+
+test('the first path of an SVG document is imported', () => {
+    const svg = '<svg><path fill="none" d="M0 0 C 1 1 2 1 3 0"/><path d="M 5 5"/></svg>';
+    assert.equal(parseSvgPath(svg).points.length, 4);
+});
+
+test('unsupported path data is rejected with a SceneFormatError', () => {
+    for (const d of ['', 'C 1 1 2 2 3 3', 'M 0 0 L 10 10', 'M 0 0 A 1 1 0 0 0 5 5', 'M 0 0 C 1 1 2',
+        'M 0 0 C 1 1 2 2 3 3 M 4 4', 'M 0 0', '<svg></svg>', 'M 0 0 C 1 1 2 2 3 3 #']) {
+        assert.throws(() => parseSvgPath(d), SceneFormatError, d);
+    }
+});
+
+test('a scene survives capture, JSON and apply', () => {
+    const sim = new ReactorSimulation({ width: 800, height: 600 });
+    sim.loadCurve({ type: 'bezier', points: CUBIC, initialPoints: CUBIC });
+    sim.setPhysics({ stiffness: 55, integrator: 'rk4' });
+    const captured = captureScene(sim, { effects: { trails: true } });
+
+    const parsed = parseScene(JSON.stringify(captured));
+    const copy = new ReactorSimulation({ width: 800, height: 600 });
+    applyScene(copy, parsed);
+    assert.deepEqual(captureScene(copy, { effects: { trails: true } }), captured);
+});
+
+test('applied scenes are scaled to the canvas', () => {
+    const sim = new ReactorSimulation({ width: 200, height: 100 });
+    applyScene(sim, parseScene(scene({ width: 100, height: 50 })));
+    assert.deepEqual(sim.curve.controlPoints[3], { x: 180, y: 40 });
+});
+
+test('version 1 scenes are migrated to layers', () => {
+    const v1 = { version: 1, width: 400, curve: { points: CUBIC }, physics: { stiffness: 20 }, effects: { glow: false } };
+    const migrated = migrateScene(v1);
+    assert.deepEqual(migrated, {
+        version: SCENE_VERSION,
+        width: 400,
+        effects: { glow: false },
+        layers: [{ curve: { points: CUBIC }, physics: { stiffness: 20 } }],
+        selected: 0
+    });
+    assert.equal(v1.curve.points, CUBIC);
+
+    const sim = new ReactorSimulation({ width: 400, height: 600 });
+    applyScene(sim, parseScene({ version: 1, curve: { points: CUBIC }, physics: { stiffness: 20 } }));
+    assert.equal(sim.layers.length, 1);
+    assert.equal(sim.physics.stiffness, 20);
+    assert.deepEqual(sim.controlPoints, CUBIC);
+    assert.throws(() => migrateScene({ version: 0 }), SceneFormatError);
+});
+
+test('invalid scenes are rejected with a SceneFormatError', () => {
+    const invalid = [
+        '{not json',
+        { layers: [] },
+        { version: SCENE_VERSION + 1 },
+        scene({ layers: [] }),
+        scene({ layers: [{ curve: { points: CUBIC.slice(0, 2) } }] }),
+        scene({ layers: [{ curve: { type: 'spline', points: CUBIC.concat(CUBIC[0]) } }] }),
+        scene({ layers: [{ curve: { points: [{ x: 0 }, ...CUBIC.slice(1)] } }] }),
+        scene({ layers: [{ curve: { points: CUBIC }, physics: { integrator: 'leapfrog' } }] }),
+        scene({ layers: [{ curve: { points: CUBIC }, physics: { stiffness: '10' } }] }),
+        scene({ layers: [{ curve: { points: CUBIC }, physics: { stiffness: -10 } }] }),
+        scene({ layers: [{ curve: { points: CUBIC }, physics: { damping: -0.5 } }] }),
+        scene({ layers: [{ curve: { points: CUBIC }, physics: { enabled: 'yes' } }] }),
+        scene({ layers: [{ curve: { points: CUBIC }, physics: 5 }] }),
+        scene({ selected: 1 }),
+        scene({ fields: [{ type: 'vortex', x: 0, y: 0 }] }),
+        scene({ fields: {} }),
+        scene({ fields: [null] }),
+        scene({ fields: [{ type: 'attractor', x: 0 }] }),
+        scene({ fields: [{ type: 'circle', x: 0, y: 0, radius: -5 }] }),
+        scene({ fields: [{ type: 'wind', x: 0, y: 0, angle: '90' }] })
+    ];
+    for (const input of invalid) {
+        assert.throws(() => parseScene(input), SceneFormatError, JSON.stringify(input));
+    }
+});
+
+test('only known physics settings are kept', () => {
+    const physics = { stiffness: 0, damping: 3, enabled: false, integrator: 'rk4', velocities: 5, extra: true };
+    const parsed = parseScene(scene({ layers: [{ curve: { points: CUBIC }, physics }] }));
+    assert.deepEqual(parsed.layers[0].physics, { stiffness: 0, damping: 3, enabled: false, integrator: 'rk4' });
+
+    const sim = new ReactorSimulation();
+    applyScene(sim, parsed);
+    assert.equal(sim.physics.velocities.length, 4);
+});
+
+test('scenes round-trip through share links', () => {
+    const original = parseScene(scene({ effects: { label: 'Bézier ✓' } }));
+    assert.deepEqual(decodeScene(encodeScene(original)), original);
+    assert.throws(() => decodeScene('%%%'), SceneFormatError);
+});
+
+test('particle emitters are validated key by key', () => {
+    const withEmitters = (emitters) => scene({ particles: { emitters } });
+    const invalid = [
+        [],
+        { sparkle: {} },
+        { burst: null },
+        { burst: { lifetime: 5 } },
+        { burst: { lifetime: [1] } },
+        { burst: { speed: [4, 1] } },
+        { burst: { size: [1, NaN] } },
+        { burst: { gravity: '0.1' } },
+        { curve: { rate: Infinity } },
+        { burst: { colors: [] } },
+        { burst: { colors: ['red'] } },
+        { controlPoints: { enabled: 1 } }
+    ];
+    for (const emitters of invalid) {
+        assert.throws(() => parseScene(withEmitters(emitters)), SceneFormatError, JSON.stringify(emitters));
+    }
+
+    const valid = {
+        burst: { lifetime: [1, 1], speed: [0, 3], size: [2, 4], gravity: -0.2, colors: ['#FFaa00'], enabled: false },
+        curve: { rate: 20, enabled: true }
+    };
+    assert.deepEqual(parseScene(withEmitters(valid)).particles.emitters, valid);
+});
+
+test('the particle cap is limited to the slider range', () => {
+    const withCap = (maxParticles) => scene({ particles: { maxParticles } });
+    assert.equal(parseScene(withCap(5000)).particles.maxParticles, 5000);
+    for (const cap of [0, 5001, 2e9, 12.5]) {
+        assert.throws(() => parseScene(withCap(cap)), SceneFormatError, String(cap));
+    }
+});
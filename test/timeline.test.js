@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SceneFormatError } = require('../scene-io.js');
+const { TIMELINE_VERSION, Timeline } = require('../timeline.js');
+
+const shape = (dy) => [{ x: 0, y: dy }, { x: 50, y: dy }, { x: 100, y: dy }];
+
+const nearPoints = (actual, expected) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((p, i) => {
+        assert.ok(Math.hypot(p.x - expected[i].x, p.y - expected[i].y) < 1e-4, `point ${i} is off`);
+    });
+};
+
+test('points and physics are sampled between their own keyframes', () => {
+    const timeline = new Timeline({ duration: 4 });
+    timeline.setKeyframe(0, { points: shape(0), easing: 'linear' });
+    timeline.setKeyframe(1, { physics: { stiffness: 100 }, easing: 'linear' });
+    timeline.setKeyframe(2, { points: shape(100) });
+    timeline.setKeyframe(3, { physics: { stiffness: 300, integrator: 'rk4' } });
+
+    const early = timeline.sample(0.5);
+    nearPoints(early.points, shape(25));
+    assert.deepEqual(early.physics, { stiffness: 100 });
+
+    // Held after the last keyframe of each track
+    assert.deepEqual(timeline.sample(2.5).points, shape(100));
+    assert.deepEqual(timeline.sample(2).physics, { stiffness: 200 });
+    assert.deepEqual(timeline.sample(3.5).physics, { stiffness: 300, integrator: 'rk4' });
+});
+
+test('easing shapes the change from a keyframe', () => {
+    const timeline = new Timeline();
+    timeline.setKeyframe(0, { points: shape(0), easing: [0, 0, 1, 1] });
+    timeline.setKeyframe(1, { points: shape(100), easing: 'ease-in' });
+    timeline.setKeyframe(2, { points: shape(0) });
+    nearPoints(timeline.sample(0.3).points, shape(30));
+    // ease-in starts slower than linear, which would be at 70
+    assert.ok(timeline.sample(1.3).points[0].y > 85);
+    assert.deepEqual(new Timeline().sample(), { points: null, physics: null });
+});
+
+test('keyframes are replaced at the same time and keep one point count', () => {
+    const timeline = new Timeline();
+    timeline.setKeyframe(1, { points: shape(0) });
+    timeline.setKeyframe(1.0001, { points: shape(5) });
+    assert.equal(timeline.keyframes.length, 1);
+    assert.equal(timeline.pointCount, 3);
+
+    assert.throws(() => timeline.setKeyframe(2, { points: [...shape(0), { x: 1, y: 1 }] }), SceneFormatError);
+    assert.throws(() => timeline.setKeyframe(9, { points: shape(0) }), SceneFormatError);
+    assert.throws(() => timeline.setKeyframe(2, {}), SceneFormatError);
+    assert.throws(() => timeline.setKeyframe(2, { physics: { stiffness: 1 }, easing: 'wobble' }), SceneFormatError);
+
+    assert.equal(timeline.removeKeyframe(1), true);
+    assert.equal(timeline.removeKeyframe(1), false);
+});
+
+test('playback loops, or stops at the end', () => {
+    const timeline = new Timeline({ duration: 2 });
+    assert.equal(timeline.advance(1), 0);
+    timeline.play();
+    assert.equal(timeline.advance(2.5), 0.5);
+
+    timeline.loop = false;
+    timeline.advance(3);
+    assert.equal(timeline.time, 2);
+    assert.equal(timeline.playing, false);
+    timeline.play();
+    assert.equal(timeline.time, 0);
+});
+
+test('the duration never cuts off a keyframe', () => {
+    const timeline = new Timeline({ duration: 5 });
+    timeline.setKeyframe(3, { physics: { damping: 2 } });
+    timeline.seek(4);
+    timeline.setDuration(1);
+    assert.equal(timeline.duration, 3);
+    assert.equal(timeline.time, 3);
+    timeline.setDuration(1e6);
+    assert.equal(timeline.duration, 600);
+});
+
+test('timelines round-trip through JSON', () => {
+    const timeline = new Timeline({ duration: 3, loop: false });
+    timeline.setKeyframe(2, { points: shape(10), easing: 'ease-out' });
+    timeline.setKeyframe(0, { points: shape(0), physics: { damping: 5 } });
+
+    const copy = new Timeline();
+    copy.load(JSON.stringify(timeline));
+    assert.deepEqual(copy.toJSON(), timeline.toJSON());
+    assert.deepEqual(copy.keyframes.map(f => f.time), [0, 2]);
+});
+
+test('invalid timelines are rejected with a SceneFormatError', () => {
+    const valid = { version: TIMELINE_VERSION, duration: 2, keyframes: [] };
+    const invalid = [
+        'not json',
+        { ...valid, version: 0 },
+        { ...valid, duration: 0 },
+        { ...valid, duration: 601 },
+        { ...valid, keyframes: null },
+        { ...valid, keyframes: [{ time: 3, physics: { damping: 1 } }] },
+        { ...valid, keyframes: [{ time: 1, physics: { damping: 1 } }, { time: 1.0002, physics: { damping: 2 } }] },
+        { ...valid, keyframes: [{ time: 0, points: shape(0) }, { time: 1, points: [...shape(0), { x: 0, y: 0 }] }] }
+    ];
+    for (const input of invalid) {
+        assert.throws(() => Timeline.parse(input), SceneFormatError, JSON.stringify(input));
+    }
+});
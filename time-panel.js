@@ -0,0 +1,133 @@
+// Time controls: pause, frame steps, slow motion and the rewind scrubber.
+// Dragging the scrubber pauses on a moment from the last few seconds; Play
+// carries on from there. Keys (outside text fields): K pauses, comma and
+// period step back and forward, J and L jump a second through the rewind
+// buffer, and < and > change the speed.
+class TimePanel {
+    constructor(app) {
+        this.app = app;
+        this.shownBuffer = null;
+
+        this.pauseBtn = document.getElementById('timePauseBtn');
+        this.stepBackBtn = document.getElementById('timeStepBackBtn');
+        this.stepBtn = document.getElementById('timeStepBtn');
+        this.scaleSlider = document.getElementById('timeScaleSlider');
+        this.scrub = document.getElementById('rewindScrub');
+        this.message = document.getElementById('timeMessage');
+
+        // Speeds < and > move between
+        this.speeds = [0.1, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
+
+        this.initUI();
+        this.sync();
+    }
+
+    get rewind() {
+        return this.app.rewind;
+    }
+
+    initUI() {
+        const app = this.app;
+
+        app.listen(this.pauseBtn, 'click', () => this.togglePause());
+        app.listen(this.stepBackBtn, 'click', () => this.stepBack());
+        app.listen(this.stepBtn, 'click', () => app.stepFrame());
+        app.listen(this.scaleSlider, 'input', () => app.setTimeScale(parseFloat(this.scaleSlider.value)));
+        app.listen(this.scrub, 'input', () => this.rewindTo(parseInt(this.scrub.value, 10)));
+
+        app.listen(document, 'keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || app.inputLocked) return;
+            if (e.target.matches('textarea, select, input[type="text"]')) return;
+
+            const actions = {
+                k: () => this.togglePause(),
+                ',': () => this.stepBack(),
+                '.': () => app.stepFrame(),
+                j: () => this.jump(-1),
+                l: () => this.jump(1),
+                '<': () => this.changeSpeed(-1),
+                '>': () => this.changeSpeed(1)
+            };
+            const action = actions[e.key.toLowerCase()];
+            if (!action) return;
+            e.preventDefault();
+            action();
+        });
+    }
+
+    togglePause() {
+        if (this.app.paused) this.app.resume(); else this.app.pause();
+    }
+
+    // Next listed speed up or down from the current one
+    changeSpeed(direction) {
+        const scale = this.app.timeScale;
+        const next = direction > 0 ?
+            this.speeds.find(speed => speed > scale + 1e-9) :
+            [...this.speeds].reverse().find(speed => speed < scale - 1e-9);
+        if (next !== undefined) this.app.setTimeScale(next);
+    }
+
+    // Move by seconds of simulated time through the rewind buffer, pausing
+    jump(seconds) {
+        const rewind = this.rewind;
+        const current = rewind?.current;
+        if (!current) return;
+        const target = current.time + seconds;
+        const index = seconds < 0 ?
+            rewind.snapshots.findLastIndex(snapshot => snapshot.time <= target) :
+            rewind.snapshots.findIndex(snapshot => snapshot.time >= target);
+        this.rewindTo(index === -1 ? (seconds < 0 ? 0 : rewind.length - 1) : index);
+    }
+
+    stepBack() {
+        if (this.app.paused && this.rewind) this.rewindTo(this.rewind.cursor - 1);
+    }
+
+    // A session recording only goes forward, so rewinding waits for it
+    rewindTo(index) {
+        if (this.app.session?.recordingActive) {
+            this.showMessage('Stop the session recording to rewind.', true);
+            this.shownBuffer = null;
+            this.syncBuffer();
+            return;
+        }
+        if (this.app.rewindTo(index)) this.showMessage('');
+    }
+
+    sync() {
+        const { paused, timeScale, inputLocked } = this.app;
+        this.pauseBtn.innerHTML = paused ?
+            '<i class="fas fa-play"></i> Play' :
+            '<i class="fas fa-pause"></i> Pause';
+        this.stepBackBtn.disabled = inputLocked || !paused || !this.rewind;
+        this.stepBtn.disabled = inputLocked || !paused;
+        this.scaleSlider.value = timeScale;
+        document.getElementById('timeScaleValue').textContent = `${timeScale.toFixed(2)}×`;
+
+        this.shownBuffer = null;
+        this.syncBuffer();
+    }
+
+    // Called every frame, so only touches the scrubber when the buffer or
+    // its cursor has moved
+    syncBuffer() {
+        const rewind = this.rewind;
+        const length = rewind ? rewind.length : 0;
+        const cursor = rewind ? rewind.cursor : -1;
+        const key = `${length}:${cursor}`;
+        if (key === this.shownBuffer) return;
+        this.shownBuffer = key;
+
+        this.scrub.max = Math.max(length - 1, 0);
+        this.scrub.value = Math.max(cursor, 0);
+        this.scrub.disabled = length < 2 || this.app.inputLocked;
+        const behind = length > 0 ? rewind.current.time - rewind.snapshots[length - 1].time : 0;
+        document.getElementById('rewindTime').textContent = `${behind.toFixed(2)} s`;
+    }
+
+    showMessage(message, isError = false) {
+        this.message.textContent = message;
+        this.message.classList.toggle('error', isError);
+    }
+}
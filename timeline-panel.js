@@ -0,0 +1,195 @@
+// Timeline controls: play/pause/stop, a scrubbable playhead with keyframe
+// markers, and keying the current pose and physics at the playhead. Edits to
+// the timeline go through the app's undo history.
+class TimelinePanel {
+    constructor(app) {
+        this.app = app;
+        this.shownPlaying = null;
+        this.shownKeyframe = undefined;
+
+        this.playBtn = document.getElementById('timelinePlayBtn');
+        this.scrub = document.getElementById('timelineScrub');
+        this.keys = document.getElementById('timelineKeys');
+        this.durationSlider = document.getElementById('timelineDurationSlider');
+        this.easingSelect = document.getElementById('keyframeEasingSelect');
+        this.removeBtn = document.getElementById('removeKeyframeBtn');
+        this.message = document.getElementById('timelineMessage');
+
+        this.initUI();
+        this.sync();
+    }
+
+    get timeline() {
+        return this.app.timeline;
+    }
+
+    initUI() {
+        const app = this.app;
+
+        app.listen(this.playBtn, 'click', () => {
+            if (this.timeline.playing) this.timeline.pause(); else this.timeline.play();
+            this.syncPlayhead();
+        });
+        app.listen(document.getElementById('timelineStopBtn'), 'click', () => app.stopTimeline());
+
+        app.listen(this.scrub, 'input', () => app.seekTimeline(parseFloat(this.scrub.value)));
+        app.listen(this.keys, 'click', (e) => {
+            const marker = e.target.closest('.keyframe-marker');
+            if (marker) app.seekTimeline(parseFloat(marker.dataset.time));
+        });
+
+        app.listen(this.durationSlider, 'input', () => {
+            this.edit('timeline duration change', () => {
+                this.timeline.setDuration(parseFloat(this.durationSlider.value));
+            }, 'timelineDuration');
+        });
+
+        // Changing the easing with a keyframe under the playhead re-eases it
+        app.listen(this.easingSelect, 'change', () => {
+            const frame = this.timeline.keyframeAt(this.timeline.time);
+            if (!frame) return;
+            this.edit('keyframe easing change', () => {
+                this.timeline.setKeyframe(frame.time, { ...frame, easing: this.getEasing() });
+            });
+        });
+
+        app.initToggle('timelineLoopToggle', 'timeline loop toggle', (checked) => {
+            this.timeline.loop = checked;
+        });
+        app.initToggle('timelineSpringsToggle', 'spring layer toggle', (checked) => {
+            this.timeline.springs = checked;
+            if (app.sim.targets) app.applyTimeline();
+        });
+
+        app.listen(document.getElementById('addKeyframeBtn'), 'click', () => this.addKeyframe());
+        app.listen(this.removeBtn, 'click', () => {
+            this.edit('delete keyframe', () => this.timeline.removeKeyframe(this.timeline.time));
+        });
+        app.listen(document.getElementById('clearTimelineBtn'), 'click', () => {
+            this.edit('clear timeline', () => this.timeline.clear());
+            app.stopTimeline();
+        });
+
+        app.listen(document.getElementById('exportTimelineBtn'), 'click', () => this.exportTimeline());
+        app.listen(document.getElementById('timelineFile'), 'change', (e) => {
+            if (e.target.files.length > 0) this.importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+    }
+
+    // The select's easing; "editor" takes the curve from the easing editor
+    getEasing() {
+        const value = this.easingSelect.value;
+        return value === 'editor' ? this.app.easingEditor.easing.values : value;
+    }
+
+    // Make a change to the timeline as one undoable step. Invalid keyframes
+    // throw SceneFormatError, which is shown instead.
+    edit(label, change, mergeKey = null) {
+        const before = this.timeline.toJSON();
+        try {
+            change();
+        } catch (error) {
+            if (!(error instanceof SceneFormatError)) throw error;
+            this.showMessage(error.message, true);
+            return false;
+        }
+
+        this.app.pushHistory(label, before, this.timeline.toJSON(), (timeline) => {
+            this.timeline.load(timeline);
+            this.sync();
+        }, mergeKey);
+        this.sync();
+        return true;
+    }
+
+    // Key the current control points and physics at the playhead
+    addKeyframe() {
+        const { time } = this.timeline;
+        const added = this.edit('add keyframe', () => {
+            this.timeline.setKeyframe(time, {
+                points: this.app.getPoints(),
+                physics: pickPhysics(this.app.getPhysics(), 'The keyframe'),
+                easing: this.getEasing()
+            });
+        });
+        if (added) this.showMessage(`Keyframe at ${time.toFixed(2)} s.`);
+    }
+
+    exportTimeline() {
+        if (this.timeline.keyframes.length === 0) {
+            this.showMessage('Add a keyframe first.', true);
+            return;
+        }
+        const json = JSON.stringify(this.timeline.toJSON(), null, 2);
+        this.app.downloadFile('curvee-timeline.json', json, 'application/json');
+        this.showMessage(`Exported ${this.timeline.keyframes.length} keyframe(s).`);
+    }
+
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const loaded = this.edit('timeline import', () => this.timeline.load(String(reader.result)));
+            if (!loaded) return;
+            this.app.seekTimeline(0);
+            this.showMessage(`Imported ${this.timeline.keyframes.length} keyframe(s).`);
+        };
+        reader.onerror = () => this.showMessage(`Could not read ${file.name}.`, true);
+        reader.readAsText(file);
+    }
+
+    sync() {
+        const { duration, keyframes, loop, springs } = this.timeline;
+
+        this.durationSlider.value = duration;
+        document.getElementById('timelineDurationValue').textContent = `${duration.toFixed(1)} s`;
+        document.getElementById('timelineLoopToggle').checked = loop;
+        document.getElementById('timelineSpringsToggle').checked = springs;
+        this.scrub.max = duration;
+
+        this.keys.replaceChildren(...keyframes.map((frame) => {
+            const marker = document.createElement('button');
+            marker.className = 'keyframe-marker';
+            marker.dataset.time = frame.time;
+            marker.style.left = `${(frame.time / duration) * 100}%`;
+            marker.title = `${frame.time.toFixed(2)} s`;
+            marker.setAttribute('aria-label', `Keyframe at ${frame.time.toFixed(2)} seconds`);
+            return marker;
+        }));
+
+        this.shownPlaying = null;
+        this.shownKeyframe = undefined;
+        this.syncPlayhead();
+    }
+
+    // Called every frame while playing, so only touches what changed
+    syncPlayhead() {
+        const { time, duration, playing } = this.timeline;
+        this.scrub.value = time;
+        document.getElementById('timelineTime').textContent = `${time.toFixed(2)} / ${duration.toFixed(1)} s`;
+
+        if (playing !== this.shownPlaying) {
+            this.shownPlaying = playing;
+            this.playBtn.innerHTML = playing ?
+                '<i class="fas fa-pause"></i> Pause' :
+                '<i class="fas fa-play"></i> Play';
+        }
+
+        // Markers and the easing select follow the keyframe under the playhead
+        const current = this.timeline.keyframeAt(time);
+        if (current === this.shownKeyframe) return;
+        this.shownKeyframe = current;
+        for (const marker of this.keys.children) {
+            marker.classList.toggle('current', current !== null && parseFloat(marker.dataset.time) === current.time);
+        }
+        this.removeBtn.disabled = current === null;
+        if (current) {
+            this.easingSelect.value = typeof current.easing === 'string' ? current.easing : 'editor';
+        }
+    }
+
+    showMessage(message, isError = false) {
+        this.message.textContent = message;
+        this.message.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,244 @@
+// Keyframe timeline for control-point positions and physics parameters.
+// A keyframe sets points, physics or both at a time in seconds; its easing
+// (a CSS easing name or cubic-bezier values) shapes the change from it to the
+// next keyframe that sets the same thing. Sampled points become the spring
+// targets of the simulation (see ReactorSimulation.setTargets).
+(function (root, factory) {
+    const deps = typeof module === 'object' && module.exports ?
+        { ...require('./scene-io.js'), ...require('./easing.js'), ...require('./presets.js') } :
+        root;
+    const api = factory(deps);
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        Object.assign(root, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function ({
+    SceneFormatError, CubicBezierEasing, EASING_PRESETS, pickPhysics, blendPhysics
+}) {
+
+    const TIMELINE_VERSION = 1;
+    const MAX_DURATION = 600;
+
+    // Keyframes closer together than this are the same keyframe
+    const TIME_EPSILON = 1e-3;
+
+    const clonePoints = (points) => points.map(({ x, y }) => ({ x, y }));
+
+    function checkEasing(easing, label) {
+        if (typeof easing === 'string' && EASING_PRESETS[easing]) return easing;
+        if (Array.isArray(easing) && easing.length === 4 && easing.every(Number.isFinite)) return [...easing];
+        throw new SceneFormatError(`${label} has an invalid easing.`);
+    }
+
+    function createEasing(easing) {
+        return typeof easing === 'string' ? CubicBezierEasing.fromPreset(easing) : new CubicBezierEasing(...easing);
+    }
+
+    // A validated copy of one keyframe; throws SceneFormatError
+    function checkKeyframe(frame, duration, label) {
+        if (!frame || typeof frame !== 'object') throw new SceneFormatError(`${label} is not an object.`);
+        if (!Number.isFinite(frame.time) || frame.time < 0 || frame.time > duration) {
+            throw new SceneFormatError(`${label} needs a time between 0 and ${duration} s.`);
+        }
+        if (frame.points === undefined && frame.physics === undefined) {
+            throw new SceneFormatError(`${label} sets neither points nor physics.`);
+        }
+
+        const keyframe = { time: frame.time, easing: checkEasing(frame.easing ?? 'ease-in-out', label) };
+        if (frame.points !== undefined) {
+            const { points } = frame;
+            if (!Array.isArray(points) || points.length < 3 ||
+                points.some(p => !Number.isFinite(p?.x) || !Number.isFinite(p?.y))) {
+                throw new SceneFormatError(`${label} needs at least 3 { x, y } points.`);
+            }
+            keyframe.points = clonePoints(points);
+        }
+        if (frame.physics !== undefined) keyframe.physics = pickPhysics(frame.physics, label);
+        return keyframe;
+    }
+
+    function lerpPoints(from, to, k) {
+        return from.map((p, i) => ({
+            x: p.x + (to[i].x - p.x) * k,
+            y: p.y + (to[i].y - p.y) * k
+        }));
+    }
+
+    // Value of one track (points or physics) at time, held before the first
+    // and after the last keyframe that sets it
+    function sampleTrack(keyframes, key, time, blend) {
+        const frames = keyframes.filter(frame => frame[key] !== undefined);
+        if (frames.length === 0) return null;
+        if (time <= frames[0].time) return frames[0][key];
+
+        for (let i = 0; i < frames.length - 1; i++) {
+            const from = frames[i];
+            const to = frames[i + 1];
+            if (time >= to.time) continue;
+            const k = createEasing(from.easing).evaluate((time - from.time) / (to.time - from.time));
+            return blend(from[key], to[key], k);
+        }
+        return frames[frames.length - 1][key];
+    }
+
+    class Timeline {
+        constructor({ duration = 5, loop = true, springs = true, keyframes = [] } = {}) {
+            this.duration = duration;
+            this.loop = loop;
+            // Whether the springs chase the keyframed points or the handles
+            // sit exactly on them
+            this.springs = springs;
+            this.keyframes = keyframes;
+
+            // Playhead
+            this.time = 0;
+            this.playing = false;
+        }
+
+        // Validate an exported timeline (object or JSON text) into
+        // constructor options
+        static parse(input) {
+            let data = input;
+            if (typeof input === 'string') {
+                try {
+                    data = JSON.parse(input);
+                } catch (error) {
+                    throw new SceneFormatError(`Invalid JSON: ${error.message}`);
+                }
+            }
+            if (!data || typeof data !== 'object') throw new SceneFormatError('A timeline must be a JSON object.');
+            if (data.version !== TIMELINE_VERSION) {
+                throw new SceneFormatError(`Unsupported timeline version ${data.version}.`);
+            }
+            if (!Number.isFinite(data.duration) || data.duration <= 0 || data.duration > MAX_DURATION) {
+                throw new SceneFormatError(`The duration must be between 0 and ${MAX_DURATION} s.`);
+            }
+            if (!Array.isArray(data.keyframes)) throw new SceneFormatError('The timeline has no keyframes list.');
+
+            const keyframes = data.keyframes
+                .map((frame, i) => checkKeyframe(frame, data.duration, `keyframes[${i}]`))
+                .sort((a, b) => a.time - b.time);
+            for (let i = 1; i < keyframes.length; i++) {
+                if (keyframes[i].time - keyframes[i - 1].time < TIME_EPSILON) {
+                    throw new SceneFormatError(`Two keyframes are at ${keyframes[i].time} s.`);
+                }
+            }
+            const counts = new Set(keyframes.filter(f => f.points).map(f => f.points.length));
+            if (counts.size > 1) throw new SceneFormatError('Every keyframe must have the same number of points.');
+
+            return {
+                duration: data.duration,
+                loop: data.loop !== false,
+                springs: data.springs !== false,
+                keyframes
+            };
+        }
+
+        // Replace everything but the playhead
+        load(input) {
+            Object.assign(this, Timeline.parse(input));
+            this.time = Math.min(this.time, this.duration);
+        }
+
+        toJSON() {
+            return {
+                version: TIMELINE_VERSION,
+                duration: this.duration,
+                loop: this.loop,
+                springs: this.springs,
+                keyframes: this.keyframes.map(frame => checkKeyframe(frame, this.duration, 'keyframe'))
+            };
+        }
+
+        // Number of points the keyframes set, or null before any do
+        get pointCount() {
+            const frame = this.keyframes.find(f => f.points);
+            return frame ? frame.points.length : null;
+        }
+
+        keyframeAt(time) {
+            return this.keyframes.find(frame => Math.abs(frame.time - time) < TIME_EPSILON) || null;
+        }
+
+        // Add a keyframe, replacing any at the same time
+        setKeyframe(time, { points, physics, easing } = {}) {
+            const keyframe = checkKeyframe({ time, points, physics, easing }, this.duration, `The keyframe at ${time} s`);
+            const other = this.keyframes.find(f => f.points && Math.abs(f.time - time) >= TIME_EPSILON);
+            if (keyframe.points && other && other.points.length !== keyframe.points.length) {
+                throw new SceneFormatError(
+                    `Keyframes need ${other.points.length} points; clear the timeline to key a different curve.`
+                );
+            }
+
+            this.removeKeyframe(time);
+            this.keyframes.push(keyframe);
+            this.keyframes.sort((a, b) => a.time - b.time);
+            return keyframe;
+        }
+
+        removeKeyframe(time) {
+            const frame = this.keyframeAt(time);
+            if (!frame) return false;
+            this.keyframes.splice(this.keyframes.indexOf(frame), 1);
+            return true;
+        }
+
+        clear() {
+            this.keyframes = [];
+        }
+
+        // Never shorter than the last keyframe
+        setDuration(duration) {
+            const last = this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+            this.duration = Math.min(Math.max(duration, last, TIME_EPSILON), MAX_DURATION);
+            this.time = Math.min(this.time, this.duration);
+        }
+
+        play() {
+            if (!this.loop && this.time >= this.duration) this.time = 0;
+            this.playing = true;
+        }
+
+        pause() {
+            this.playing = false;
+        }
+
+        seek(time) {
+            this.time = Math.min(Math.max(time, 0), this.duration);
+        }
+
+        // Move the playhead on by elapsed seconds while playing; without loop
+        // playback stops at the end
+        advance(elapsed) {
+            if (!this.playing) return this.time;
+
+            let time = this.time + elapsed;
+            if (time >= this.duration) {
+                if (this.loop) {
+                    time %= this.duration;
+                } else {
+                    time = this.duration;
+                    this.playing = false;
+                }
+            }
+            this.time = time;
+            return time;
+        }
+
+        // { points, physics } at time; either is null when no keyframe sets it
+        sample(time = this.time) {
+            const points = sampleTrack(this.keyframes, 'points', time, lerpPoints);
+            const physics = sampleTrack(this.keyframes, 'physics', time, blendPhysics);
+            return {
+                points: points && clonePoints(points),
+                physics: physics && { ...physics }
+            };
+        }
+    }
+
+    return {
+        TIMELINE_VERSION,
+        Timeline
+    };
+});